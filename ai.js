@@ -1,41 +1,50 @@
 // ai.js - Fixed version
-const Groq = require("groq-sdk");
+const { getSchemaDescription } = require("./introspect");
+const { getRoleConfig } = require("./providers");
+const { ALLOWED_TABLES } = require("./sqlGuard");
+const { REPORTING_TZ } = require("./timezone");
 require("dotenv").config();
 
-const groq = new Groq({
-  apiKey: process.env.GROQ_API_KEY,
-});
+// Pre-aggregated scorecard views (schema.sql), described to the model only
+// when it may query them
+const ROLLUP_VIEWS = [
+  "v_instructor_monthly",
+  "v_class_quarterly",
+  "v_domain_monthly",
+].filter((name) => ALLOWED_TABLES.has(name));
 
-const getSystemPromptForSql = () => `
+const ROLLUP_RULES = `9. For response-weighted ratings, sessions, responses or attendance per instructor, class or domain by month or quarter, prefer ${ROLLUP_VIEWS.join(
+  ", "
+)} over v_sessions: they are pre-aggregated and their weighted_avg is already response-weighted
+10. To combine rows of those views (several months, a whole year), never average weighted_avg; use ROUND(SUM(weighted_rating_sum) / NULLIF(SUM(total_responses), 0), 2) and SUM(sessions); rank with shrunk_rating(SUM(weighted_rating_sum), SUM(total_responses))
+11. Use v_sessions for anything the views don't carry: session types, single sessions, dates, plain AVG(average)
+`;
+
+const ROLLUP_EXAMPLE = `
+Quarterly weighted rating per instructor (from the monthly rollup):
+SELECT instructor, pst_quarter, SUM(sessions) AS sessions,
+       ROUND(SUM(weighted_rating_sum) / NULLIF(SUM(total_responses), 0), 2) AS weighted_avg
+FROM v_instructor_monthly WHERE pst_year = 2025
+GROUP BY instructor, pst_quarter ORDER BY instructor, pst_quarter;
+`;
+
+const getSystemPromptForSql = (schemaPrompt) => `
 You are an expert PostgreSQL query writer. Convert user's natural language questions into valid PostgreSQL queries.
 
-Query the view: v_sessions
-
-Schema:
-- session_id (BIGSERIAL, PK)
-- topic_code (TEXT)
-- type (TEXT): session type like 'Live Class', 'Test Review Session'
-- domain (TEXT): subject domain like 'Backend', 'Data Science' 
-- class (TEXT): class name
-- instructor (TEXT): instructor full name
-- session_date (TIMESTAMPTZ): session datetime in UTC
-- pst_date (DATE): session date in America/Los_Angeles timezone
-- pst_year (INT): year in PST
-- pst_quarter (INT): quarter 1-4 in PST
-- pst_month (INT): month 1-12 in PST
-- average (NUMERIC): average rating 1-5
-- responses (INT): number of ratings
-- students_attended (INT): number of students attended
-- rated_pct (NUMERIC): percentage who rated
+${schemaPrompt}
+
+Only use the columns listed above. Values listed for a column are the only ones that exist.
 
 RULES:
-1. Use PST columns for date filtering: pst_year, pst_quarter, pst_month, pst_date
+1. Use the pst_* columns for date filtering (calendar in ${REPORTING_TZ}): pst_year, pst_quarter, pst_month, pst_date
 2. Round all averages: ROUND(AVG(average), 2)
 3. For weighted average: ROUND((SUM(average * responses) / NULLIF(SUM(responses), 0))::numeric, 2)
 4. Handle trends with LAG() window function
 5. Use CASE statements for period comparisons
 6. For multi-domain: GROUP BY instructor HAVING COUNT(DISTINCT domain) > 1
-
+7. To rank by rating or find the best/worst rated, order by shrunk_rating(SUM(average * responses), SUM(responses)) instead of AVG(average), and keep every group rather than adding HAVING COUNT(*) >= n. It pulls thinly rated groups toward the overall mean, so one 5.0 session doesn't beat forty at 4.8. Only rank on the plain average, or require a minimum of sessions, when the question asks for it
+8. Whenever rows show a rating per group, also select COUNT(*) AS sessions and SUM(responses) AS responses. For confidence intervals use rating_ci_low(SUM(average * responses), SUM(responses)) and rating_ci_high(...) (95%)
+${ROLLUP_VIEWS.length > 0 ? ROLLUP_RULES : ""}
 EXAMPLE PATTERNS:
 
 Month-over-month trend:
@@ -65,20 +74,23 @@ FROM comparison WHERE feb_avg > jan_avg ORDER BY improvement DESC;
 
 Highest/Lowest in same query:
 WITH ratings AS (
-  SELECT class, instructor, ROUND(AVG(average), 2) AS avg_rating, COUNT(*) AS sessions
+  SELECT class, instructor,
+         shrunk_rating(SUM(average * responses), SUM(responses)) AS adjusted_rating,
+         ROUND((SUM(average * responses) / NULLIF(SUM(responses), 0))::numeric, 2) AS weighted_avg,
+         COUNT(*) AS sessions, SUM(responses) AS responses
   FROM v_sessions WHERE pst_year = 2025 AND pst_quarter = 2
-  GROUP BY class, instructor HAVING COUNT(*) >= 5
+  GROUP BY class, instructor
 )
 SELECT 
   CASE 
-    WHEN avg_rating = (SELECT MAX(avg_rating) FROM ratings) THEN 'Highest'
-    WHEN avg_rating = (SELECT MIN(avg_rating) FROM ratings) THEN 'Lowest'
+    WHEN adjusted_rating = (SELECT MAX(adjusted_rating) FROM ratings) THEN 'Highest'
+    WHEN adjusted_rating = (SELECT MIN(adjusted_rating) FROM ratings) THEN 'Lowest'
   END AS type,
-  class, instructor, avg_rating, sessions
+  class, instructor, adjusted_rating, weighted_avg, sessions, responses
 FROM ratings 
-WHERE avg_rating = (SELECT MAX(avg_rating) FROM ratings) 
-   OR avg_rating = (SELECT MIN(avg_rating) FROM ratings)
-ORDER BY avg_rating DESC;
+WHERE adjusted_rating = (SELECT MAX(adjusted_rating) FROM ratings) 
+   OR adjusted_rating = (SELECT MIN(adjusted_rating) FROM ratings)
+ORDER BY adjusted_rating DESC;
 
 Multi-domain instructors:
 SELECT instructor, domain, ROUND(AVG(average), 2) AS avg_rating, SUM(responses) AS responses
@@ -90,132 +102,420 @@ HAVING instructor IN (
   HAVING COUNT(DISTINCT domain) > 1 AND AVG(average) >= 4.4
 )
 ORDER BY instructor, domain;
-
+${ROLLUP_VIEWS.length > 0 ? ROLLUP_EXAMPLE : ""}
 OUTPUT: Return ONLY the SQL query. No explanations, no markdown, no comments.
 `;
 
-async function getAiSql(userQuery, maxRetries = 3) {
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
-    try {
-      console.log(
-        `[DEBUG] AI attempt ${attempt}/${maxRetries} for query: "${userQuery}"`
-      );
-
-      const chatCompletion = await groq.chat.completions.create({
-        messages: [
-          {
-            role: "system",
-            content: getSystemPromptForSql(),
-          },
-          {
-            role: "user",
-            content: `Convert this to SQL: "${userQuery}"`,
-          },
-        ],
-        model: "llama3-70b-8192",
-        temperature: 0,
-        max_tokens: 1024,
-      });
-
-      const sqlQuery =
-        chatCompletion.choices[0]?.message?.content?.trim() || "";
-
-      if (!sqlQuery) {
-        throw new Error("Empty SQL response from AI");
-      }
+// Strips markdown fences the model sometimes wraps around SQL.
+function cleanSqlResponse(sqlQuery) {
+  let cleanSql = sqlQuery;
+  if (cleanSql.includes("```sql")) {
+    cleanSql = cleanSql
+      .replace(/```sql\n?/g, "")
+      .replace(/```\n?/g, "")
+      .trim();
+  }
+  if (cleanSql.includes("```")) {
+    cleanSql = cleanSql.replace(/```/g, "").trim();
+  }
+  return cleanSql;
+}
 
-      // Clean up the response (remove any markdown if present)
-      let cleanSql = sqlQuery;
-      if (cleanSql.includes("```sql")) {
-        cleanSql = cleanSql
-          .replace(/```sql\n?/g, "")
-          .replace(/```\n?/g, "")
-          .trim();
-      }
-      if (cleanSql.includes("```")) {
-        cleanSql = cleanSql.replace(/```/g, "").trim();
-      }
+// Sends a SQL-generation conversation to the configured "sql" provider,
+// which retries transient failures itself.
+async function requestSql(messages, label, maxRetries) {
+  const { provider, model } = getRoleConfig("sql");
+  let sqlQuery;
+  try {
+    const completion = await provider.complete({
+      role: "sql",
+      model,
+      messages,
+      temperature: 0,
+      maxTokens: 1024,
+      maxRetries,
+      label,
+    });
+    sqlQuery = completion.content.trim();
+  } catch (error) {
+    const wrapped = new Error(
+      `Failed to generate SQL after ${maxRetries} attempts: ${error.message}`
+    );
+    wrapped.status = error.status;
+    throw wrapped;
+  }
 
-      console.log(
-        `[DEBUG] AI generated SQL (${
-          cleanSql.length
-        } chars): ${cleanSql.substring(0, 100)}...`
-      );
-      return cleanSql;
-    } catch (error) {
-      console.error(`[ERROR] AI attempt ${attempt} failed:`, error.message);
-
-      if (error.status === 503 && attempt < maxRetries) {
-        const delay = attempt * 2000;
-        console.log(`[INFO] Retrying in ${delay}ms...`);
-        await new Promise((resolve) => setTimeout(resolve, delay));
-        continue;
-      }
+  if (!sqlQuery) {
+    throw new Error("Failed to generate SQL: empty response from AI");
+  }
+
+  const cleanSql = cleanSqlResponse(sqlQuery);
+
+  console.log(
+    `[DEBUG] AI generated SQL (${cleanSql.length} chars): ${cleanSql.substring(
+      0,
+      100
+    )}...`
+  );
+  return cleanSql;
+}
+
+// The user turn of a SQL-generation conversation, with any entity values
+// already resolved from the question (see entities.js) and the earlier turns
+// of the thread it belongs to (see conversations.js).
+function buildSqlRequest(userQuery, { entities = [], history = [] } = {}) {
+  let content = "";
+  if (history.length > 0) {
+    content += `Conversation so far (oldest first). The new question may be a follow-up that refers to these ("that", "same period", "break it down"):
+${history
+  .map(
+    (turn, i) =>
+      `${i + 1}. Question: "${turn.question}"
+   SQL: ${turn.sql.replace(/\s+/g, " ").substring(0, 1000)}
+   Result: ${turn.rowCount} row(s); columns: ${turn.columns.join(", ")}`
+  )
+  .join("\n")}
+
+When the new question is a follow-up, start from the most relevant previous SQL and modify it.
+
+`;
+  }
+  content += `Convert this to SQL: "${userQuery}"`;
+  if (entities.length > 0) {
+    content += `
+
+The question mentions these values. Use the exact canonical value when filtering:
+${entities
+  .map(
+    (e) =>
+      `- "${e.mention}" means ${e.entity} = '${e.canonical.replace(
+        /'/g,
+        "''"
+      )}'`
+  )
+  .join("\n")}`;
+  }
+  return content;
+}
+
+/**
+ * Converts a natural language question to SQL.
+ * @param {string} userQuery The natural language question.
+ * @param {Object} context Optional extra context: { entities } resolved
+ *   mentions ({ mention, entity, canonical }) to pin filter values, and
+ *   { history } earlier turns ({ question, sql, columns, rowCount }).
+ * @param {number} maxRetries Attempts on transient AI errors.
+ * @returns {Promise<string>} The generated SQL query.
+ */
+async function getAiSql(userQuery, context = {}, maxRetries = 3) {
+  const { prompt: schemaPrompt } = await getSchemaDescription();
+  return requestSql(
+    [
+      {
+        role: "system",
+        content: getSystemPromptForSql(schemaPrompt),
+      },
+      {
+        role: "user",
+        content: buildSqlRequest(userQuery, context),
+      },
+    ],
+    `query: "${userQuery}"`,
+    maxRetries
+  );
+}
+
+// Formats a failed attempt's error the way the model should read it.
+function describeFailure({ status, error }) {
+  if (status === "rejected") {
+    return `REJECTED (${error.code}): ${error.message}`;
+  }
+  const lines = [`ERROR: ${error.message}`];
+  if (error.position) lines.push(`POSITION: character ${error.position}`);
+  if (error.detail) lines.push(`DETAIL: ${error.detail}`);
+  if (error.hint) lines.push(`HINT: ${error.hint}`);
+  return lines.join("\n");
+}
+
+/**
+ * Asks the model to fix a query that failed validation or execution.
+ * @param {string} userQuery The original natural language question.
+ * @param {Array<Object>} failedAttempts Prior attempts, oldest first, each
+ *   with the `sql` that was tried, its `status` ("rejected" by the SQL
+ *   guard, so it never ran, or "error" from the database) and the `error`
+ *   it produced ({ code, message } or { message, position, hint, detail }).
+ * @param {Object} context The same context passed to getAiSql.
+ * @param {number} maxRetries Attempts on transient AI errors.
+ * @returns {Promise<string>} The corrected SQL query.
+ */
+async function getAiSqlRepair(
+  userQuery,
+  failedAttempts,
+  context = {},
+  maxRetries = 3
+) {
+  const { prompt: schemaPrompt } = await getSchemaDescription();
+  const messages = [
+    {
+      role: "system",
+      content: getSystemPromptForSql(schemaPrompt),
+    },
+    {
+      role: "user",
+      content: buildSqlRequest(userQuery, context),
+    },
+  ];
 
-      if (attempt === maxRetries) {
-        throw new Error(
-          `Failed to generate SQL after ${maxRetries} attempts: ${error.message}`
-        );
+  for (const failed of failedAttempts) {
+    messages.push(
+      { role: "assistant", content: failed.sql },
+      {
+        role: "user",
+        content: `${
+          failed.status === "rejected"
+            ? "That query was rejected by the SQL safety check before it ran:"
+            : "That query failed in PostgreSQL:"
+        }
+${describeFailure(failed)}
+
+Fix the query so it answers the original question. Return ONLY the corrected SQL query.`,
       }
-    }
+    );
   }
+
+  return requestSql(
+    messages,
+    `repair #${failedAttempts.length} of query: "${userQuery}"`,
+    maxRetries
+  );
 }
 
-async function getAiSummary(userQuery, sqlQuery, data, maxRetries = 2) {
-  if (!data || data.length === 0) {
-    return "Query executed successfully but returned no results.";
+// Rows resting on fewer sessions or responses than these are flagged in
+// summaries as too little data to go by
+const MIN_SAMPLE_SESSIONS = parseInt(process.env.MIN_SAMPLE_SESSIONS, 10) || 5;
+const MIN_SAMPLE_RESPONSES =
+  parseInt(process.env.MIN_SAMPLE_RESPONSES, 10) || 30;
+
+// Result columns that count what a row rests on, by name
+const SAMPLE_COLUMNS = [
+  {
+    label: "sessions",
+    pattern: /(^|_)(sessions|session_count)$/i,
+    minimum: MIN_SAMPLE_SESSIONS,
+  },
+  {
+    label: "responses",
+    pattern: /(^|_)(responses|response_count)$/i,
+    minimum: MIN_SAMPLE_RESPONSES,
+  },
+];
+
+// One line per sample-size column of the rows: its range, and how many
+// rows fall below the minimum.
+function describeSampleSizes(data) {
+  const lines = [];
+  for (const column of Object.keys(data[0])) {
+    const sample = SAMPLE_COLUMNS.find((s) => s.pattern.test(column));
+    if (!sample) continue;
+    // COUNT and SUM come back from pg as strings
+    const counts = data
+      .filter((row) => row[column] !== null && row[column] !== undefined)
+      .map((row) => Number(row[column]))
+      .filter(Number.isFinite);
+    if (counts.length === 0) continue;
+    const small = counts.filter((n) => n < sample.minimum).length;
+    lines.push(
+      `- ${column}: ${Math.min(...counts)} to ${Math.max(
+        ...counts
+      )}; ${small} of ${counts.length} row(s) below ${sample.minimum} ${
+        sample.label
+      }`
+    );
   }
+  return lines;
+}
 
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
-    try {
-      const summaryPrompt = `
+// Chat messages asking the model to summarize a result set. `data` may be
+// only the first page of `totalRows`. Sample sizes found in the rows are
+// spelled out so the summary can flag results that rest on too little data.
+function buildSummaryMessages(userQuery, sqlQuery, data, totalRows) {
+  const samples = describeSampleSizes(data);
+  const summaryPrompt = `
 Question: "${userQuery}"
 
 SQL: ${sqlQuery}
 
-Results (${data.length} rows):
+Results (${totalRows} rows):
 ${JSON.stringify(data.slice(0, 5), null, 2)}${
-        data.length > 5 ? "\n... and more rows" : ""
-      }
-
+    totalRows > 5 ? "\n... and more rows" : ""
+  }
+${
+  samples.length > 0
+    ? `
+Sample sizes (over the ${data.length} rows returned):
+${samples.join("\n")}
+Rows below these minimums rest on too little data. If the summary singles one out (as the best or worst, say), mention how few sessions or responses it rests on. If the top results all do, say the ranking is not conclusive.
+`
+    : ""
+}
 Provide a clear 1-2 sentence summary of these results.`;
 
-      const chatCompletion = await groq.chat.completions.create({
-        messages: [
-          {
-            role: "system",
-            content:
-              "You are a data analyst. Summarize query results clearly and concisely.",
-          },
-          {
-            role: "user",
-            content: summaryPrompt,
-          },
-        ],
-        model: "llama3-8b-8192",
+  return [
+    {
+      role: "system",
+      content:
+        "You are a data analyst. Summarize query results clearly and concisely.",
+    },
+    {
+      role: "user",
+      content: summaryPrompt,
+    },
+  ];
+}
+
+async function getAiSummary(
+  userQuery,
+  sqlQuery,
+  data,
+  totalRows = data ? data.length : 0,
+  maxRetries = 2
+) {
+  if (!data || data.length === 0) {
+    return "Query executed successfully but returned no results.";
+  }
+
+  const { provider, model } = getRoleConfig("summary");
+  try {
+    const completion = await provider.complete({
+      role: "summary",
+      model,
+      messages: buildSummaryMessages(userQuery, sqlQuery, data, totalRows),
+      temperature: 0.2,
+      maxTokens: 200,
+      maxRetries,
+      label: "summary",
+    });
+
+    return (
+      completion.content.trim() ||
+      `Query found ${totalRows} result(s). See the data table for details.`
+    );
+  } catch (error) {
+    console.error("[ERROR] Summary generation failed:", error.message);
+    return `Query executed successfully and returned ${totalRows} result(s). Please review the data below.`;
+  }
+}
+
+/**
+ * Same as getAiSummary, but streams the summary as the model writes it.
+ * @param {string} userQuery The natural language question.
+ * @param {string} sqlQuery The SQL that produced the data.
+ * @param {Array<Object>} data The result rows (or the first page of them).
+ * @param {Function} onToken Called with each text fragment as it arrives.
+ * @param {number} totalRows Rows in the whole result (defaults to data's).
+ * @param {number} maxRetries Attempts when the stream fails before any text.
+ * @returns {Promise<string>} The complete summary.
+ */
+async function getAiSummaryStream(
+  userQuery,
+  sqlQuery,
+  data,
+  onToken,
+  totalRows = data ? data.length : 0,
+  maxRetries = 2
+) {
+  if (!data || data.length === 0) {
+    const summary = "Query executed successfully but returned no results.";
+    onToken(summary);
+    return summary;
+  }
+
+  const { provider, model } = getRoleConfig("summary");
+  let summary = "";
+  try {
+    await provider.stream(
+      {
+        role: "summary",
+        model,
+        messages: buildSummaryMessages(userQuery, sqlQuery, data, totalRows),
         temperature: 0.2,
-        max_tokens: 200,
-      });
-
-      return (
-        chatCompletion.choices[0]?.message?.content?.trim() ||
-        `Query found ${data.length} result(s). See the data table for details.`
-      );
-    } catch (error) {
-      console.error(
-        `[ERROR] Summary attempt ${attempt} failed:`,
-        error.message
-      );
-
-      if (attempt === maxRetries) {
-        return `Query executed successfully and returned ${data.length} result(s). Please review the data below.`;
+        maxTokens: 200,
+        maxRetries,
+        label: "summary stream",
+      },
+      (token) => {
+        summary += token;
+        onToken(token);
       }
+    );
+  } catch (error) {
+    console.error("[ERROR] Summary stream failed:", error.message);
+    // Part of the summary already reached the client; keep it
+    if (summary.trim()) return summary.trim();
+    summary = `Query executed successfully and returned ${totalRows} result(s). Please review the data below.`;
+    onToken(summary);
+    return summary;
+  }
 
-      if (error.status === 503 && attempt < maxRetries) {
-        await new Promise((resolve) => setTimeout(resolve, 1000));
-      }
-    }
+  if (!summary.trim()) {
+    summary = `Query found ${totalRows} result(s). See the data table for details.`;
+    onToken(summary);
   }
+  return summary.trim();
+}
+
+/**
+ * Asks the model which chart fits a result set.
+ * @param {string} userQuery The question.
+ * @param {Array<Object>} columns [{ name, kind }] for each result column.
+ * @param {Array<Object>} data The result rows (a few are sent as a sample).
+ * @param {Object} suggested The heuristic spec, as a starting point.
+ * @returns {Promise<Object>} The parsed { type, x, y, series } proposal.
+ */
+async function getAiChartSpec(userQuery, columns, data, suggested) {
+  const { provider, model } = getRoleConfig("chart");
+  const completion = await provider.complete({
+    role: "chart",
+    model,
+    messages: [
+      {
+        role: "system",
+        content: `You choose charts for query results. Reply with JSON only:
+{"type": "line" | "bar" | "grouped_bar" | "scatter" | "table", "x": "<column>", "y": ["<column>", ...], "series": "<column>" | null}
+Use line for trends over time, bar or grouped_bar to compare categories, scatter to relate two measures, and table when no chart helps. Only use column names from the list.`,
+      },
+      {
+        role: "user",
+        content: `Question: "${userQuery}"
+
+Columns: ${columns.map((c) => `${c.name} (${c.kind})`).join(", ")}
+
+Rows (${data.length}, first 5):
+${JSON.stringify(data.slice(0, 5), null, 2)}
+
+Suggested: ${JSON.stringify({
+          type: suggested.type,
+          x: suggested.x,
+          y: suggested.y,
+          series: suggested.series,
+        })}`,
+      },
+    ],
+    temperature: 0,
+    maxTokens: 150,
+    maxRetries: 1,
+    label: "chart",
+  });
+
+  const json = completion.content.match(/\{[\s\S]*\}/);
+  if (!json) throw new Error("No JSON object in the chart response");
+  return JSON.parse(json[0]);
 }
 
-module.exports = { getAiSql, getAiSummary };
+module.exports = {
+  getAiSql,
+  getAiSqlRepair,
+  getAiSummary,
+  getAiSummaryStream,
+  getAiChartSpec,
+};
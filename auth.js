@@ -0,0 +1,383 @@
+// auth.js
+// Logins, roles and row-level restrictions. A login returns a signed token
+// (an HS256 JWT) that the page keeps in an HttpOnly cookie and API clients
+// send as a Bearer token. Every request reloads the user the token names,
+// so role changes and disabled accounts take effect without a new login.
+
+const crypto = require("crypto");
+const { promisify } = require("util");
+const { executeQuery } = require("./db");
+const { ENTITIES } = require("./entities");
+require("dotenv").config();
+
+const scrypt = promisify(crypto.scrypt);
+
+// Least to most privileged; each role can do what the ones before it can
+const ROLES = ["viewer", "analyst", "admin"];
+
+const SESSION_TTL_MS =
+  parseInt(process.env.AUTH_SESSION_TTL_MS, 10) || 12 * 60 * 60 * 1000;
+const COOKIE_NAME = "session";
+
+// Users are re-read at most this often per process
+const USER_CACHE_TTL_MS = 30 * 1000;
+
+const AUTH_SECRET =
+  process.env.AUTH_SECRET ||
+  (() => {
+    console.error(
+      "[ERROR] AUTH_SECRET is not set; using a random one, so logins end when the server restarts"
+    );
+    return crypto.randomBytes(32).toString("hex");
+  })();
+
+const USER_COLUMNS =
+  "user_id, username, role, restrictions, disabled, created_at, last_login_at";
+
+const users = new Map(); // user_id -> { user, loadedAt }
+
+// Errors the caller can fix carry a 400 (or 409 for a taken username)
+function badRequest(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// --- Passwords (scrypt, stored as "scrypt$salt$hash") ---
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, 64);
+  return `scrypt$${salt.toString("hex")}$${hash.toString("hex")}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored).split("$");
+  if (scheme !== "scrypt" || !salt || !hash) return false;
+  const expected = Buffer.from(hash, "hex");
+  const actual = await scrypt(password, Buffer.from(salt, "hex"), 64);
+  return (
+    actual.length === expected.length &&
+    crypto.timingSafeEqual(actual, expected)
+  );
+}
+
+// Checked against when the username is unknown, so both cases take as long
+let dummyHash = null;
+
+// --- Tokens ---
+
+const sign = (data) =>
+  crypto.createHmac("sha256", AUTH_SECRET).update(data).digest("base64url");
+
+function signToken(payload) {
+  const header = Buffer.from(
+    JSON.stringify({ alg: "HS256", typ: "JWT" })
+  ).toString("base64url");
+  const body = Buffer.from(JSON.stringify(payload)).toString("base64url");
+  return `${header}.${body}.${sign(`${header}.${body}`)}`;
+}
+
+// The token's payload, or null if it is forged, malformed or expired
+function verifyToken(token) {
+  const [header, body, signature] = String(token || "").split(".");
+  if (!signature) return null;
+  const given = Buffer.from(signature);
+  const expected = Buffer.from(sign(`${header}.${body}`));
+  if (
+    given.length !== expected.length ||
+    !crypto.timingSafeEqual(given, expected)
+  ) {
+    return null;
+  }
+  try {
+    const payload = JSON.parse(Buffer.from(body, "base64url").toString());
+    return payload.exp * 1000 > Date.now() ? payload : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// --- Users ---
+
+/**
+ * Validates row-level restrictions: { entity: [allowed value, ...] } for the
+ * v_sessions dimensions (instructor, class, domain, type). {} sees every
+ * row.
+ * @returns {Object} The restrictions, values trimmed.
+ */
+function checkRestrictions(restrictions) {
+  if (
+    !restrictions ||
+    typeof restrictions !== "object" ||
+    Array.isArray(restrictions)
+  ) {
+    throw badRequest("restrictions must be an object");
+  }
+  const checked = {};
+  for (const [entity, values] of Object.entries(restrictions)) {
+    if (!ENTITIES.includes(entity)) {
+      throw badRequest(
+        `Unknown restriction "${entity}" (use ${ENTITIES.join(", ")})`
+      );
+    }
+    const list = (Array.isArray(values) ? values : [values])
+      .map((v) => String(v ?? "").trim())
+      .filter(Boolean);
+    if (list.length === 0) {
+      throw badRequest(`Restriction "${entity}" needs at least one value`);
+    }
+    checked[entity] = list;
+  }
+  return checked;
+}
+
+function checkRole(role) {
+  if (!ROLES.includes(role)) {
+    throw badRequest(`role must be one of: ${ROLES.join(", ")}`);
+  }
+  return role;
+}
+
+async function loadUser(id) {
+  const cached = users.get(id);
+  if (cached && Date.now() - cached.loadedAt < USER_CACHE_TTL_MS) {
+    return cached.user;
+  }
+  const { rows } = await executeQuery(
+    `SELECT ${USER_COLUMNS} FROM app_user WHERE user_id = $1`,
+    [id]
+  );
+  const user = rows[0] || null;
+  users.set(id, { user, loadedAt: Date.now() });
+  return user;
+}
+
+/**
+ * Checks a username and password.
+ * @returns {Promise<Object|null>} { token, expiresAt, user }, or null when
+ *   the credentials are wrong or the account is disabled.
+ */
+async function login(username, password) {
+  const { rows } = await executeQuery(
+    `SELECT ${USER_COLUMNS}, password_hash FROM app_user WHERE username = $1`,
+    [String(username || "").trim()]
+  );
+  const row = rows[0];
+  if (!row) {
+    dummyHash = dummyHash || (await hashPassword("not a password"));
+    await verifyPassword(String(password || ""), dummyHash);
+    return null;
+  }
+  if (
+    !(await verifyPassword(String(password || ""), row.password_hash)) ||
+    row.disabled
+  ) {
+    return null;
+  }
+
+  await executeQuery(
+    "UPDATE app_user SET last_login_at = now() WHERE user_id = $1",
+    [row.user_id]
+  );
+  const { password_hash, ...user } = row;
+  const expiresAt = Date.now() + SESSION_TTL_MS;
+  return {
+    token: signToken({
+      sub: user.user_id,
+      exp: Math.floor(expiresAt / 1000),
+    }),
+    expiresAt: new Date(expiresAt),
+    user,
+  };
+}
+
+async function listUsers() {
+  const { rows } = await executeQuery(
+    `SELECT ${USER_COLUMNS} FROM app_user ORDER BY username`
+  );
+  return rows;
+}
+
+async function createUser({ username, password, role, restrictions = {} }) {
+  if (!username || !String(username).trim()) {
+    throw badRequest("username is required");
+  }
+  if (!password || String(password).length < 8) {
+    throw badRequest("password must be at least 8 characters");
+  }
+  try {
+    const { rows } = await executeQuery(
+      `INSERT INTO app_user (username, password_hash, role, restrictions)
+       VALUES ($1, $2, $3, $4)
+       RETURNING ${USER_COLUMNS}`,
+      [
+        String(username).trim(),
+        await hashPassword(String(password)),
+        checkRole(role),
+        JSON.stringify(checkRestrictions(restrictions)),
+      ]
+    );
+    return rows[0];
+  } catch (error) {
+    if (error.message.includes("duplicate key")) {
+      throw badRequest(`User "${username}" already exists`, 409);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Changes a user's password, role, restrictions or disabled flag (only the
+ * fields given).
+ * @returns {Promise<Object|null>} The user, or null if it does not exist.
+ */
+async function updateUser(id, { password, role, restrictions, disabled }) {
+  if (!/^\d+$/.test(String(id))) return null;
+  if (password !== undefined && String(password).length < 8) {
+    throw badRequest("password must be at least 8 characters");
+  }
+  const { rows } = await executeQuery(
+    `UPDATE app_user
+        SET password_hash = COALESCE($2, password_hash),
+            role = COALESCE($3, role),
+            restrictions = COALESCE($4, restrictions),
+            disabled = COALESCE($5, disabled)
+      WHERE user_id = $1
+      RETURNING ${USER_COLUMNS}`,
+    [
+      id,
+      password === undefined ? null : await hashPassword(String(password)),
+      role === undefined ? null : checkRole(role),
+      restrictions === undefined
+        ? null
+        : JSON.stringify(checkRestrictions(restrictions)),
+      disabled === undefined ? null : Boolean(disabled),
+    ]
+  );
+  users.delete(Number(id));
+  return rows[0] || null;
+}
+
+async function deleteUser(id) {
+  if (!/^\d+$/.test(String(id))) return false;
+  const { rowCount } = await executeQuery(
+    "DELETE FROM app_user WHERE user_id = $1",
+    [id]
+  );
+  users.delete(Number(id));
+  return rowCount > 0;
+}
+
+// --- Middleware ---
+
+function cookieToken(req) {
+  for (const part of (req.get("cookie") || "").split(";")) {
+    const [name, ...value] = part.trim().split("=");
+    if (name === COOKIE_NAME) return decodeURIComponent(value.join("="));
+  }
+  return null;
+}
+
+// ADMIN_TOKEN, when set, is a service credential with the admin role (for
+// scripts, and to create the first user)
+function isAdminToken(given) {
+  const token = process.env.ADMIN_TOKEN;
+  if (!token || !given) return false;
+  const a = Buffer.from(given);
+  const b = Buffer.from(token);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Sets req.user to { user_id, username, role, restrictions } from the
+ * Bearer token or session cookie, or to null. Never rejects a request
+ * itself; see requireRole.
+ */
+async function authenticate(req, res, next) {
+  req.user = null;
+  const bearer = (req.get("authorization") || "").replace(/^Bearer\s+/i, "");
+  try {
+    if (isAdminToken(bearer)) {
+      req.user = {
+        user_id: null,
+        username: "admin-token",
+        role: "admin",
+        restrictions: {},
+      };
+    } else {
+      const payload = verifyToken(bearer || cookieToken(req));
+      const user = payload && (await loadUser(payload.sub));
+      if (user && !user.disabled) req.user = user;
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Middleware allowing signed-in users with at least `role`.
+ */
+function requireRole(role) {
+  const needed = ROLES.indexOf(role);
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        error: "Unauthorized",
+        details: "Sign in to continue",
+        suggestion: "Log in at /login.html",
+      });
+    }
+    if (ROLES.indexOf(req.user.role) < needed) {
+      return res.status(403).json({
+        error: "Forbidden",
+        details: `This needs the ${role} role; you are ${req.user.role}`,
+      });
+    }
+    next();
+  };
+}
+
+const hasRole = (user, role) =>
+  Boolean(user) && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+
+/**
+ * What a user's queries may see, passed down to the SQL execution layer
+ * (see db.js and results.js).
+ * @returns {Object} { user, rowFilter } where rowFilter is null when the
+ *   user is unrestricted.
+ */
+function accessFor(user) {
+  const restrictions = (user && user.restrictions) || {};
+  return {
+    user: user ? user.username : null,
+    rowFilter: Object.keys(restrictions).length > 0 ? restrictions : null,
+  };
+}
+
+function setSessionCookie(req, res, token, expiresAt) {
+  const secure = req.secure || req.get("x-forwarded-proto") === "https";
+  res.setHeader(
+    "Set-Cookie",
+    `${COOKIE_NAME}=${encodeURIComponent(
+      token
+    )}; Path=/; HttpOnly; SameSite=Lax; ${
+      expiresAt ? `Expires=${expiresAt.toUTCString()}` : "Max-Age=0"
+    }${secure ? "; Secure" : ""}`
+  );
+}
+
+module.exports = {
+  ROLES,
+  login,
+  listUsers,
+  createUser,
+  updateUser,
+  deleteUser,
+  authenticate,
+  requireRole,
+  hasRole,
+  accessFor,
+  setSessionCookie,
+};
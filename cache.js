@@ -0,0 +1,218 @@
+// cache.js
+// Two-level answer cache for the question pipeline:
+//   1. normalized question (+ resolved entities) -> vetted SQL, which skips
+//      SQL generation
+//   2. SQL + row filter + data version -> first page, chart and summary,
+//      which skips execution and summarization
+// The data version is advanced by every load (etl/load.mjs), so cached
+// results never outlive the data they were computed from. Entries live in
+// memory, or in the query_cache table with QUERY_CACHE=postgres so they are
+// shared between processes and survive restarts.
+
+const crypto = require("crypto");
+const { executeQuery } = require("./db");
+require("dotenv").config();
+
+// "memory" (default), "postgres" or "off"
+const QUERY_CACHE = process.env.QUERY_CACHE || "memory";
+
+const SQL_TTL_MS =
+  parseInt(process.env.QUERY_CACHE_SQL_TTL_MS, 10) || 24 * 60 * 60 * 1000;
+const RESULT_TTL_MS =
+  parseInt(process.env.QUERY_CACHE_RESULT_TTL_MS, 10) || 24 * 60 * 60 * 1000;
+const MAX_ENTRIES = parseInt(process.env.QUERY_CACHE_MAX_ENTRIES, 10) || 1000;
+
+function createMemoryStore() {
+  const entries = new Map(); // key -> { value, cachedAt, expiresAt }
+
+  return {
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      entries.delete(key);
+      if (entry.expiresAt <= Date.now()) return null;
+      // Least recently used first, as in conversations.js
+      entries.set(key, entry);
+      return { value: entry.value, cachedAt: entry.cachedAt };
+    },
+    async set(key, value, ttlMs) {
+      entries.delete(key);
+      entries.set(key, {
+        value,
+        cachedAt: new Date(),
+        expiresAt: Date.now() + ttlMs,
+      });
+      while (entries.size > MAX_ENTRIES) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+    async delete(key) {
+      entries.delete(key);
+    },
+  };
+}
+
+function createPostgresStore() {
+  return {
+    async get(key) {
+      const { rows } = await executeQuery(
+        `SELECT value, created_at FROM query_cache
+          WHERE cache_key = $1 AND expires_at > now()`,
+        [key]
+      );
+      return rows[0]
+        ? { value: rows[0].value, cachedAt: rows[0].created_at }
+        : null;
+    },
+    async set(key, value, ttlMs) {
+      await executeQuery(
+        `INSERT INTO query_cache (cache_key, value, expires_at)
+         VALUES ($1, $2, now() + $3 * interval '1 millisecond')
+         ON CONFLICT (cache_key) DO UPDATE
+           SET value = EXCLUDED.value, created_at = now(),
+               expires_at = EXCLUDED.expires_at`,
+        [key, JSON.stringify(value), ttlMs]
+      );
+      await executeQuery("DELETE FROM query_cache WHERE expires_at <= now()");
+    },
+    async delete(key) {
+      await executeQuery("DELETE FROM query_cache WHERE cache_key = $1", [key]);
+    },
+  };
+}
+
+const STORES = { memory: createMemoryStore, postgres: createPostgresStore };
+if (QUERY_CACHE !== "off" && !STORES[QUERY_CACHE]) {
+  throw new Error(
+    `QUERY_CACHE "${QUERY_CACHE}" is not one of: memory, postgres, off`
+  );
+}
+const store = QUERY_CACHE === "off" ? null : STORES[QUERY_CACHE]();
+
+const hashKey = (level, parts) =>
+  `${level}:${crypto
+    .createHash("sha256")
+    .update(JSON.stringify(parts))
+    .digest("hex")}`;
+
+// A cache problem must never fail a question; it only costs the hit
+async function safely(action, fn) {
+  try {
+    return await fn();
+  } catch (error) {
+    console.error(`[ERROR] Query cache ${action} failed:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * The form of a question used as its cache key: case, spacing and trailing
+ * punctuation don't make a different question.
+ */
+function normalizeQuestion(question) {
+  return String(question)
+    .normalize("NFKC")
+    .toLowerCase()
+    .replace(/\s+/g, " ")
+    .replace(/[\s?!.]+$/, "")
+    .trim();
+}
+
+// The resolved entities pin filter values in the SQL, so they are part of
+// the question's key (an alias may point elsewhere tomorrow)
+const sqlKey = (question, entities = []) =>
+  hashKey("sql", [
+    normalizeQuestion(question),
+    entities.map((e) => `${e.entity}=${e.canonical}`).sort(),
+  ]);
+
+/**
+ * Vetted SQL for a question: SQL that passed validation and ran.
+ * @param {string} question The question as asked.
+ * @param {Array<Object>} entities Its resolved mentions ({ entity,
+ *   canonical }).
+ * @returns {Promise<Object|null>} { sql, cachedAt }
+ */
+async function lookupSql(question, entities) {
+  if (!store) return null;
+  const hit = await safely("lookup", () =>
+    store.get(sqlKey(question, entities))
+  );
+  return hit ? { sql: hit.value.sql, cachedAt: hit.cachedAt } : null;
+}
+
+async function rememberSql(question, entities, sql) {
+  if (!store) return;
+  await safely("store", () =>
+    store.set(sqlKey(question, entities), { sql }, SQL_TTL_MS)
+  );
+}
+
+async function forgetSql(question, entities) {
+  if (!store) return;
+  await safely("delete", () => store.delete(sqlKey(question, entities)));
+}
+
+/**
+ * The current data version, or null when it can't be read (results are
+ * then neither looked up nor stored).
+ * @returns {Promise<number|null>}
+ */
+async function getDataVersion() {
+  if (!store) return null;
+  const rows = await safely("version check", async () => {
+    const result = await executeQuery("SELECT version FROM data_version");
+    return result.rows;
+  });
+  return rows && rows[0] ? Number(rows[0].version) : null;
+}
+
+// Restrictions of different users can list the same values in any order
+const canonicalFilter = (rowFilter) =>
+  rowFilter
+    ? Object.keys(rowFilter)
+        .sort()
+        .map((key) => [key, [...rowFilter[key]].sort()])
+    : null;
+
+const resultKey = (sql, params, rowFilter, version) =>
+  hashKey("result", [sql.trim(), params, canonicalFilter(rowFilter), version]);
+
+/**
+ * A stored answer for SQL at a data version.
+ * @param {string} sql The validated SQL.
+ * @param {Array} params Its parameter values.
+ * @param {Object|null} rowFilter The asking user's restrictions; answers
+ *   are never shared between users who see different rows.
+ * @param {number|null} version From getDataVersion.
+ * @returns {Promise<Object|null>} { value, cachedAt } where value is what
+ *   rememberResult stored.
+ */
+async function lookupResult(sql, params, rowFilter, version) {
+  if (!store || version === null) return null;
+  return safely("lookup", () =>
+    store.get(resultKey(sql, params, rowFilter, version))
+  );
+}
+
+/**
+ * Stores an answer: { rows, fields, total, truncated, chart, summary }
+ * where rows is the first page.
+ */
+async function rememberResult(sql, params, rowFilter, version, value) {
+  if (!store || version === null) return;
+  await safely("store", () =>
+    store.set(resultKey(sql, params, rowFilter, version), value, RESULT_TTL_MS)
+  );
+}
+
+module.exports = {
+  QUERY_CACHE,
+  normalizeQuestion,
+  lookupSql,
+  rememberSql,
+  forgetSql,
+  getDataVersion,
+  lookupResult,
+  rememberResult,
+};
@@ -0,0 +1,164 @@
+// charts.js
+// Picks a chart for a result set from its column types and cardinality,
+// optionally letting the model refine the choice.
+
+const { describeColumns } = require("./exporter");
+const { getAiChartSpec } = require("./ai");
+require("dotenv").config();
+
+// Ask the model to refine the heuristic chart (one extra, small LLM call)
+const CHART_REFINE = process.env.CHART_REFINE === "true";
+
+const CHART_TYPES = new Set(["line", "bar", "grouped_bar", "scatter", "table"]);
+
+// Limits beyond which a chart stops being readable
+const MAX_CATEGORIES = 50;
+const MAX_SERIES = 8;
+const MAX_GROUPED_MEASURES = 3;
+
+// Integer columns that are calendar parts rather than measures
+const TIME_PART = /(^|_)(year|quarter|month|week|day)(_|$)/i;
+// Text columns holding dates, e.g. "2025-04" or "2025-04-01"
+const DATE_TEXT = /^\d{4}-\d{2}(-\d{2})?/;
+
+const distinctCount = (rows, name) =>
+  new Set(rows.map((row) => String(row[name]))).size;
+
+/**
+ * Suggests how to chart a result set.
+ * @param {Array<Object>} rows The result rows.
+ * @param {Array<Object>} fields The `fields` of the pg result.
+ * @returns {Object} { type, x, y, series, source } where type is "line",
+ *   "bar", "grouped_bar", "scatter" or "table" (no sensible chart), y is a
+ *   list of measure columns and series (or null) splits the data into one
+ *   line/bar group per value. Lines over calendar parts also carry xParts,
+ *   the columns that together label an x value (pst_year, pst_month).
+ */
+function suggestChart(rows, fields) {
+  const spec = (type, x = null, y = [], series = null) => ({
+    type,
+    x,
+    y,
+    series,
+    source: "heuristic",
+  });
+  if (!rows || rows.length < 2) return spec("table");
+
+  const columns = describeColumns(fields);
+  const isTime = (c) =>
+    c.kind === "date" ||
+    c.kind === "timestamp" ||
+    (c.kind === "text" &&
+      rows.every((r) => r[c.name] === null || DATE_TEXT.test(r[c.name]))) ||
+    (c.kind === "number" && TIME_PART.test(c.name));
+
+  const time = columns.filter(isTime);
+  const measures = columns.filter((c) => c.kind === "number" && !isTime(c));
+  const categories = columns
+    .filter((c) => c.kind === "text" && !isTime(c))
+    .map((c) => ({ ...c, distinct: distinctCount(rows, c.name) }));
+  const seriesColumn = categories.find(
+    (c) => c.distinct >= 2 && c.distinct <= MAX_SERIES
+  );
+
+  if (measures.length === 0) return spec("table");
+
+  // Trends: a date, timestamp or calendar column on the x axis. A real
+  // date wins; otherwise the last calendar column is usually the finest
+  // grain (pst_year, pst_month).
+  if (time.length > 0) {
+    const x = (time.find((c) => c.kind !== "number") || time[time.length - 1])
+      .name;
+    const line =
+      seriesColumn && categories.length === 1
+        ? spec("line", x, [measures[0].name], seriesColumn.name)
+        : spec(
+            "line",
+            x,
+            measures.slice(0, MAX_SERIES).map((m) => m.name)
+          );
+    // Calendar parts label the axis together, e.g. "2025-3"
+    if (time.every((c) => c.kind === "number")) {
+      line.xParts = time.map((c) => c.name);
+    }
+    return line;
+  }
+
+  // Comparisons across a category
+  const category = categories.find((c) => c.distinct <= MAX_CATEGORIES);
+  if (category) {
+    const other = categories.find(
+      (c) => c !== category && c.distinct >= 2 && c.distinct <= MAX_SERIES
+    );
+    if (other) {
+      return spec("grouped_bar", category.name, [measures[0].name], other.name);
+    }
+    if (measures.length > 1 && measures.length <= MAX_GROUPED_MEASURES) {
+      return spec(
+        "grouped_bar",
+        category.name,
+        measures.map((m) => m.name)
+      );
+    }
+    return spec("bar", category.name, [measures[0].name]);
+  }
+
+  // Two measures and no usable category: how they relate
+  if (categories.length === 0 && measures.length >= 2) {
+    return spec("scatter", measures[0].name, [measures[1].name]);
+  }
+
+  return spec("table");
+}
+
+// Keeps a model-proposed spec only if it names real columns.
+function checkSpec(spec, fields) {
+  const names = new Set(fields.map((f) => f.name));
+  if (!spec || !CHART_TYPES.has(spec.type)) return null;
+  if (spec.type === "table") {
+    return { type: "table", x: null, y: [], series: null, source: "model" };
+  }
+  const y = Array.isArray(spec.y) ? spec.y : [spec.y];
+  if (!names.has(spec.x) || y.length === 0 || !y.every((n) => names.has(n))) {
+    return null;
+  }
+  if (spec.series && !names.has(spec.series)) return null;
+  return {
+    type: spec.type,
+    x: spec.x,
+    y,
+    series: spec.series || null,
+    source: "model",
+  };
+}
+
+/**
+ * The chart for a result set: the heuristic suggestion, refined by the
+ * model when CHART_REFINE is on. Refinement failures fall back to the
+ * heuristic.
+ * @param {string} userQuery The question.
+ * @param {Array<Object>} rows The result rows.
+ * @param {Array<Object>} fields The `fields` of the pg result.
+ * @returns {Promise<Object>} A spec as returned by suggestChart.
+ */
+async function chooseChart(userQuery, rows, fields) {
+  const suggested = suggestChart(rows, fields);
+  if (!CHART_REFINE || !rows || rows.length < 2) return suggested;
+
+  try {
+    const proposed = await getAiChartSpec(
+      userQuery,
+      describeColumns(fields),
+      rows,
+      suggested
+    );
+    const refined = checkSpec(proposed, fields);
+    if (refined) return refined;
+    console.error("[ERROR] Model chart spec was unusable:", proposed);
+  } catch (error) {
+    console.error("[ERROR] Chart refinement failed:", error.message);
+  }
+  return suggested;
+}
+
+module.exports = { CHART_TYPES, suggestChart, chooseChart };
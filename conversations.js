@@ -0,0 +1,135 @@
+// conversations.js
+// In-memory conversation threads so follow-up questions ("now break that
+// down by domain") can see the previous questions, SQL and result shapes.
+// Each thread belongs to the user who started it; nobody else can see or
+// continue it.
+
+const crypto = require("crypto");
+require("dotenv").config();
+
+const CONVERSATION_TTL_MS =
+  parseInt(process.env.CONVERSATION_TTL_MS, 10) || 2 * 60 * 60 * 1000;
+const MAX_CONVERSATIONS =
+  parseInt(process.env.MAX_CONVERSATIONS, 10) || 1000;
+const MAX_TURNS = 20; // turns kept per thread
+const HISTORY_TURNS = 5; // turns sent to the model
+
+const conversations = new Map(); // id -> { id, user, parentId, turns, updatedAt }
+
+function evictStale() {
+  const now = Date.now();
+  for (const [id, convo] of conversations) {
+    if (now - convo.updatedAt > CONVERSATION_TTL_MS) conversations.delete(id);
+  }
+  // Map iteration order is insertion order; touch() re-inserts, so the
+  // first entries are the least recently used.
+  while (conversations.size > MAX_CONVERSATIONS) {
+    conversations.delete(conversations.keys().next().value);
+  }
+}
+
+function touch(convo) {
+  convo.updatedAt = Date.now();
+  conversations.delete(convo.id);
+  conversations.set(convo.id, convo);
+}
+
+/**
+ * Starts a thread.
+ * @param {Object} access { user } of the caller (auth.accessFor), who owns
+ *   the thread.
+ * @param {Array<Object>} turns Turns to start with (for forks).
+ * @param {string|null} parentId The thread this one was forked from.
+ * @returns {Object} The new conversation.
+ */
+function createConversation(access = {}, turns = [], parentId = null) {
+  evictStale();
+  const convo = {
+    id: crypto.randomUUID(),
+    user: access.user || null,
+    parentId,
+    turns,
+    createdAt: Date.now(),
+    updatedAt: Date.now(),
+  };
+  conversations.set(convo.id, convo);
+  return convo;
+}
+
+// The thread, or null when it is unknown, expired or another user's
+function getConversation(id, access = {}) {
+  const convo = conversations.get(id);
+  if (!convo || convo.user !== (access.user || null)) return null;
+  if (Date.now() - convo.updatedAt > CONVERSATION_TTL_MS) {
+    conversations.delete(id);
+    return null;
+  }
+  return convo;
+}
+
+/**
+ * Records a completed question on a thread.
+ * @param {Object} convo The conversation from createConversation/getConversation.
+ * @param {Object} turn { question, sql, columns, rowCount }
+ * @returns {number} The index of the new turn.
+ */
+function appendTurn(convo, { question, sql, columns, rowCount }) {
+  convo.turns.push({
+    question,
+    sql,
+    columns,
+    rowCount,
+    createdAt: new Date().toISOString(),
+  });
+  if (convo.turns.length > MAX_TURNS) {
+    convo.turns.splice(0, convo.turns.length - MAX_TURNS);
+  }
+  touch(convo);
+  return convo.turns.length - 1;
+}
+
+/**
+ * Starts a new thread that shares the first turns of an existing one.
+ * @param {string} id The thread to fork.
+ * @param {number} throughTurn Last turn index to keep (defaults to all).
+ * @param {Object} access { user } of the caller, who owns both threads.
+ * @returns {Object|null} The new conversation, or null if `id` is unknown
+ *   or another user's.
+ */
+function forkConversation(id, throughTurn, access = {}) {
+  const source = getConversation(id, access);
+  if (!source) return null;
+  const end =
+    throughTurn === undefined ? source.turns.length : Number(throughTurn) + 1;
+  const turns = source.turns.slice(0, end).map((turn) => ({ ...turn }));
+  return createConversation(access, turns, source.id);
+}
+
+function resetConversation(id, access = {}) {
+  const convo = getConversation(id, access);
+  if (!convo) return null;
+  convo.turns = [];
+  touch(convo);
+  return convo;
+}
+
+// The compact form of recent turns handed to getAiSql
+function historyForPrompt(convo) {
+  return convo.turns
+    .slice(-HISTORY_TURNS)
+    .map(({ question, sql, columns, rowCount }) => ({
+      question,
+      sql,
+      columns,
+      rowCount,
+    }));
+}
+
+module.exports = {
+  createConversation,
+  getConversation,
+  appendTurn,
+  forkConversation,
+  resetConversation,
+  historyForPrompt,
+};
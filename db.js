@@ -1,9 +1,14 @@
 // db.js
 // Manages the connection to the Neon PostgreSQL database.
 
-const { Pool } = require("pg");
+const { Pool, types } = require("pg");
 require("dotenv").config();
 
+// DATE columns are calendar days with no timezone. Keep them as YYYY-MM-DD
+// strings; parsing them to Dates would put them at server-local midnight,
+// which shifts the day once shown in another zone.
+types.setTypeParser(types.builtins.DATE, (value) => value);
+
 // The connection string is pulled from the .env file
 const connectionString = process.env.NEON_DATABASE_URL;
 
@@ -11,6 +16,18 @@ if (!connectionString) {
   throw new Error("NEON_DATABASE_URL is not set in the .env file.");
 }
 
+// Guard rails for AI-generated queries (see executeReadOnlyQuery)
+const STATEMENT_TIMEOUT_MS =
+  parseInt(process.env.SQL_STATEMENT_TIMEOUT_MS, 10) || 10000;
+const MAX_ROWS = parseInt(process.env.SQL_MAX_ROWS, 10) || 5000;
+
+// Prefix used to wrap untrusted queries so a row cap can be applied.
+const WRAP_PREFIX = "SELECT * FROM (";
+
+// Cursor used by streamReadOnlyQuery, and the rows it reads per FETCH
+const STREAM_CURSOR = "streamed_result";
+const STREAM_BATCH_ROWS = 500;
+
 const pool = new Pool({
   connectionString,
   ssl: {
@@ -40,4 +57,175 @@ async function executeQuery(sql, params = []) {
   }
 }
 
-module.exports = { executeQuery };
+/**
+ * Runs `fn` with a dedicated pooled client, for work that needs its own
+ * transaction (e.g. the import endpoint's loads).
+ * @param {Function} fn async (client) => result
+ * @returns {Promise<*>} What `fn` returns.
+ */
+async function withClient(fn) {
+  const client = await pool.connect();
+  try {
+    return await fn(client);
+  } finally {
+    client.release();
+  }
+}
+
+// Starts the READ ONLY transaction untrusted queries run in.
+async function beginReadOnly(client, timeoutMs, rowFilter) {
+  await client.query("BEGIN READ ONLY");
+  await client.query(`SET LOCAL statement_timeout = ${Number(timeoutMs)}`);
+  if (rowFilter) {
+    // Read by the v_sessions view (schema.sql) and reset at the end of the
+    // transaction. The SQL guard rejects set_config and current_setting,
+    // so the query itself cannot change it.
+    await client.query("SELECT set_config('app.row_filter', $1, true)", [
+      JSON.stringify(rowFilter),
+    ]);
+  }
+}
+
+// The error thrown for a failed untrusted query. It keeps the Postgres
+// diagnostics so callers can feed them back to the model; positions are
+// translated back to the caller's SQL (without the `prefix` it was run
+// with).
+function readOnlyError(error, timeoutMs, prefix) {
+  const dbError =
+    error.code === "57014"
+      ? new Error(
+          `Database execution error: query exceeded the ${timeoutMs}ms time limit`
+        )
+      : new Error(`Database execution error: ${error.message}`);
+  const position = parseInt(error.position, 10) - prefix.length;
+  dbError.pg = {
+    code: error.code,
+    message: error.message,
+    position: position > 0 ? position : undefined,
+    hint: error.hint,
+    detail: error.detail,
+  };
+  return dbError;
+}
+
+/**
+ * Executes an untrusted SELECT inside a READ ONLY transaction with a
+ * statement_timeout, capping the number of rows returned.
+ * @param {string} sql The SQL query string to execute (already validated).
+ * @param {Object} options Optional: { params, timeoutMs, maxRows, orderBy,
+ *   offset, rowFilter }. `params` are bound to $1, $2, ... in `sql`;
+ *   `orderBy` ({ column, direction }) sorts the result and `offset` skips
+ *   rows, for paging. The column must be one the query returns. `rowFilter`
+ *   ({ instructor: [...], ... }, see auth.js) limits the rows v_sessions
+ *   shows to this query.
+ * @returns {Promise<Object>} { rows, fields, truncated }
+ */
+async function executeReadOnlyQuery(sql, options = {}) {
+  const timeoutMs = options.timeoutMs || STATEMENT_TIMEOUT_MS;
+  const maxRows = options.maxRows || MAX_ROWS;
+  // Strip a trailing semicolon so the query can be wrapped as a subquery.
+  const inner = sql.trim().replace(/;\s*$/, "");
+  const order = options.orderBy
+    ? ` ORDER BY "${options.orderBy.column.replace(/"/g, '""')}" ${
+        options.orderBy.direction === "desc" ? "DESC" : "ASC"
+      } NULLS LAST`
+    : "";
+  const offset = options.offset ? ` OFFSET ${Number(options.offset)}` : "";
+
+  let client;
+  try {
+    client = await pool.connect();
+    await beginReadOnly(client, timeoutMs, options.rowFilter);
+    const result = await client.query(
+      `${WRAP_PREFIX}${inner}) AS capped_result${order} LIMIT ${
+        Number(maxRows) + 1
+      }${offset}`,
+      options.params || []
+    );
+    await client.query("COMMIT");
+
+    const truncated = result.rows.length > maxRows;
+    return {
+      rows: truncated ? result.rows.slice(0, maxRows) : result.rows,
+      fields: result.fields,
+      truncated,
+    };
+  } catch (error) {
+    if (client) await client.query("ROLLBACK").catch(() => {});
+    console.error("[ERROR] Read-only query failed:", error);
+    throw readOnlyError(error, timeoutMs, WRAP_PREFIX);
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+}
+
+/**
+ * Like executeReadOnlyQuery, but reads the result through a cursor and
+ * hands it over a batch at a time, so a large result is never held in
+ * memory. The next batch is only fetched once `onRows` has resolved, which
+ * lets a slow consumer hold the query back. The statement timeout applies
+ * to each FETCH.
+ * @param {string} sql The SQL query string to execute (already validated).
+ * @param {Object} options Optional: { params, timeoutMs, maxRows,
+ *   rowFilter }, as for executeReadOnlyQuery.
+ * @param {Function} onRows async (rows, fields) => void. Called at least
+ *   once, so the columns of an empty result are known too.
+ * @returns {Promise<Object>} { rowCount, truncated }
+ */
+async function streamReadOnlyQuery(sql, options, onRows) {
+  const timeoutMs = options.timeoutMs || STATEMENT_TIMEOUT_MS;
+  const maxRows = options.maxRows || MAX_ROWS;
+  const inner = sql.trim().replace(/;\s*$/, "");
+  const prefix = `DECLARE ${STREAM_CURSOR} NO SCROLL CURSOR FOR ${WRAP_PREFIX}`;
+
+  let client;
+  // Errors thrown by onRows are the consumer's and are passed on as they are
+  let consuming = false;
+  try {
+    client = await pool.connect();
+    await beginReadOnly(client, timeoutMs, options.rowFilter);
+    await client.query(
+      `${prefix}${inner}) AS capped_result LIMIT ${Number(maxRows) + 1}`,
+      options.params || []
+    );
+
+    let rowCount = 0;
+    let truncated = false;
+    for (;;) {
+      const batch = await client.query(
+        `FETCH ${STREAM_BATCH_ROWS} FROM ${STREAM_CURSOR}`
+      );
+      let rows = batch.rows;
+      if (rowCount + rows.length > maxRows) {
+        rows = rows.slice(0, maxRows - rowCount);
+        truncated = true;
+      }
+      rowCount += rows.length;
+      consuming = true;
+      await onRows(rows, batch.fields);
+      consuming = false;
+      if (truncated || batch.rows.length < STREAM_BATCH_ROWS) break;
+    }
+    await client.query("COMMIT");
+    return { rowCount, truncated };
+  } catch (error) {
+    if (client) await client.query("ROLLBACK").catch(() => {});
+    if (consuming) throw error;
+    console.error("[ERROR] Read-only query failed:", error);
+    throw readOnlyError(error, timeoutMs, prefix);
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+}
+
+module.exports = {
+  executeQuery,
+  executeReadOnlyQuery,
+  streamReadOnlyQuery,
+  withClient,
+  MAX_ROWS,
+};
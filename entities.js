@@ -0,0 +1,366 @@
+// entities.js
+// Resolves mentions of instructors, classes, domains and session types in a
+// question to their canonical dimension values, using the dimension tables
+// and the dim_value_alias synonyms table.
+
+const { executeQuery } = require("./db");
+const { editDistance } = require("./fuzzy");
+require("dotenv").config();
+
+const ENTITY_SOURCES = {
+  instructor: { table: "dim_instructor", column: "instructor_name" },
+  class: { table: "dim_class", column: "class_name" },
+  domain: { table: "dim_domain", column: "domain_name" },
+  type: { table: "dim_type", column: "type_name" },
+};
+const ENTITIES = Object.keys(ENTITY_SOURCES);
+
+const DICTIONARY_TTL_MS =
+  parseInt(process.env.ENTITY_DICTIONARY_TTL_MS, 10) || 5 * 60 * 1000;
+
+// Minimum score for a candidate to be considered at all, and how far ahead
+// the best candidate must be of the runner-up to be picked without asking.
+const MIN_SCORE = 0.75;
+const CLEAR_WIN_MARGIN = 0.1;
+
+// Longest mention (in words) looked for in a question
+const MAX_NGRAM = 4;
+
+// Words that never start or end a mention on their own
+const STOPWORDS = new Set(
+  (
+    "a an and are as at by compare did do does for from has have how in is it " +
+    "its last list me most of on or over per show than that the their this " +
+    "to top vs was were what which who with best worst highest lowest " +
+    "quarter month year q1 q2 q3 q4"
+  ).split(" ")
+);
+
+// A clarification pick the caller has to fix (see describeQueryError)
+function invalidChoice(message) {
+  const error = new Error(message);
+  error.status = 400;
+  error.invalidChoice = true;
+  return error;
+}
+
+let dictionary = null; // { loadedAt, terms }
+let pending = null;
+
+const normalize = (s) =>
+  s
+    .toString()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+
+const initials = (s) =>
+  normalize(s)
+    .split(" ")
+    .filter((w) => w && !STOPWORDS.has(w))
+    .map((w) => w[0])
+    .join("");
+
+// True when every word of the mention is a prefix of the matching word of
+// the term, e.g. "data sci" -> "data science"
+function isWordPrefix(mention, term) {
+  const m = mention.split(" ");
+  const t = term.split(" ");
+  if (m.length !== t.length) return false;
+  return m.every((w, i) => t[i].startsWith(w)) && mention !== term;
+}
+
+async function loadDictionary() {
+  const terms = [];
+
+  for (const entity of ENTITIES) {
+    const { table, column } = ENTITY_SOURCES[entity];
+    const { rows } = await executeQuery(
+      `SELECT ${column} AS name FROM ${table}`
+    );
+    for (const { name } of rows) {
+      terms.push({ entity, canonical: name, term: normalize(name), kind: "name" });
+      // Instructors are often referred to by first or last name only
+      if (entity === "instructor") {
+        const parts = normalize(name).split(" ");
+        if (parts.length > 1) {
+          for (const part of [parts[0], parts[parts.length - 1]]) {
+            if (part.length > 2) {
+              terms.push({ entity, canonical: name, term: part, kind: "partial" });
+            }
+          }
+        }
+      }
+    }
+  }
+
+  const { rows: aliases } = await executeQuery(
+    "SELECT entity, canonical, alias, weight FROM dim_value_alias"
+  );
+  for (const a of aliases) {
+    terms.push({
+      entity: a.entity,
+      canonical: a.canonical,
+      term: normalize(a.alias),
+      kind: "alias",
+      weight: Number(a.weight) || 1,
+    });
+  }
+
+  return { loadedAt: Date.now(), terms };
+}
+
+async function getDictionary() {
+  if (dictionary && Date.now() - dictionary.loadedAt < DICTIONARY_TTL_MS) {
+    return dictionary;
+  }
+  if (!pending) {
+    pending = loadDictionary()
+      .then((d) => (dictionary = d))
+      .finally(() => {
+        pending = null;
+      });
+  }
+  return pending;
+}
+
+/**
+ * Drops the cached dictionary so alias or dimension changes are seen on
+ * the next resolution.
+ */
+function invalidateEntityDictionary() {
+  dictionary = null;
+}
+
+// Scores how well a mention (normalized n-gram) matches a dictionary term.
+function scoreMatch(mention, term) {
+  const { term: value, kind } = term;
+  if (mention === value) {
+    // Alias weight breaks ties between aliases shared across entities
+    if (kind === "alias") return 0.9 + 0.1 * Math.min(1, term.weight);
+    return kind === "partial" ? 0.85 : 1;
+  }
+  // Acronyms such as "ds" for "data science" (names only, not aliases)
+  if (
+    kind === "name" &&
+    !mention.includes(" ") &&
+    mention.length >= 2 &&
+    mention === initials(value) &&
+    value.includes(" ")
+  ) {
+    return 0.8;
+  }
+  if (mention.length >= 3 && isWordPrefix(mention, value)) return 0.85;
+  if (mention.length >= 5) {
+    const distance = editDistance(mention, value);
+    const similarity = 1 - distance / Math.max(mention.length, value.length);
+    if (similarity >= 0.8) return similarity * 0.95;
+  }
+  return 0;
+}
+
+// All n-grams of the question that could be a mention, with word offsets.
+function mentionsOf(question) {
+  const original = question.split(/\s+/).filter(Boolean);
+  const words = original.map((w) =>
+    normalize(w.replace(/['’]s$/i, "")).replace(/ /g, "")
+  );
+  const spans = [];
+  for (let n = Math.min(MAX_NGRAM, words.length); n >= 1; n--) {
+    for (let start = 0; start + n <= words.length; start++) {
+      const slice = words.slice(start, start + n);
+      if (slice.some((w) => !w)) continue;
+      if (STOPWORDS.has(slice[0]) || STOPWORDS.has(slice[n - 1])) continue;
+      spans.push({
+        start,
+        end: start + n,
+        text: slice.join(" "),
+        raw: original
+          .slice(start, start + n)
+          .join(" ")
+          .replace(/^[^\w]+|[^\w]+$/g, ""),
+      });
+    }
+  }
+  return spans;
+}
+
+/**
+ * Finds entity mentions in a question.
+ * @param {string} question The user's natural language question.
+ * @param {Array<Object>} choices Optional user picks for previously ambiguous
+ *   mentions: [{ mention, entity, canonical }]. A pick must be one of the
+ *   candidates found for its mention.
+ * @param {Object} access { rowFilter } of the caller (auth.accessFor). Values
+ *   outside the caller's restrictions are never matched, so a restricted
+ *   user can't learn them from a clarification, as with the dimension
+ *   endpoints.
+ * @returns {Promise<Object>} { resolved, ambiguous } where resolved items are
+ *   { mention, entity, canonical, score, source } and ambiguous items are
+ *   { mention, candidates: [{ entity, canonical, score }] }.
+ * @throws {Error} With `.status = 400` and `.invalidChoice` for a malformed
+ *   pick, or one that is not a candidate for its mention.
+ */
+async function resolveEntities(question, choices = [], access = {}) {
+  if (
+    !Array.isArray(choices) ||
+    !choices.every(
+      (c) =>
+        c &&
+        typeof c.mention === "string" &&
+        typeof c.entity === "string" &&
+        typeof c.canonical === "string"
+    )
+  ) {
+    throw invalidChoice(
+      "choices must be a list of { mention, entity, canonical } strings"
+    );
+  }
+
+  const rowFilter = access.rowFilter || {};
+  const terms = (await getDictionary()).terms.filter(
+    (term) =>
+      !rowFilter[term.entity] || rowFilter[term.entity].includes(term.canonical)
+  );
+  const found = [];
+
+  for (const span of mentionsOf(question)) {
+    // Best score per (entity, canonical) for this span
+    const byValue = new Map();
+    for (const term of terms) {
+      const score = scoreMatch(span.text, term);
+      if (score < MIN_SCORE) continue;
+      const key = `${term.entity}\u0000${term.canonical}`;
+      const prev = byValue.get(key);
+      if (!prev || prev.score < score) {
+        byValue.set(key, {
+          entity: term.entity,
+          canonical: term.canonical,
+          score: Math.round(score * 100) / 100,
+          source: term.kind,
+        });
+      }
+    }
+    if (byValue.size > 0) {
+      const candidates = [...byValue.values()].sort(
+        (a, b) => b.score - a.score
+      );
+      found.push({ ...span, candidates });
+    }
+  }
+
+  // Prefer the strongest, then the longest, mentions; drop overlaps
+  found.sort(
+    (a, b) =>
+      b.candidates[0].score - a.candidates[0].score ||
+      b.end - b.start - (a.end - a.start)
+  );
+  const taken = new Set();
+  const resolved = [];
+  const ambiguous = [];
+
+  for (const span of found) {
+    const words = [];
+    for (let i = span.start; i < span.end; i++) words.push(i);
+    if (words.some((i) => taken.has(i))) continue;
+    words.forEach((i) => taken.add(i));
+
+    const choice = choices.find(
+      (c) => c.mention.toLowerCase() === span.raw.toLowerCase()
+    );
+    if (choice) {
+      // Only values of the dictionary reach the prompt
+      const picked = span.candidates.find(
+        (c) => c.entity === choice.entity && c.canonical === choice.canonical
+      );
+      if (!picked) {
+        throw invalidChoice(
+          `"${choice.canonical}" (${choice.entity}) is not one of the values "${span.raw}" can mean`
+        );
+      }
+      resolved.push({
+        mention: span.raw,
+        entity: picked.entity,
+        canonical: picked.canonical,
+        score: 1,
+        source: "user",
+      });
+      continue;
+    }
+
+    const [best, runnerUp] = span.candidates;
+    if (!runnerUp || best.score - runnerUp.score >= CLEAR_WIN_MARGIN) {
+      resolved.push({ mention: span.raw, ...best });
+    } else {
+      ambiguous.push({
+        mention: span.raw,
+        candidates: span.candidates
+          .filter((c) => best.score - c.score < CLEAR_WIN_MARGIN)
+          .map(({ entity, canonical, score }) => ({ entity, canonical, score })),
+      });
+    }
+  }
+
+  return { resolved, ambiguous };
+}
+
+// --- Alias administration --------------------------------------------------
+
+async function listAliases(entity) {
+  const { rows } = entity
+    ? await executeQuery(
+        `SELECT entity, canonical, alias, weight FROM dim_value_alias
+          WHERE entity = $1 ORDER BY entity, canonical, alias`,
+        [entity]
+      )
+    : await executeQuery(
+        `SELECT entity, canonical, alias, weight FROM dim_value_alias
+          ORDER BY entity, canonical, alias`
+      );
+  return rows;
+}
+
+/**
+ * Adds (or re-weights) an alias. The canonical value must exist in the
+ * entity's dimension table.
+ * @returns {Promise<Object>} The stored alias row.
+ */
+async function addAlias({ entity, canonical, alias, weight = 1 }) {
+  const { table, column } = ENTITY_SOURCES[entity];
+  const { rows: existing } = await executeQuery(
+    `SELECT 1 FROM ${table} WHERE ${column} = $1`,
+    [canonical]
+  );
+  if (existing.length === 0) {
+    throw new Error(`Unknown ${entity} "${canonical}"`);
+  }
+
+  const { rows } = await executeQuery(
+    `INSERT INTO dim_value_alias (entity, canonical, alias, weight)
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT (entity, alias)
+     DO UPDATE SET canonical = EXCLUDED.canonical, weight = EXCLUDED.weight
+     RETURNING entity, canonical, alias, weight`,
+    [entity, canonical, alias.trim(), weight]
+  );
+  invalidateEntityDictionary();
+  return rows[0];
+}
+
+async function deleteAlias(entity, alias) {
+  const { rowCount } = await executeQuery(
+    "DELETE FROM dim_value_alias WHERE entity = $1 AND alias = $2",
+    [entity, alias]
+  );
+  invalidateEntityDictionary();
+  return rowCount > 0;
+}
+
+module.exports = {
+  ENTITIES,
+  resolveEntities,
+  invalidateEntityDictionary,
+  listAliases,
+  addAlias,
+  deleteAlias,
+};
@@ -0,0 +1,416 @@
+/**
+ * Database side of the loader, shared by the CLI (load_excel.mjs) and the
+ * import endpoint (server.js): validates source rows, records the run in
+ * etl_batch, stages the rows and merges them into fact_session in one
+ * transaction, which only commits if the data quality rules (quality.js)
+ * pass.
+ */
+
+import path from "path";
+import { normalizeRow } from "./normalize.mjs";
+import { REPORTING_TZ } from "../timezone.js";
+import { checkQuality, blockingRules, saveRun } from "../quality.js";
+
+/**
+ * Normalizes every row of every source.
+ * @param {Array<Object>} sources [{ file, sheet, rows, cols }] where rows
+ *   come from a reader (readers.mjs) and cols is the column mapping.
+ * @returns {Object} { staged, rejects, badDate } where staged rows are
+ *   { sourceIdx, sheetRow, value } and rejects { file, sheet, row, reason,
+ *   raw }.
+ */
+function validateSources(sources) {
+  const staged = [];
+  const rejects = [];
+  let badDate = 0;
+  sources.forEach((source, sourceIdx) => {
+    for (const { row: sheetRow, values: r = {}, error } of source.rows) {
+      const {
+        value,
+        reason,
+        badDate: isBadDate,
+      } = error ? { reason: error } : normalizeRow(r, source.cols);
+      if (value) {
+        staged.push({ sourceIdx, sheetRow, value });
+        continue;
+      }
+      if (isBadDate) badDate++;
+      rejects.push({
+        file: source.file,
+        sheet: source.sheet,
+        row: sheetRow,
+        reason,
+        raw: r,
+      });
+    }
+  });
+  return { staged, rejects, badDate };
+}
+
+async function startBatch(db, { sources, dryRun }) {
+  const { rows } = await db.query(
+    `INSERT INTO etl_batch (source_file, sheet_name, dry_run)
+     VALUES ($1, $2, $3)
+     RETURNING batch_id`,
+    [
+      [...new Set(sources.map((s) => path.basename(s.file)))].join(", "),
+      sources
+        .map((s) => s.sheet)
+        .filter(Boolean)
+        .join(", ") || null,
+      dryRun,
+    ]
+  );
+  return rows[0].batch_id;
+}
+
+async function finishBatch(db, batchId, status, counts, error = null) {
+  await db.query(
+    `UPDATE etl_batch
+        SET status = $2, inserted = $3, updated = $4, rejected = $5,
+            error = $6, finished_at = now()
+      WHERE batch_id = $1`,
+    [batchId, status, counts.inserted, counts.updated, counts.rejected, error]
+  );
+}
+
+// Tells the server's answer cache (cache.js) that the facts changed, after
+// recomputing the scorecard rollups from them (schema.sql). Runs in the
+// caller's transaction, so a rolled back change leaves both alone.
+async function markDataChanged(db) {
+  await db.query("SELECT refresh_session_rollups()");
+  await db.query(
+    "UPDATE data_version SET version = version + 1, changed_at = now()"
+  );
+}
+
+// Rows per staging INSERT; each column is sent as one array parameter
+const STAGE_CHUNK = 1000;
+
+const STAGE_COLUMNS = [
+  ["source_idx", "int"],
+  ["sheet_row", "int"],
+  ["topic_code", "text"],
+  ["type_name", "text"],
+  ["domain_name", "text"],
+  ["class_name", "text"],
+  ["instructor_name", "text"],
+  ["pst_date", "date"],
+  ["session_ts_utc", "timestamptz"],
+  ["average", "numeric"],
+  ["responses", "numeric"],
+  ["students_attended", "numeric"],
+  ["rated_pct", "numeric"],
+];
+
+const DIMENSIONS = [
+  ["dim_type", "type_name"],
+  ["dim_domain", "domain_name"],
+  ["dim_class", "class_name"],
+  ["dim_instructor", "instructor_name"],
+];
+
+// Staged rows with their dimension ids; the last row for a natural key wins
+const RESOLVED = `
+  SELECT DISTINCT ON (s.topic_code, dt.type_id, dd.domain_id, dc.class_id,
+                      di.instructor_id, s.pst_date)
+         s.*, dt.type_id, dd.domain_id, dc.class_id, di.instructor_id
+    FROM stage_session s
+    JOIN dim_type dt ON dt.type_name = s.type_name
+    JOIN dim_domain dd ON dd.domain_name = s.domain_name
+    JOIN dim_class dc ON dc.class_name = s.class_name
+    JOIN dim_instructor di ON di.instructor_name = s.instructor_name
+   ORDER BY s.topic_code, dt.type_id, dd.domain_id, dc.class_id,
+            di.instructor_id, s.pst_date, s.source_idx DESC, s.sheet_row DESC`;
+
+const NATURAL_KEY = `
+  fs.topic_code = r.topic_code AND fs.type_id = r.type_id
+  AND fs.domain_id = r.domain_id AND fs.class_id = r.class_id
+  AND fs.instructor_id = r.instructor_id AND fs.pst_date = r.pst_date`;
+
+// Copies normalized rows into a temporary staging table, one multi-row
+// INSERT per chunk.
+async function stageRows(db, staged) {
+  await db.query(
+    `CREATE TEMP TABLE stage_session (
+       ${STAGE_COLUMNS.map(([name, type]) => `${name} ${type}`).join(", ")}
+     ) ON COMMIT DROP`
+  );
+  for (let i = 0; i < staged.length; i += STAGE_CHUNK) {
+    const chunk = staged.slice(i, i + STAGE_CHUNK);
+    const columns = [
+      chunk.map((s) => s.sourceIdx),
+      chunk.map((s) => s.sheetRow),
+      chunk.map((s) => s.value.topic || null),
+      chunk.map((s) => s.value.type),
+      chunk.map((s) => s.value.domain),
+      chunk.map((s) => s.value.class),
+      chunk.map((s) => s.value.instructor),
+      chunk.map((s) => s.value.pstDate),
+      chunk.map((s) => s.value.sessionTs),
+      chunk.map((s) => s.value.average),
+      chunk.map((s) => s.value.responses),
+      chunk.map((s) => s.value.attended),
+      chunk.map((s) => s.value.rated),
+    ];
+    await db.query(
+      `INSERT INTO stage_session
+       SELECT * FROM unnest(${STAGE_COLUMNS.map(
+         ([, type], n) => `$${n + 1}::${type}[]`
+       ).join(", ")})`,
+      columns
+    );
+  }
+}
+
+// Adds dimension values the staged rows use that don't exist yet.
+async function addDimensions(db) {
+  let added = 0;
+  for (const [table, column] of DIMENSIONS) {
+    const { rowCount } = await db.query(
+      `INSERT INTO ${table} (${column})
+       SELECT DISTINCT ${column} FROM stage_session
+       ON CONFLICT (${column}) DO NOTHING`
+    );
+    added += rowCount;
+  }
+  return added;
+}
+
+// Rows the merge would insert or update, in sheet order.
+async function previewMerge(db, limit) {
+  const { rows } = await db.query(
+    `SELECT r.source_idx, r.sheet_row, r.topic_code, r.type_name,
+            r.domain_name, r.class_name, r.instructor_name,
+            to_char(r.pst_date, 'YYYY-MM-DD') AS pst_date,
+            EXISTS (SELECT 1 FROM fact_session fs WHERE ${NATURAL_KEY})
+              AS already_loaded
+       FROM (${RESOLVED}) r
+      ORDER BY r.source_idx, r.sheet_row
+      LIMIT $1`,
+    [limit]
+  );
+  return rows;
+}
+
+/**
+ * Merges the staged rows into fact_session. Rows it overwrites keep their
+ * previous values in etl_batch_change first, so the batch can be undone.
+ * @returns {Promise<{inserted: number, updated: number}>}
+ */
+async function mergeFacts(db, batchId) {
+  await db.query(
+    `INSERT INTO etl_batch_change (batch_id, session_id, previous)
+     SELECT $1::int, fs.session_id,
+            jsonb_build_object(
+              'average', fs.average, 'responses', fs.responses,
+              'students_attended', fs.students_attended,
+              'rated_pct', fs.rated_pct, 'session_ts_utc', fs.session_ts_utc,
+              'batch_id', fs.batch_id)
+       FROM (${RESOLVED}) r
+       JOIN fact_session fs ON ${NATURAL_KEY}
+     ON CONFLICT (batch_id, session_id) DO NOTHING`,
+    [batchId]
+  );
+
+  const { rows } = await db.query(
+    `WITH merged AS (
+       INSERT INTO fact_session
+         (topic_code, type_id, domain_id, class_id, instructor_id,
+          session_ts_utc, pst_date, pst_year, pst_month, pst_quarter, pst_month_start,
+          average, responses, students_attended, rated_pct, batch_id)
+       SELECT r.topic_code, r.type_id, r.domain_id, r.class_id, r.instructor_id,
+              r.session_ts_utc,
+              r.pst_date,
+              EXTRACT(YEAR FROM r.pst_date)::int,
+              EXTRACT(MONTH FROM r.pst_date)::int,
+              EXTRACT(QUARTER FROM r.pst_date)::int,
+              date_trunc('month', r.pst_date)::date,
+              r.average, round(r.responses)::int,
+              round(r.students_attended)::int, r.rated_pct, $1::int
+         FROM (${RESOLVED}) r
+       ON CONFLICT (topic_code, type_id, domain_id, class_id, instructor_id, pst_date)
+       DO UPDATE SET
+          average = EXCLUDED.average,
+          responses   = EXCLUDED.responses,
+          students_attended = EXCLUDED.students_attended,
+          rated_pct   = EXCLUDED.rated_pct,
+          session_ts_utc = EXCLUDED.session_ts_utc,
+          batch_id    = EXCLUDED.batch_id
+       RETURNING xmax = 0 AS inserted_flag
+     )
+     SELECT count(*) FILTER (WHERE inserted_flag)::int AS inserted,
+            count(*) FILTER (WHERE NOT inserted_flag)::int AS updated
+       FROM merged`,
+    [batchId]
+  );
+  return rows[0];
+}
+
+/**
+ * Undoes a committed batch: rows it inserted are deleted and rows it
+ * updated get their previous values back. Rows a later batch has written
+ * since are left alone.
+ */
+async function rollbackBatch(db, batchId) {
+  const { rows: batches } = await db.query(
+    "SELECT status FROM etl_batch WHERE batch_id = $1",
+    [batchId]
+  );
+  if (batches.length === 0) throw new Error(`batch ${batchId} not found`);
+  if (batches[0].status !== "committed") {
+    throw new Error(
+      `batch ${batchId} is ${batches[0].status}; only committed batches can be rolled back`
+    );
+  }
+
+  await db.query("BEGIN");
+  try {
+    const restored = await db.query(
+      `UPDATE fact_session fs
+          SET average = (c.previous->>'average')::numeric,
+              responses = (c.previous->>'responses')::int,
+              students_attended = (c.previous->>'students_attended')::int,
+              rated_pct = (c.previous->>'rated_pct')::numeric,
+              session_ts_utc = COALESCE(
+                (c.previous->>'session_ts_utc')::timestamptz,
+                fs.session_ts_utc),
+              batch_id = (c.previous->>'batch_id')::int
+         FROM etl_batch_change c
+        WHERE c.batch_id = $1
+          AND fs.session_id = c.session_id
+          AND fs.batch_id = $1`,
+      [batchId]
+    );
+    const deleted = await db.query(
+      `DELETE FROM fact_session fs
+        WHERE fs.batch_id = $1
+          AND NOT EXISTS (SELECT 1 FROM etl_batch_change c
+                           WHERE c.batch_id = $1
+                             AND c.session_id = fs.session_id)`,
+      [batchId]
+    );
+    await db.query(
+      `UPDATE etl_batch SET status = 'rolled_back', rolled_back_at = now()
+        WHERE batch_id = $1`,
+      [batchId]
+    );
+    await markDataChanged(db);
+    await db.query("COMMIT");
+    return { restored: restored.rowCount, deleted: deleted.rowCount };
+  } catch (e) {
+    await db.query("ROLLBACK");
+    throw e;
+  }
+}
+
+/**
+ * Loads sources as one batch.
+ * @param {Object} db A connected pg client (not a pool; the load runs in a
+ *   transaction).
+ * @param {Array<Object>} sources As validateSources.
+ * @param {Object} options { dryRun, previewLimit, failOn, timed } where
+ *   failOn is the quality severity that refuses the load (QUALITY_FAIL_ON by
+ *   default) and timed(phase, fn) may wrap each phase to measure it.
+ * @returns {Promise<Object>} { batchId, counts: { inserted, updated,
+ *   rejected }, badDate, rejects, staged, dimsAdded, preview, quality }
+ *   where staged is the number of valid rows, preview (dry runs only) lists
+ *   the rows the merge would write and quality is { runId, counts, summary,
+ *   blocking } for the batch's rows.
+ * @throws {Error} When the quality rules refuse the load, with `.quality`
+ *   as above; nothing is committed.
+ */
+async function loadSources(
+  db,
+  sources,
+  {
+    dryRun = false,
+    previewLimit = 20,
+    failOn,
+    timed = (phase, fn) => fn(),
+  } = {}
+) {
+  const { staged, rejects, badDate } = await timed("validate", () =>
+    validateSources(sources)
+  );
+  const counts = { inserted: 0, updated: 0, rejected: rejects.length };
+
+  // The batch row is written outside the load transaction so failed and
+  // dry runs are recorded too
+  const batchId = await startBatch(db, { sources, dryRun });
+  let dimsAdded = 0;
+  let preview = [];
+  let checked = null;
+  let blocking = [];
+
+  await db.query("BEGIN");
+  try {
+    await timed("stage", () => stageRows(db, staged));
+    dimsAdded = await timed("dimensions", () => addDimensions(db));
+    if (dryRun) {
+      preview = await timed("preview", () => previewMerge(db, previewLimit));
+    }
+    Object.assign(counts, await timed("merge", () => mergeFacts(db, batchId)));
+    // Checked before the commit, so refused rows never become visible
+    checked = await timed("quality", () => checkQuality(db, { batchId }));
+    blocking = blockingRules(checked, failOn);
+    if (blocking.length > 0 && !dryRun) {
+      throw new Error(
+        `data quality checks failed (${blocking
+          .map((b) => `${b.rule}: ${b.count}`)
+          .join(", ")}); nothing was loaded`
+      );
+    }
+    if (!dryRun) await timed("rollups", () => markDataChanged(db));
+    await timed("commit", () => db.query(dryRun ? "ROLLBACK" : "COMMIT"));
+  } catch (e) {
+    await db.query("ROLLBACK");
+    await finishBatch(db, batchId, "failed", counts, e.message);
+    if (checked) e.quality = await qualityReport(db, checked, blocking);
+    throw e;
+  }
+  await finishBatch(db, batchId, dryRun ? "dry_run" : "committed", counts);
+  const quality = await qualityReport(db, checked, blocking);
+
+  return {
+    batchId,
+    counts,
+    badDate,
+    rejects,
+    staged: staged.length,
+    dimsAdded,
+    preview,
+    quality,
+  };
+}
+
+// Stores a batch's quality findings (after the load transaction, so they
+// are kept when it was refused) and sums them up for the caller.
+async function qualityReport(db, checked, blocking) {
+  const runId = await saveRun(db, checked, "etl");
+  return { runId, counts: checked.counts, summary: checked.summary, blocking };
+}
+
+/**
+ * Re-derives the calendar columns (pst_date, pst_year, ...) of every fact
+ * row from its session_ts_utc in the current REPORTING_TZ, e.g. after the
+ * setting changed.
+ * @returns {Promise<number>} The number of rows whose calendar changed.
+ */
+async function recomputeCalendar(db) {
+  const local = "(session_ts_utc AT TIME ZONE $1)::date";
+  const { rowCount } = await db.query(
+    `UPDATE fact_session
+        SET pst_date = ${local},
+            pst_year = EXTRACT(YEAR FROM ${local})::int,
+            pst_month = EXTRACT(MONTH FROM ${local})::int,
+            pst_quarter = EXTRACT(QUARTER FROM ${local})::int,
+            pst_month_start = date_trunc('month', ${local})::date
+      WHERE pst_date IS DISTINCT FROM ${local}`,
+    [REPORTING_TZ]
+  );
+  if (rowCount > 0) await markDataChanged(db);
+  return rowCount;
+}
+
+export { validateSources, loadSources, rollbackBatch, recomputeCalendar };
@@ -1,254 +1,266 @@
 #!/usr/bin/env node
 /**
- * Excel → Neon Postgres loader for IK sessions (PST calendar)
+ * Excel → Neon Postgres loader for IK sessions (reporting-timezone calendar)
  * Works with your sheet columns exactly as in the screenshot:
  * Topic Code | Type | Domain | Class | Instructor | Session Date | Average | No of Student Responses | No of Students Attended | % Rated
  *
+ * - Reads .xlsx/.xls, .csv/.tsv (e.g. Google Sheets exports), .ndjson and
+ *   .json arrays (readers.mjs). Header names are matched through the column
+ *   mapping in mapping.json (normalize.mjs).
  * - Parses Excel serial dates, strings like "January 4, 2025", and JS Date objects.
  * - For each row stores:
- * * session_ts_utc = 09:00 America/Los_Angeles converted to UTC
- * * pst_date, pst_year, pst_month, pst_quarter, pst_month_start
- * - Upserts dimension rows, and upserts fact_session on natural key.
+ * * session_ts_utc = the session's start (its own time, a Session Time
+ *   column, or 09:00) in REPORTING_TZ (default America/Los_Angeles),
+ *   converted to UTC
+ * * pst_date, pst_year, pst_month, pst_quarter, pst_month_start in
+ *   REPORTING_TZ
+ * - Stages all rows in bulk, adds missing dimension values and merges into
+ *   fact_session on its natural key, in one transaction per run.
+ * - Records each run in etl_batch and tags the fact rows it writes with the
+ *   batch id, keeping the previous values of updated rows so the batch can
+ *   be rolled back.
+ * - Writes rows that can't be loaded, with the reason, to a rejection file.
+ * - Runs the data quality rules (quality.js) on the batch's rows before
+ *   committing and stores the findings; findings at or above
+ *   QUALITY_FAIL_ON (default: error) refuse the whole load.
  *
  * Usage:
  * DATABASE_URL=postgres://... node load_excel.mjs --file=../data/sessions.xlsx
+ *
+ * Options:
+ * --file=PATH         file to load; repeat (or comma-separate) for several
+ * --sheet=NAME        sheet to load (default: the first); repeatable
+ * --all-sheets        load every sheet of each file
+ * --format=KIND       reader to use instead of the file extension
+ *                     (xlsx, csv, tsv, ndjson, json)
+ * --mapping=PATH      extra header names per field, tried before
+ *                     mapping.json; <file>.mapping.json next to a source
+ *                     applies to that source only
+ * --dry-run           validate and preview inserts/updates, then roll back
+ * --preview=N         rows to list in a dry run (default 20)
+ * --rejects=PATH      rejection file, .csv or .json
+ *                     (default: <first file>.rejects.csv, written only if
+ *                     needed)
+ * --quality-fail-on=LEVEL  severity that refuses the load: error, warning,
+ *                     info or none (default QUALITY_FAIL_ON or error)
+ * --rollback=BATCH_ID undo a committed batch
+ * --recompute-calendar re-derive the pst_* columns of all rows from
+ *                     session_ts_utc after REPORTING_TZ changed
  */
 
 import "dotenv/config";
 import fs from "fs";
-import xlsx from "xlsx";
-import dayjs from "dayjs";
-import utc from "dayjs/plugin/utc.js"; // Import UTC plugin
+import path from "path";
+import { performance } from "perf_hooks";
 import { Client } from "pg";
+import { loadMapping, t } from "./normalize.mjs";
+import { readSource } from "./readers.mjs";
+import { loadSources, rollbackBatch, recomputeCalendar } from "./load.mjs";
+import { REPORTING_TZ } from "../timezone.js";
 
-dayjs.extend(utc); // Use UTC plugin
-
-const TZ = "America/Los_Angeles";
+// Rejected rows as CSV (file, sheet, sheet row, reason, then the original
+// columns) or JSON, depending on the file extension.
+function writeRejects(file, rejects) {
+  if (path.extname(file).toLowerCase() === ".json") {
+    fs.writeFileSync(file, JSON.stringify(rejects, null, 2));
+    return;
+  }
+  const headers = [...new Set(rejects.flatMap((r) => Object.keys(r.raw)))];
+  const cell = (v) => {
+    const s = t(v);
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+  const lines = [
+    ["File", "Sheet", "Sheet Row", "Reason", ...headers].map(cell).join(","),
+    ...rejects.map((r) =>
+      [r.file, r.sheet, r.row, r.reason, ...headers.map((h) => r.raw[h])]
+        .map(cell)
+        .join(",")
+    ),
+  ];
+  fs.writeFileSync(file, `${lines.join("\r\n")}\r\n`);
+}
 
-// This object maps the database fields to possible column names in your Excel file.
-const COLS = {
-  topic: ["Topic Code", "Topic code", "Topic", "Type Code"],
-  type: ["Type", "Session Type"],
-  domain: ["Domain"],
-  class: ["Class"],
-  instructor: ["Instructor", "Instructor Name"],
-  sessionDate: ["Session Date", "Date"],
-  average: ["Average", "Overall Average", "Overall Avg", "Avg", "Rating"],
-  responses: ["No of Student Responses", "No of", "Responses", "# Responses"],
-  attended: [
-    "No of Students Attended",
-    "Attended",
-    "# Attended",
-    "No of Students",
-  ],
-  ratedPct: ["% Rated", "Rated %", "% rated", "Percent Rated"],
+const argValue = (name) => {
+  const a = process.argv.find((x) => x.startsWith(`--${name}=`));
+  return a ? a.slice(name.length + 3) : null;
 };
+// Every value of a repeatable option, comma-separated values included
+const argValues = (name) =>
+  process.argv
+    .filter((x) => x.startsWith(`--${name}=`))
+    .flatMap((x) => x.slice(name.length + 3).split(","))
+    .map((v) => v.trim())
+    .filter(Boolean);
+const hasFlag = (name) => process.argv.includes(`--${name}`);
 
-const t = (v) => (v ?? "").toString().trim();
-const normKey = (k) => k.toString().replace(/\s+/g, " ").trim().toLowerCase();
-
-function pick(row, keys) {
-  const map = {};
-  for (const k of Object.keys(row)) map[normKey(k)] = k;
-  for (const want of keys) {
-    const real = map[normKey(want)];
-    if (real && row[real] !== "" && row[real] != null) return row[real];
-  }
-  return null;
-}
-function num(v) {
-  if (v === "" || v == null) return null;
-  if (typeof v === "number") return Number.isFinite(v) ? v : null;
-  const s = t(v).replace(/,/g, "");
-  const n = Number(s);
-  return Number.isFinite(n) ? n : null;
-}
-function pct(v) {
-  if (v === "" || v == null) return null;
-  if (typeof v === "number") return v <= 1 ? v * 100 : v; // Excel 0.25 -> 25
-  const s = t(v);
-  const n = num(s.endsWith("%") ? s.slice(0, -1) : s);
-  if (n == null) return null;
-  return n <= 1 ? n * 100 : n;
-}
-function excelSerialToDate(n) {
-  const o = xlsx.SSF.parse_date_code(n);
-  if (!o) return null;
-  // Create a Date object in UTC to prevent local timezone from shifting the date.
-  return new Date(Date.UTC(o.y, o.m - 1, o.d));
-}
-function normalizePstDate(raw) {
-  if (raw == null) return null;
-  if (raw instanceof Date) {
-    // Format the date as UTC to prevent timezone shifts
-    return dayjs.utc(raw).format("YYYY-MM-DD");
-  }
-  if (typeof raw === "number") {
-    const d = excelSerialToDate(raw);
-    // Format the date as UTC
-    return d ? dayjs.utc(d).format("YYYY-MM-DD") : null;
-  }
-  const s = t(raw);
-  if (!s) return null;
-  const formats = [
-    "MMMM D, YYYY",
-    "MMM D, YYYY",
-    "YYYY-MM-DD",
-    "D/M/YYYY",
-    "DD/MM/YYYY",
-    "M/D/YYYY",
-    "MM/DD/YYYY",
-  ];
-  for (const f of formats) {
-    const d = dayjs(s, f, true);
-    if (d.isValid()) return d.format("YYYY-MM-DD");
+// Reads every requested file (and sheet) with its column mapping:
+// [{ file, sheet, rows, cols }]
+function readSources(files, options) {
+  const sources = [];
+  for (const file of files) {
+    if (!fs.existsSync(file)) {
+      throw new Error(`file not found: ${file}`);
+    }
+    // The run's --mapping, then the file's own <file>.mapping.json
+    const cols = loadMapping([options.mapping, `${file}.mapping.json`]);
+    for (const table of readSource(file, options)) {
+      sources.push({ file, ...table, cols });
+    }
   }
-  const d2 = dayjs(new Date(s));
-  return d2.isValid() ? d2.format("YYYY-MM-DD") : null;
+  return sources;
 }
-const qOf = (m) => Math.floor((m - 1) / 3) + 1;
 
-async function upsertDim(db, table, col, val) {
-  const { rows } = await db.query(
-    `INSERT INTO ${table}(${col}) VALUES ($1)
-     ON CONFLICT (${col}) DO UPDATE SET ${col}=EXCLUDED.${col}
-     RETURNING *`,
-    [val]
+// One line per rule with findings
+function printQuality({ runId, counts, summary }) {
+  console.log(
+    `   quality : ${counts.error} error(s), ${counts.warning} warning(s), ${counts.info} info (run ${runId})`
   );
-  return rows[0];
+  for (const s of summary.filter((s) => s.count > 0)) {
+    console.log(
+      `             ${s.severity.padEnd(7)} ${s.count} × ${s.description}`
+    );
+  }
 }
 
+const sourceName = (s) =>
+  s.sheet ? `${path.basename(s.file)} "${s.sheet}"` : path.basename(s.file);
+
 async function main() {
-  const fileArg = process.argv.find((a) => a.startsWith("--file="));
-  const file = fileArg ? fileArg.split("=")[1] : "data/sessions.xlsx";
-  const sheetArg = process.argv.find((a) => a.startsWith("--sheet="));
-  const sheet = sheetArg ? sheetArg.split("=")[1] : null;
+  const files = argValues("file");
+  if (files.length === 0) files.push("data/sessions.xlsx");
+  const dryRun = hasFlag("dry-run");
+  const previewLimit = Number(argValue("preview") ?? 20);
+  const rollbackId = argValue("rollback");
 
-  if (!fs.existsSync(file)) {
-    console.error(`❌ file not found: ${file}`);
-    process.exit(1);
-  }
   const DATABASE_URL = process.env.DATABASE_URL;
   if (!DATABASE_URL) {
     console.error("❌ set DATABASE_URL in .env");
     process.exit(1);
   }
 
-  const db = new Client({ connectionString: DATABASE_URL });
-  await db.connect();
-
-  const wb = xlsx.readFile(file, { cellDates: false });
-  const sheetName = sheet || wb.SheetNames[0];
-  const ws = wb.Sheets[sheetName];
-  if (!ws) {
-    console.error(`❌ sheet "${sheetName}" not found`);
-    process.exit(1);
+  if (hasFlag("recompute-calendar")) {
+    const db = new Client({ connectionString: DATABASE_URL });
+    await db.connect();
+    try {
+      const changed = await recomputeCalendar(db);
+      console.log(`✅ calendar columns recomputed for ${REPORTING_TZ}`);
+      console.log(`   changed : ${changed} row(s)`);
+    } finally {
+      await db.end();
+    }
+    return;
   }
 
-  const rows = xlsx.utils.sheet_to_json(ws, { defval: "", raw: true });
-
-  let inserted = 0,
-    updated = 0,
-    skipped = 0,
-    badDate = 0;
-
-  for (const r of rows) {
-    const topic = t(pick(r, COLS.topic));
-    const type = t(pick(r, COLS.type));
-    const domain = t(pick(r, COLS.domain));
-    const clazz = t(pick(r, COLS.class));
-    const instr = t(pick(r, COLS.instructor));
-
-    const dateRaw = pick(r, COLS.sessionDate);
-    const average = num(pick(r, COLS.average));
-    const responses = num(pick(r, COLS.responses));
-    const attended = num(pick(r, COLS.attended));
-
-    let rated = pct(pick(r, COLS.ratedPct));
-    if (rated == null && responses != null && attended != null && attended > 0)
-      rated = (responses / attended) * 100;
-
-    if (
-      (responses == null || Number.isNaN(responses)) &&
-      attended != null &&
-      rated != null
-    ) {
-      responses = Math.round(attended * (rated / 100)); // rated is 0..100
+  if (rollbackId) {
+    const db = new Client({ connectionString: DATABASE_URL });
+    await db.connect();
+    try {
+      const { restored, deleted } = await rollbackBatch(db, rollbackId);
+      console.log(`✅ batch ${rollbackId} rolled back`);
+      console.log(`   deleted : ${deleted} (inserted by the batch)`);
+      console.log(`   restored: ${restored} (updated by the batch)`);
+    } finally {
+      await db.end();
     }
+    return;
+  }
 
-    // required
-    if (!type || !domain || !clazz || !instr) {
-      skipped++;
-      continue;
+  // Milliseconds spent in each phase
+  const timings = {};
+  const timed = async (phase, fn) => {
+    const started = performance.now();
+    try {
+      return await fn();
+    } finally {
+      timings[phase] = Math.round(performance.now() - started);
     }
+  };
 
-    const pstDate = normalizePstDate(dateRaw);
-    if (!pstDate) {
-      badDate++;
-      skipped++;
-      continue;
-    }
+  let sources;
+  try {
+    sources = await timed("read", () =>
+      readSources(files, {
+        format: argValue("format"),
+        sheets: argValues("sheet"),
+        allSheets: hasFlag("all-sheets"),
+        mapping: argValue("mapping"),
+      })
+    );
+  } catch (e) {
+    console.error(`❌ ${e.message}`);
+    process.exit(1);
+  }
 
-    // upsert dims
-    const di = await upsertDim(db, "dim_instructor", "instructor_name", instr);
-    const dc = await upsertDim(db, "dim_class", "class_name", clazz);
-    const dd = await upsertDim(db, "dim_domain", "domain_name", domain);
-    const dt = await upsertDim(db, "dim_type", "type_name", type);
+  const db = new Client({ connectionString: DATABASE_URL });
+  await db.connect();
+  let result;
+  try {
+    result = await loadSources(db, sources, {
+      dryRun,
+      previewLimit,
+      failOn: argValue("quality-fail-on") || undefined,
+      timed,
+    });
+  } catch (e) {
+    if (!e.quality) throw e;
+    console.error(`❌ ${e.message}`);
+    printQuality(e.quality);
+    process.exitCode = 1;
+    return;
+  } finally {
+    await db.end();
+  }
+  const { batchId, counts, badDate, rejects, staged, dimsAdded, preview } =
+    result;
 
-    // calendar fields
-    const [y, m, d] = pstDate.split("-").map(Number);
-    const q = qOf(m);
-    const monthStart = `${y}-${String(m).padStart(2, "0")}-01`;
+  const rejectsFile = argValue("rejects") || `${files[0]}.rejects.csv`;
+  if (rejects.length > 0) writeRejects(rejectsFile, rejects);
 
-    // insert/upsert fact
-    const sql = `
-      INSERT INTO fact_session
-        (topic_code, type_id, domain_id, class_id, instructor_id,
-         session_ts_utc, pst_date, pst_year, pst_month, pst_quarter, pst_month_start,
-         average, responses, students_attended, rated_pct)
-      VALUES
-        ($1,$2,$3,$4,$5,
-         make_timestamptz($6,$7,$8, 9,0,0, '${TZ}'),
-         $9,$10,$11,$12,$13,
-         $14,$15,$16,$17)
-      ON CONFLICT (topic_code, type_id, domain_id, class_id, instructor_id, pst_date)
-      DO UPDATE SET
-         average = EXCLUDED.average,
-         responses   = EXCLUDED.responses,
-         students_attended = EXCLUDED.students_attended,
-         rated_pct   = EXCLUDED.rated_pct
-      RETURNING xmax = 0 AS inserted_flag`;
-    const params = [
-      topic || null,
-      dt.type_id,
-      dd.domain_id,
-      dc.class_id,
-      di.instructor_id,
-      y,
-      m,
-      d,
-      pstDate,
-      y,
-      m,
-      q,
-      monthStart,
-      average,
-      responses,
-      attended,
-      rated,
-    ];
-    const { rows: res } = await db.query(sql, params);
-    if (res?.[0]?.inserted_flag) inserted++;
-    else updated++;
+  const sourceList = sources.map(sourceName).join(", ");
+  if (dryRun) {
+    console.log(`🔎 Dry run of ${sourceList} (nothing was committed)`);
+    for (const p of preview) {
+      const source =
+        sources.length > 1 ? `${sourceName(sources[p.source_idx])} ` : "";
+      console.log(
+        `   ${source}row ${p.sheet_row}: ${
+          p.already_loaded ? "update" : "insert"
+        } ${p.pst_date} ${p.instructor_name} / ${p.class_name} / ${
+          p.domain_name
+        } / ${p.type_name}` + (p.topic_code ? ` [${p.topic_code}]` : "")
+      );
+    }
+    if (counts.inserted + counts.updated > preview.length) {
+      console.log(
+        `   ... ${counts.inserted + counts.updated - preview.length} more`
+      );
+    }
+  } else {
+    console.log(`✅ ETL complete from ${sourceList}`);
   }
-
-  console.log(`✅ ETL complete from sheet "${sheetName}"`);
-  console.log(`   inserted: ${inserted}`);
-  console.log(`   updated : ${updated}`);
-  console.log(`   skipped : ${skipped} (missing required fields)`);
+  const merged = counts.inserted + counts.updated;
+  console.log(`   batch   : ${batchId}`);
+  console.log(`   ${dryRun ? "would insert" : "inserted"}: ${counts.inserted}`);
+  console.log(`   ${dryRun ? "would update" : "updated "}: ${counts.updated}`);
+  if (staged > merged) {
+    console.log(
+      `   merged  : ${staged - merged} repeated row(s) (last one wins)`
+    );
+  }
+  console.log(`   new dims: ${dimsAdded}`);
+  console.log(`   skipped : ${counts.rejected} (missing required fields)`);
   console.log(`   badDate : ${badDate} (couldn't parse Session Date)`);
-
-  await db.end();
+  if (rejects.length > 0) console.log(`   rejects : ${rejectsFile}`);
+  printQuality(result.quality);
+  if (dryRun && result.quality.blocking.length > 0) {
+    console.log("   ⚠️  a real load would be refused by the quality rules");
+  }
+  console.log(
+    `   timings : ${Object.entries(timings)
+      .map(([phase, ms]) => `${phase} ${ms}ms`)
+      .join(", ")}`
+  );
 }
 
 main().catch((e) => {
@@ -0,0 +1,341 @@
+/**
+ * Normalization shared by every source reader: header matching through the
+ * column mapping, number/percentage/date parsing and required-field checks.
+ */
+
+import fs from "fs";
+import xlsx from "xlsx";
+import dayjs from "dayjs";
+import utc from "dayjs/plugin/utc.js"; // Import UTC plugin
+import timezone from "dayjs/plugin/timezone.js";
+import customParseFormat from "dayjs/plugin/customParseFormat.js";
+import { REPORTING_TZ } from "../timezone.js";
+
+dayjs.extend(utc); // Use UTC plugin
+dayjs.extend(timezone);
+dayjs.extend(customParseFormat); // Needed for dayjs(s, format, strict)
+
+// Default column mapping: each field and the header names it may appear
+// under, in order of preference.
+const DEFAULT_MAPPING = new URL("./mapping.json", import.meta.url);
+
+const readJson = (file) => JSON.parse(fs.readFileSync(file, "utf8"));
+
+/**
+ * The column mapping for a source: etl/mapping.json with each override
+ * file applied in turn. An override lists extra header names per field;
+ * they are tried before the defaults.
+ * @param {Array<string>} overrides Mapping files; missing files are skipped.
+ * @returns {Object} { field: [header, ...] }
+ */
+function loadMapping(overrides = []) {
+  const cols = readJson(DEFAULT_MAPPING);
+  for (const file of overrides) {
+    if (!file || !fs.existsSync(file)) continue;
+    for (const [field, names] of Object.entries(readJson(file))) {
+      if (!cols[field]) {
+        throw new Error(
+          `${file}: unknown field "${field}" (use ${Object.keys(cols).join(
+            ", "
+          )})`
+        );
+      }
+      const extra = Array.isArray(names) ? names : [names];
+      cols[field] = [...new Set([...extra, ...cols[field]])];
+    }
+  }
+  return cols;
+}
+
+const t = (v) => (v ?? "").toString().trim();
+const normKey = (k) => k.toString().replace(/\s+/g, " ").trim().toLowerCase();
+
+/**
+ * Finds the header each field would be read from.
+ * @param {Array<string>} headers The source's header names.
+ * @param {Object} cols Column mapping, as loadMapping returns.
+ * @returns {Object} { field: header or null }
+ */
+function matchHeaders(headers, cols) {
+  const byKey = new Map(headers.map((h) => [normKey(h), h]));
+  const matched = {};
+  for (const [field, names] of Object.entries(cols)) {
+    const hit = names.find((name) => byKey.has(normKey(name)));
+    matched[field] = hit ? byKey.get(normKey(hit)) : null;
+  }
+  return matched;
+}
+
+/**
+ * Pins fields to the headers a user picked, e.g. after fixing unmatched
+ * columns in the import page.
+ * @param {Object} cols Column mapping, as loadMapping returns.
+ * @param {Object} chosen { field: header } — null or "" leaves the field
+ *   unread.
+ * @returns {Object} A column mapping.
+ */
+function applyChoices(cols, chosen = {}) {
+  const result = { ...cols };
+  for (const [field, header] of Object.entries(chosen)) {
+    if (!result[field]) throw new Error(`unknown field "${field}"`);
+    result[field] = header ? [header] : [];
+  }
+  return result;
+}
+
+function pick(row, keys) {
+  const map = {};
+  for (const k of Object.keys(row)) map[normKey(k)] = k;
+  for (const want of keys) {
+    const real = map[normKey(want)];
+    if (real && row[real] !== "" && row[real] != null) return row[real];
+  }
+  return null;
+}
+function num(v) {
+  if (v === "" || v == null) return null;
+  if (typeof v === "number") return Number.isFinite(v) ? v : null;
+  const s = t(v).replace(/,/g, "");
+  const n = Number(s);
+  return Number.isFinite(n) ? n : null;
+}
+function pct(v) {
+  if (v === "" || v == null) return null;
+  if (typeof v === "number") return v <= 1 ? v * 100 : v; // Excel 0.25 -> 25
+  const s = t(v);
+  const n = num(s.endsWith("%") ? s.slice(0, -1) : s);
+  if (n == null) return null;
+  return n <= 1 ? n * 100 : n;
+}
+
+// Sessions without a time of day start at 09:00 in the reporting timezone
+const DEFAULT_TIME = { h: 9, mi: 0, sec: 0 };
+
+// Tried in order. Month-first comes before day-first: the sheets are US
+// exports and were read that way before strict parsing worked.
+const DATE_FORMATS = [
+  "MMMM D, YYYY",
+  "MMM D, YYYY",
+  "YYYY-MM-DD",
+  "M/D/YYYY",
+  "MM/DD/YYYY",
+  "D/M/YYYY",
+  "DD/MM/YYYY",
+];
+const TIME_FORMATS = [
+  "H:mm",
+  "HH:mm",
+  "H:mm:ss",
+  "HH:mm:ss",
+  "h:mm A",
+  "h:mm:ss A",
+  "h:mmA",
+  "h A",
+  "hA",
+];
+const DATETIME_FORMATS = [
+  "YYYY-MM-DDTHH:mm",
+  "YYYY-MM-DDTHH:mm:ss",
+  ...DATE_FORMATS.flatMap((d) => TIME_FORMATS.map((f) => `${d} ${f}`)),
+];
+// Strings that name an instant rather than a wall-clock time
+const HAS_OFFSET = /\d{1,2}:\d{2}(:\d{2}(\.\d+)?)?\s*(Z|[+-]\d{2}:?\d{2})$/i;
+
+const pad = (n) => String(n).padStart(2, "0");
+
+// "pm" -> "PM" for the strict A token. Only the meridiem: upper-casing the
+// whole string would break month names ("JANUARY" doesn't match MMMM).
+const upperMeridiem = (s) => s.replace(/[ap]m$/i, (m) => m.toUpperCase());
+
+// A wall-clock time in the reporting timezone; DST is applied by the
+// timezone plugin
+function localSession(y, m, d, { h, mi, sec }) {
+  const date = `${y}-${pad(m)}-${pad(d)}`;
+  const at = dayjs.tz(
+    `${date} ${pad(h)}:${pad(mi)}:${pad(sec)}`,
+    "YYYY-MM-DD HH:mm:ss",
+    REPORTING_TZ
+  );
+  return { date, ts: at.toISOString() };
+}
+
+const fromInstant = (at) => ({
+  date: at.tz(REPORTING_TZ).format("YYYY-MM-DD"),
+  ts: at.toISOString(),
+});
+
+/**
+ * Parses a time of day: an Excel time (fraction of a day) or a string such
+ * as "19:30" or "7:30 PM".
+ * @returns {{ h: number, mi: number, sec: number } | null}
+ */
+function parseTime(raw) {
+  if (typeof raw === "number") {
+    if (!Number.isFinite(raw) || raw < 0) return null;
+    const secs = Math.round((raw % 1) * 86400) % 86400;
+    return {
+      h: Math.floor(secs / 3600),
+      mi: Math.floor(secs / 60) % 60,
+      sec: secs % 60,
+    };
+  }
+  const s = upperMeridiem(t(raw));
+  for (const f of TIME_FORMATS) {
+    const d = dayjs(s, f, true);
+    if (d.isValid()) return { h: d.hour(), mi: d.minute(), sec: d.second() };
+  }
+  return null;
+}
+
+/**
+ * Parses when a session happened. Accepts Excel serial dates (with or
+ * without a time part), strings such as "January 4, 2025", "2025-01-04
+ * 18:30" or ISO 8601 instants, and JS Date objects. Wall-clock values are
+ * read in the reporting timezone (REPORTING_TZ).
+ * @param {*} raw The session date cell.
+ * @param {Object|null} time A parsed time-of-day column, used when the date
+ *   has no time of its own; otherwise sessions start at 09:00.
+ * @returns {{ date: string, ts: string } | null} the calendar date in the
+ *   reporting timezone (YYYY-MM-DD) and the UTC instant (ISO 8601)
+ */
+function parseSession(raw, time = null) {
+  if (raw == null) return null;
+  if (raw instanceof Date) {
+    return Number.isNaN(raw.getTime()) ? null : fromInstant(dayjs(raw));
+  }
+  if (typeof raw === "number") {
+    const o = xlsx.SSF.parse_date_code(raw);
+    if (!o) return null;
+    const own =
+      raw % 1 !== 0 ? { h: o.H, mi: o.M, sec: Math.round(o.S) % 60 } : null;
+    return localSession(o.y, o.m, o.d, own || time || DEFAULT_TIME);
+  }
+  const s = t(raw);
+  if (!s) return null;
+  if (HAS_OFFSET.test(s)) {
+    const at = dayjs(s);
+    if (at.isValid()) return fromInstant(at);
+  }
+  const withMeridiem = upperMeridiem(s);
+  for (const f of DATETIME_FORMATS) {
+    const d = dayjs(withMeridiem, f, true);
+    if (d.isValid()) {
+      return localSession(d.year(), d.month() + 1, d.date(), {
+        h: d.hour(),
+        mi: d.minute(),
+        sec: d.second(),
+      });
+    }
+  }
+  for (const f of DATE_FORMATS) {
+    const d = dayjs(s, f, true);
+    if (d.isValid()) {
+      return localSession(
+        d.year(),
+        d.month() + 1,
+        d.date(),
+        time || DEFAULT_TIME
+      );
+    }
+  }
+  // Last resort for other spellings ("Jan 4 2025"); only the day is kept
+  const d2 = dayjs(new Date(s));
+  return d2.isValid()
+    ? localSession(d2.year(), d2.month() + 1, d2.date(), time || DEFAULT_TIME)
+    : null;
+}
+
+// Fields a row can't be loaded without
+const REQUIRED = ["type", "domain", "class", "instructor"];
+
+/**
+ * Normalizes one source row.
+ * @param {Object} r Raw values keyed by header.
+ * @param {Object} cols Column mapping, as loadMapping returns.
+ * @returns {{ value?: Object, reason?: string, badDate?: boolean }} the
+ *   normalized row, or why it can't be loaded
+ */
+function normalizeRow(r, cols) {
+  const fields = {
+    topic: t(pick(r, cols.topic)),
+    type: t(pick(r, cols.type)),
+    domain: t(pick(r, cols.domain)),
+    class: t(pick(r, cols.class)),
+    instructor: t(pick(r, cols.instructor)),
+  };
+
+  const dateRaw = pick(r, cols.sessionDate);
+  const timeRaw = pick(r, cols.sessionTime);
+  const average = num(pick(r, cols.average));
+  let responses = num(pick(r, cols.responses));
+  const attended = num(pick(r, cols.attended));
+
+  let rated = pct(pick(r, cols.ratedPct));
+  if (rated == null && responses != null && attended != null && attended > 0)
+    rated = (responses / attended) * 100;
+
+  if (
+    (responses == null || Number.isNaN(responses)) &&
+    attended != null &&
+    rated != null
+  ) {
+    responses = Math.round(attended * (rated / 100)); // rated is 0..100
+  }
+
+  // required
+  // Reported by the field's first header name, e.g. "Instructor"
+  const missing = REQUIRED.filter((key) => !fields[key]).map(
+    (key) => cols[key][0] || key
+  );
+  if (missing.length > 0) {
+    return { reason: `Missing required field(s): ${missing.join(", ")}` };
+  }
+
+  const time = timeRaw == null ? null : parseTime(timeRaw);
+  if (timeRaw != null && !time) {
+    return {
+      reason: `Could not parse ${cols.sessionTime[0] || "sessionTime"} "${t(
+        timeRaw
+      )}"`,
+      badDate: true,
+    };
+  }
+
+  const session = parseSession(dateRaw, time);
+  if (!session) {
+    return {
+      reason: dateRaw
+        ? `Could not parse ${cols.sessionDate[0] || "sessionDate"} "${t(
+            dateRaw
+          )}"`
+        : `Missing ${cols.sessionDate[0] || "sessionDate"}`,
+      badDate: true,
+    };
+  }
+
+  return {
+    value: {
+      ...fields,
+      pstDate: session.date,
+      sessionTs: session.ts,
+      average,
+      responses,
+      attended,
+      rated,
+    },
+  };
+}
+
+export {
+  REQUIRED,
+  loadMapping,
+  matchHeaders,
+  applyChoices,
+  t,
+  pick,
+  num,
+  pct,
+  parseTime,
+  parseSession,
+  normalizeRow,
+};
@@ -0,0 +1,114 @@
+/**
+ * Source readers for the loader. Each reader turns a file into one or more
+ * tables of raw rows that go through the same normalization (normalize.mjs):
+ *
+ *   [{ sheet, rows: [{ row, values, error? }] }]
+ *
+ * `row` is the position reported in rejections (sheet row or line number),
+ * `values` the raw values keyed by header, and `error` is set instead of
+ * `values` when the row itself can't be read (e.g. malformed JSON).
+ */
+
+import fs from "fs";
+import path from "path";
+import xlsx from "xlsx";
+
+// Excel workbooks, including Google Sheets' .xlsx export
+function readWorkbook(data, { name, sheets = [], allSheets = false } = {}) {
+  const wb = xlsx.read(data, { type: "buffer", cellDates: false });
+  const names = allSheets
+    ? wb.SheetNames
+    : sheets.length > 0
+    ? sheets
+    : [wb.SheetNames[0]];
+  return names.map((sheet) => {
+    const ws = wb.Sheets[sheet];
+    if (!ws) throw new Error(`sheet "${sheet}" not found in ${name}`);
+    return { sheet, rows: sheetRows(ws) };
+  });
+}
+
+// CSV/TSV, e.g. Google Sheets' "Download as CSV". Values stay strings and
+// are parsed by the normalizers, like text cells in a workbook.
+function readDelimited(data) {
+  const wb = xlsx.read(data, { type: "buffer", raw: true });
+  return [{ sheet: null, rows: sheetRows(wb.Sheets[wb.SheetNames[0]]) }];
+}
+
+function sheetRows(ws) {
+  // sheet_to_json keeps the 0-based sheet row as __rowNum__
+  return xlsx.utils
+    .sheet_to_json(ws, { defval: "", raw: true })
+    .map((values) => ({ row: values.__rowNum__ + 1, values }));
+}
+
+// One JSON object per line, as the feedback tool exports
+function readNdjson(data) {
+  const rows = [];
+  data
+    .toString("utf8")
+    .split(/\r?\n/)
+    .forEach((line, i) => {
+      if (!line.trim()) return;
+      rows.push(jsonRow(i + 1, () => JSON.parse(line)));
+    });
+  return [{ sheet: null, rows }];
+}
+
+// A JSON array of objects
+function readJsonArray(data, { name }) {
+  const items = JSON.parse(data.toString("utf8"));
+  if (!Array.isArray(items)) {
+    throw new Error(`${name}: expected a JSON array of objects`);
+  }
+  return [
+    { sheet: null, rows: items.map((item, i) => jsonRow(i + 1, () => item)) },
+  ];
+}
+
+function jsonRow(row, parse) {
+  try {
+    const values = parse();
+    if (!values || typeof values !== "object" || Array.isArray(values)) {
+      return { row, error: "Not a JSON object" };
+    }
+    return { row, values };
+  } catch (e) {
+    return { row, error: `Invalid JSON: ${e.message}` };
+  }
+}
+
+const READERS = {
+  xlsx: readWorkbook,
+  xls: readWorkbook,
+  csv: readDelimited,
+  tsv: readDelimited,
+  ndjson: readNdjson,
+  jsonl: readNdjson,
+  json: readJsonArray,
+};
+
+/**
+ * Parses the contents of a source with the reader for its format.
+ * @param {Buffer} data The file contents.
+ * @param {string} name The file name; its extension picks the reader.
+ * @param {Object} options { format, sheets, allSheets } where format
+ *   overrides the extension and the sheet options apply to workbooks.
+ * @returns {Array<Object>} [{ sheet, rows }] as described above.
+ */
+function parseSource(data, name, { format, ...options } = {}) {
+  const kind = (format || path.extname(name).slice(1)).toLowerCase();
+  const reader = READERS[kind];
+  if (!reader) {
+    throw new Error(
+      `no reader for "${kind}" files (use ${Object.keys(READERS).join(", ")})`
+    );
+  }
+  return reader(data, { name, ...options });
+}
+
+// Reads a source file from disk, as parseSource.
+const readSource = (file, options) =>
+  parseSource(fs.readFileSync(file), file, options);
+
+export { READERS, parseSource, readSource };
@@ -0,0 +1,81 @@
+-- eval/fixtures.sql
+-- Fixture sessions for the evaluation runner (eval/run.js --setup): six
+-- instructors, three domains and 240 sessions in the first half of 2025,
+-- with ratings derived from the session number so every run sees the same
+-- data. Replaces all sessions and batches; load it into a scratch database
+-- only.
+
+TRUNCATE fact_session, etl_batch_change, quality_finding, quality_run,
+         etl_batch, dim_instructor, dim_class, dim_domain, dim_type,
+         dim_value_alias
+  RESTART IDENTITY CASCADE;
+
+INSERT INTO dim_instructor (instructor_name) VALUES
+  ('Alice Johnson'), ('Brian Lee'), ('Carmen Diaz'),
+  ('David Kim'), ('Elena Petrova'), ('Farid Khan');
+
+INSERT INTO dim_class (class_name) VALUES
+  ('Python Foundations'), ('Statistics'), ('Machine Learning'),
+  ('System Design'), ('Data Structures'), ('Product Strategy');
+
+INSERT INTO dim_domain (domain_name) VALUES
+  ('Data Science'), ('Software Engineering'), ('Product Management');
+
+INSERT INTO dim_type (type_name) VALUES ('Live Class'), ('Doubt Session');
+
+-- Each instructor teaches two classes; Brian Lee, David Kim and Farid Khan
+-- teach in two domains
+WITH teaching (instructor, k, class, domain, base) AS (
+  VALUES
+    ('Alice Johnson', 0, 'Python Foundations', 'Data Science',         4.60),
+    ('Alice Johnson', 1, 'Statistics',         'Data Science',         4.50),
+    ('Brian Lee',     0, 'Machine Learning',   'Data Science',         4.55),
+    ('Brian Lee',     1, 'System Design',      'Software Engineering', 4.40),
+    ('Carmen Diaz',   0, 'Data Structures',    'Software Engineering', 4.10),
+    ('Carmen Diaz',   1, 'System Design',      'Software Engineering', 4.20),
+    ('David Kim',     0, 'Product Strategy',   'Product Management',   4.30),
+    ('David Kim',     1, 'Statistics',         'Data Science',         4.45),
+    ('Elena Petrova', 0, 'Machine Learning',   'Data Science',         4.70),
+    ('Elena Petrova', 1, 'Python Foundations', 'Data Science',         4.65),
+    ('Farid Khan',    0, 'Product Strategy',   'Product Management',   3.90),
+    ('Farid Khan',    1, 'Data Structures',    'Software Engineering', 4.00)
+),
+sessions AS (
+  SELECT n,
+         DATE '2025-01-01' + (n * 37) % 181 AS d,  -- Jan 1 - Jun 30
+         (ARRAY['Alice Johnson', 'Brian Lee', 'Carmen Diaz', 'David Kim',
+                'Elena Petrova', 'Farid Khan'])[1 + n % 6] AS instructor,
+         (n / 6) % 2 AS k,
+         1 + (n / 12) % 2 AS type_id,
+         10 + (n * 7) % 25 AS responses,
+         15 + (n * 7) % 25 + (n * 3) % 20 AS attended
+    FROM generate_series(0, 239) AS n
+)
+INSERT INTO fact_session
+  (topic_code, type_id, domain_id, class_id, instructor_id, session_ts_utc,
+   pst_date, pst_year, pst_month, pst_quarter, pst_month_start, average,
+   responses, students_attended, rated_pct)
+SELECT 'EVAL-' || s.n,
+       s.type_id,
+       dd.domain_id,
+       dc.class_id,
+       di.instructor_id,
+       (s.d + TIME '09:00') AT TIME ZONE 'America/Los_Angeles',
+       s.d,
+       EXTRACT(YEAR FROM s.d)::int,
+       EXTRACT(MONTH FROM s.d)::int,
+       EXTRACT(QUARTER FROM s.d)::int,
+       date_trunc('month', s.d)::date,
+       LEAST(5, round(t.base + ((s.n * 13) % 11 - 5) / 20.0
+                      + (EXTRACT(MONTH FROM s.d) - 3) / 50.0, 2)),
+       s.responses,
+       s.attended,
+       round(100.0 * s.responses / s.attended, 1)
+  FROM sessions s
+  JOIN teaching t ON t.instructor = s.instructor AND t.k = s.k
+  JOIN dim_instructor di ON di.instructor_name = t.instructor
+  JOIN dim_class dc ON dc.class_name = t.class
+  JOIN dim_domain dd ON dd.domain_name = t.domain;
+
+SELECT refresh_session_rollups();
+UPDATE data_version SET version = version + 1, changed_at = now();
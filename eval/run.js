@@ -0,0 +1,423 @@
+#!/usr/bin/env node
+/**
+ * Offline evaluation of natural-language-to-SQL over a golden question set.
+ *
+ * Each question in golden.json is answered by the app's own pipeline
+ * (entity resolution, SQL generation, validation and repair) against a
+ * local Postgres loaded with schema.sql and fixtures.sql. The generated
+ * SQL's result set is compared with the expected one, not its text:
+ * - values are compared as strings, numbers rounded to 2 decimals
+ * - columns are matched by their values, so names, column order and extra
+ *   columns in the answer don't matter
+ * - rows are compared as a multiset unless the question is "ordered"
+ *
+ * Usage:
+ * EVAL_DATABASE_URL=postgres://localhost/analyst_eval?sslmode=disable \
+ *   node eval/run.js --setup --provider=mock
+ *
+ * Options:
+ * --setup             (re)create the schema and load fixtures.sql first;
+ *                     replaces every session in the database
+ * --provider=NAME     provider for SQL generation: groq, openai or mock
+ *                     (default: LLM_SQL_PROVIDER / LLM_PROVIDER); mock
+ *                     answers from eval/mock.json unless LLM_MOCK_FIXTURES
+ *                     is set
+ * --model=NAME        model for SQL generation
+ * --golden=PATH       question set (default: eval/golden.json)
+ * --category=NAME     only questions of these categories; repeatable
+ * --only=ID           only these questions; repeatable
+ * --json=PATH         also write the report as JSON
+ * --min-accuracy=PCT  exit with status 1 below this overall accuracy
+ * --verbose           print the SQL and the first differing rows of
+ *                     failures
+ */
+
+const fs = require("fs");
+const path = require("path");
+require("dotenv").config();
+
+const argValue = (name) => {
+  const a = process.argv.find((x) => x.startsWith(`--${name}=`));
+  return a ? a.slice(name.length + 3) : null;
+};
+// Every value of a repeatable option, comma-separated values included
+const argValues = (name) =>
+  process.argv
+    .filter((x) => x.startsWith(`--${name}=`))
+    .flatMap((x) => x.slice(name.length + 3).split(","))
+    .map((v) => v.trim())
+    .filter(Boolean);
+const hasFlag = (name) => process.argv.includes(`--${name}`);
+
+// The app modules read their configuration when loaded, so it is set first.
+// The evaluation never touches the configured (production) database.
+if (!process.env.EVAL_DATABASE_URL) {
+  console.error(
+    "❌ EVAL_DATABASE_URL is not set (e.g. postgres://localhost/analyst_eval?sslmode=disable)"
+  );
+  process.exit(1);
+}
+process.env.NEON_DATABASE_URL = process.env.EVAL_DATABASE_URL;
+// Every question must reach the model, not an answer cached by a previous run
+process.env.QUERY_CACHE = "off";
+if (argValue("provider")) process.env.LLM_SQL_PROVIDER = argValue("provider");
+if (argValue("model")) process.env.LLM_SQL_MODEL = argValue("model");
+if (
+  (process.env.LLM_SQL_PROVIDER || process.env.LLM_PROVIDER) === "mock" &&
+  !process.env.LLM_MOCK_FIXTURES
+) {
+  process.env.LLM_MOCK_FIXTURES = path.join(__dirname, "mock.json");
+}
+
+const { executeQuery, executeReadOnlyQuery } = require("../db");
+const { resolveEntities } = require("../entities");
+const { generateAndExecuteSql } = require("../pipeline");
+const { getRoleConfig } = require("../providers");
+
+const GOLDEN_FILE = argValue("golden") || path.join(__dirname, "golden.json");
+
+// --- Result comparison ---
+
+const NUMERIC = /^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i;
+
+// The form a value is compared in: numbers (pg returns numeric and bigint
+// as strings) rounded to 2 decimals, timestamps as ISO strings
+function normalizeValue(value) {
+  if (value === null || value === undefined) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === "number" || NUMERIC.test(String(value).trim())) {
+    const rounded = Number(Number(value).toFixed(2));
+    return String(Object.is(rounded, -0) ? 0 : rounded);
+  }
+  return String(value).trim();
+}
+
+const rowKey = (row) => JSON.stringify(row);
+
+// Two row lists hold the same rows, in the same order when `ordered`
+function sameRows(a, b, ordered) {
+  if (a.length !== b.length) return false;
+  const left = a.map(rowKey);
+  const right = b.map(rowKey);
+  if (!ordered) {
+    left.sort();
+    right.sort();
+  }
+  return left.every((key, i) => key === right[i]);
+}
+
+// A column's values regardless of row order, to find the answer columns
+// that could be an expected one
+const columnSignature = (rows, i) =>
+  rows
+    .map((row) => rowKey(row[i]))
+    .sort()
+    .join("\u0000");
+
+/**
+ * Compares an answer with the expected result.
+ * @param {Object} expected { columns, rows } with rows as arrays.
+ * @param {Object} actual { columns, rows } of the generated SQL.
+ * @param {boolean} ordered Whether row order matters.
+ * @returns {Object} { match, reason, mapping } where mapping lists the
+ *   answer column used for each expected column.
+ */
+function compareResults(expected, actual, ordered = false) {
+  const want = expected.rows.map((row) => row.map(normalizeValue));
+  const got = actual.rows.map((row) => row.map(normalizeValue));
+
+  if (want.length !== got.length) {
+    return {
+      match: false,
+      reason: `expected ${want.length} row(s), got ${got.length}`,
+    };
+  }
+
+  const candidates = expected.columns.map((_, i) => {
+    const signature = columnSignature(want, i);
+    return actual.columns
+      .map((_, j) => j)
+      .filter((j) => columnSignature(got, j) === signature);
+  });
+  const missing = candidates.findIndex((list) => list.length === 0);
+  if (missing !== -1) {
+    return {
+      match: false,
+      reason: `no column of the answer has the values of "${expected.columns[missing]}"`,
+    };
+  }
+
+  // Columns can match one by one but not together (e.g. two columns with
+  // the same values in a different pairing), so try each assignment
+  const mapping = [];
+  const used = new Set();
+  function assign(i) {
+    if (i === candidates.length) {
+      return sameRows(
+        want,
+        got.map((row) => mapping.map((j) => row[j])),
+        ordered
+      );
+    }
+    for (const j of candidates[i]) {
+      if (used.has(j)) continue;
+      used.add(j);
+      mapping[i] = j;
+      if (assign(i + 1)) return true;
+      used.delete(j);
+    }
+    return false;
+  }
+  if (assign(0)) {
+    return {
+      match: true,
+      reason: null,
+      mapping: mapping.map((j) => actual.columns[j]),
+    };
+  }
+  return {
+    match: false,
+    reason: ordered
+      ? "the columns match but the rows differ or are out of order"
+      : "the columns match but the rows differ",
+  };
+}
+
+// --- Running questions ---
+
+function loadGolden(file) {
+  const golden = JSON.parse(fs.readFileSync(file, "utf8"));
+  const ids = new Set();
+  for (const q of golden) {
+    if (!q.id || !q.category || !q.question) {
+      throw new Error(
+        `Every question in ${file} needs an id, a category and a question`
+      );
+    }
+    if (ids.has(q.id)) throw new Error(`Duplicate question id "${q.id}"`);
+    ids.add(q.id);
+    if (!q.expectedSql && !(q.expected && q.expected.rows)) {
+      throw new Error(`Question "${q.id}" needs expectedSql or expected.rows`);
+    }
+  }
+  return golden;
+}
+
+async function setup() {
+  const root = path.join(__dirname, "..");
+  console.log("[INFO] Creating the schema and loading fixtures...");
+  await executeQuery(fs.readFileSync(path.join(root, "schema.sql"), "utf8"));
+  await executeQuery(
+    fs.readFileSync(path.join(__dirname, "fixtures.sql"), "utf8")
+  );
+}
+
+// Every row of a query, as { columns, rows } with rows as arrays
+async function fetchAll(sql) {
+  const { rows, fields, truncated } = await executeReadOnlyQuery(sql);
+  if (truncated) throw new Error("the result is larger than SQL_MAX_ROWS");
+  const columns = fields.map((f) => f.name);
+  return { columns, rows: rows.map((row) => columns.map((c) => row[c])) };
+}
+
+async function expectedResult(q) {
+  if (q.expectedSql) return fetchAll(q.expectedSql);
+  const { rows } = q.expected;
+  return {
+    columns: q.expected.columns || rows[0].map((_, i) => `column ${i + 1}`),
+    rows,
+  };
+}
+
+async function evaluate(q) {
+  const started = Date.now();
+  const outcome = {
+    id: q.id,
+    category: q.category,
+    question: q.question,
+    passed: false,
+    reason: null,
+    sql: null,
+    attempts: 0,
+    ms: 0,
+  };
+  try {
+    const expected = await expectedResult(q);
+
+    const { resolved: entities, ambiguous } = await resolveEntities(
+      q.question,
+      q.choices || []
+    );
+    if (ambiguous.length > 0) {
+      outcome.reason = `asked for clarification of ${ambiguous
+        .map((a) => `"${a.mention}"`)
+        .join(", ")}`;
+      return outcome;
+    }
+
+    const answer = await generateAndExecuteSql(q.question, {
+      entities,
+      history: [],
+    });
+    outcome.sql = answer.sql;
+    outcome.attempts = answer.attempts.length;
+    // The pipeline keeps only the first page; compare every row
+    const actual = await fetchAll(answer.sql);
+
+    const result = compareResults(expected, actual, Boolean(q.ordered));
+    outcome.passed = result.match;
+    outcome.reason = result.reason;
+    if (!result.match) {
+      outcome.expected = expected;
+      outcome.actual = actual;
+    }
+  } catch (error) {
+    outcome.sql = outcome.sql || error.sql || null;
+    outcome.attempts = outcome.attempts || (error.attempts || []).length;
+    outcome.reason = error.message;
+  } finally {
+    outcome.ms = Date.now() - started;
+  }
+  return outcome;
+}
+
+// --- Report ---
+
+const percent = (passed, total) =>
+  total ? Math.round((1000 * passed) / total) / 10 : 0;
+
+function summarize(outcomes) {
+  const categories = {};
+  for (const o of outcomes) {
+    const c = (categories[o.category] = categories[o.category] || {
+      passed: 0,
+      total: 0,
+    });
+    c.total += 1;
+    if (o.passed) c.passed += 1;
+  }
+  for (const c of Object.values(categories)) {
+    c.accuracy = percent(c.passed, c.total);
+  }
+  const passed = outcomes.filter((o) => o.passed).length;
+  return {
+    passed,
+    total: outcomes.length,
+    accuracy: percent(passed, outcomes.length),
+    categories,
+  };
+}
+
+function printOutcome(o, verbose) {
+  const tries = o.attempts > 1 ? `, ${o.attempts} attempts` : "";
+  console.log(
+    `${o.passed ? "✅" : "❌"} [${o.category}] ${o.id} (${o.ms}ms${tries})`
+  );
+  if (o.passed) return;
+  console.log(`   ${o.reason}`);
+  if (!verbose) return;
+  if (o.sql) console.log(`   SQL: ${o.sql.replace(/\s+/g, " ")}`);
+  if (o.expected) {
+    console.log(
+      `   expected: ${JSON.stringify(o.expected.columns)} ${JSON.stringify(
+        o.expected.rows.slice(0, 5)
+      )}`
+    );
+    console.log(
+      `   actual  : ${JSON.stringify(o.actual.columns)} ${JSON.stringify(
+        o.actual.rows.slice(0, 5)
+      )}`
+    );
+  }
+}
+
+function printSummary(summary) {
+  const names = Object.keys(summary.categories);
+  const width = Math.max(8, ...names.map((n) => n.length));
+  console.log("");
+  console.log(`${"category".padEnd(width)}  passed  accuracy`);
+  for (const name of names) {
+    const c = summary.categories[name];
+    console.log(
+      `${name.padEnd(width)}  ${`${c.passed}/${c.total}`.padStart(
+        6
+      )}  ${`${c.accuracy}%`.padStart(8)}`
+    );
+  }
+  console.log(
+    `${"overall".padEnd(
+      width
+    )}  ${`${summary.passed}/${summary.total}`.padStart(
+      6
+    )}  ${`${summary.accuracy}%`.padStart(8)}`
+  );
+}
+
+async function main() {
+  const categories = argValues("category");
+  const only = argValues("only");
+  const questions = loadGolden(GOLDEN_FILE).filter(
+    (q) =>
+      (categories.length === 0 || categories.includes(q.category)) &&
+      (only.length === 0 || only.includes(q.id))
+  );
+  if (questions.length === 0) {
+    console.error("❌ No questions match the given --category / --only");
+    process.exit(1);
+  }
+
+  if (hasFlag("setup")) await setup();
+
+  const { provider, model } = getRoleConfig("sql");
+  console.log(
+    `[INFO] Evaluating ${questions.length} question(s) with ${provider.name} (${model})`
+  );
+
+  const outcomes = [];
+  for (const q of questions) {
+    const outcome = await evaluate(q);
+    outcomes.push(outcome);
+    printOutcome(outcome, hasFlag("verbose"));
+  }
+
+  const summary = summarize(outcomes);
+  printSummary(summary);
+
+  const jsonFile = argValue("json");
+  if (jsonFile) {
+    fs.writeFileSync(
+      jsonFile,
+      `${JSON.stringify(
+        {
+          ranAt: new Date().toISOString(),
+          provider: provider.name,
+          model,
+          golden: path.relative(process.cwd(), GOLDEN_FILE),
+          ...summary,
+          questions: outcomes,
+        },
+        null,
+        2
+      )}\n`
+    );
+    console.log(`\n[INFO] Report written to ${jsonFile}`);
+  }
+
+  const minAccuracy = argValue("min-accuracy");
+  if (minAccuracy !== null && summary.accuracy < Number(minAccuracy)) {
+    console.error(
+      `❌ Accuracy ${summary.accuracy}% is below the required ${minAccuracy}%`
+    );
+    process.exit(1);
+  }
+  process.exit(0);
+}
+
+if (require.main === module) {
+  main().catch((e) => {
+    console.error("❌ Evaluation failed:", e.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { normalizeValue, compareResults };
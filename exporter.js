@@ -0,0 +1,333 @@
+// exporter.js
+// Writes query results as CSV, NDJSON or XLSX downloads, keeping numbers
+// and dates typed instead of the strings the results table shows.
+
+const XLSX = require("xlsx");
+require("dotenv").config();
+
+// Exports are not shown in the page, so they get a higher row cap and a
+// longer statement timeout than interactive queries
+const EXPORT_MAX_ROWS = parseInt(process.env.EXPORT_MAX_ROWS, 10) || 100000;
+const EXPORT_TIMEOUT_MS =
+  parseInt(process.env.EXPORT_TIMEOUT_MS, 10) || 60 * 1000;
+
+const FORMATS = {
+  csv: { contentType: "text/csv; charset=utf-8", extension: "csv" },
+  ndjson: { contentType: "application/x-ndjson", extension: "ndjson" },
+  xlsx: {
+    contentType:
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    extension: "xlsx",
+  },
+};
+
+// Postgres type OIDs. pg returns int8 and numeric as strings to avoid
+// precision loss; exports turn them back into numbers.
+const NUMERIC_OIDS = new Set([20, 21, 23, 700, 701, 1700]);
+const DATE_OID = 1082;
+const TIMESTAMP_OIDS = new Set([1114, 1184]);
+
+/**
+ * Describes each result column so values can be typed consistently.
+ * @param {Array<Object>} fields The `fields` of a pg result.
+ * @returns {Array<Object>} [{ name, kind }] where kind is "number", "date",
+ *   "timestamp" or "text".
+ */
+function describeColumns(fields) {
+  return fields.map(({ name, dataTypeID }) => ({
+    name,
+    kind: NUMERIC_OIDS.has(dataTypeID)
+      ? "number"
+      : dataTypeID === DATE_OID
+      ? "date"
+      : TIMESTAMP_OIDS.has(dataTypeID)
+      ? "timestamp"
+      : "text",
+  }));
+}
+
+// DATE columns arrive as YYYY-MM-DD strings (see db.js); Dates from other
+// sources are read in local time so the calendar day is kept.
+const dateOnly = (d) =>
+  `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(
+    d.getDate()
+  ).padStart(2, "0")}`;
+
+// The JSON-friendly value of a cell: numbers as numbers, dates as
+// YYYY-MM-DD, timestamps as ISO 8601 strings.
+function plainValue(value, kind) {
+  if (value === null || value === undefined) return null;
+  if (kind === "number") {
+    const n = Number(value);
+    return Number.isFinite(n) ? n : value;
+  }
+  if (value instanceof Date) {
+    return kind === "date" ? dateOnly(value) : value.toISOString();
+  }
+  if (typeof value === "object") return JSON.stringify(value);
+  return value;
+}
+
+function csvCell(value) {
+  if (value === null) return "";
+  const s = String(value);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+const csvHeader = (columns) =>
+  `${columns.map((c) => csvCell(c.name)).join(",")}\r\n`;
+
+function csvRows(columns, rows) {
+  let chunk = "";
+  for (const row of rows) {
+    chunk += `${columns
+      .map((c) => csvCell(plainValue(row[c.name], c.kind)))
+      .join(",")}\r\n`;
+  }
+  return chunk;
+}
+
+function ndjsonRows(columns, rows) {
+  let chunk = "";
+  for (const row of rows) {
+    const record = {};
+    for (const c of columns) record[c.name] = plainValue(row[c.name], c.kind);
+    chunk += `${JSON.stringify(record)}\n`;
+  }
+  return chunk;
+}
+
+// Writes a chunk of a streamed export. When the socket's buffer is full it
+// waits for it to drain, so a slow client holds the cursor back instead of
+// the rows piling up in memory. Rejects once the client has gone.
+function writeChunk(res, chunk) {
+  if (res.destroyed) {
+    return Promise.reject(new Error("The client closed the export"));
+  }
+  if (res.write(chunk)) return Promise.resolve();
+  return new Promise((resolve, reject) => {
+    const done = () => {
+      res.off("drain", done);
+      res.off("close", done);
+      if (res.destroyed) reject(new Error("The client closed the export"));
+      else resolve();
+    };
+    res.on("drain", done);
+    res.on("close", done);
+  });
+}
+
+// Builds a workbook with a "Results" sheet and a "Metadata" sheet.
+function buildWorkbook(columns, rows, meta) {
+  const cells = rows.map((row) =>
+    columns.map((c) => {
+      const value = row[c.name];
+      if (value === null || value === undefined) return null;
+      if (c.kind === "date" && typeof value === "string") {
+        const [y, m, d] = value.split("-").map(Number);
+        return new Date(Date.UTC(y, m - 1, d));
+      }
+      if (value instanceof Date) {
+        // Excel has no time zones; write the calendar day for DATE columns
+        // and UTC for timestamps
+        return c.kind === "date"
+          ? new Date(
+              Date.UTC(value.getFullYear(), value.getMonth(), value.getDate())
+            )
+          : value;
+      }
+      return plainValue(value, c.kind);
+    })
+  );
+
+  const results = XLSX.utils.aoa_to_sheet(
+    [columns.map((c) => c.name), ...cells],
+    { cellDates: true, UTC: true }
+  );
+  // Date formats per column
+  columns.forEach((c, col) => {
+    if (c.kind !== "date" && c.kind !== "timestamp") return;
+    for (let r = 1; r <= rows.length; r++) {
+      const cell = results[XLSX.utils.encode_cell({ r, c: col })];
+      if (cell) {
+        cell.z = c.kind === "date" ? "yyyy-mm-dd" : "yyyy-mm-dd hh:mm:ss";
+      }
+    }
+  });
+
+  const metadata = XLSX.utils.aoa_to_sheet([
+    ["Question", meta.question || ""],
+    ["SQL", meta.sql],
+    ...Object.entries(meta.params || {}).map(([name, value]) => [
+      `Parameter: ${name}`,
+      value === null ? "" : String(value),
+    ]),
+    ["Rows", rows.length],
+    ["Truncated", meta.truncated ? "yes" : "no"],
+    ["Exported at (UTC)", meta.exportedAt.toISOString()],
+  ]);
+
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, results, "Results");
+  XLSX.utils.book_append_sheet(workbook, metadata, "Metadata");
+  return workbook;
+}
+
+// Decodes a "data:image/png;base64,..." URL, or returns null if it isn't a
+// PNG.
+function decodePng(dataUrl) {
+  const match = /^data:image\/png;base64,([A-Za-z0-9+/=]+)$/.exec(
+    dataUrl || ""
+  );
+  if (!match) return null;
+  const png = Buffer.from(match[1], "base64");
+  const signature = "89504e470d0a1a0a";
+  return png.length > 24 && png.toString("hex", 0, 8) === signature
+    ? png
+    : null;
+}
+
+const REL_NS =
+  "http://schemas.openxmlformats.org/officeDocument/2006/relationships";
+const EMU_PER_PIXEL = 9525;
+
+// SheetJS can't write images, so the picture is added to the written
+// package by hand: the PNG, a drawing that anchors it at B2 of the given
+// sheet, the relationships between them and the content types.
+function addImageToSheet(xlsxBuffer, png, sheetIndex) {
+  const CFB = XLSX.CFB;
+  const zip = CFB.read(xlsxBuffer, { type: "buffer" });
+  const read = (path) => CFB.find(zip, path).content.toString();
+  const write = (path, text) =>
+    CFB.utils.cfb_add(zip, path, Buffer.from(text, "utf8"));
+  const sheetPath = `/xl/worksheets/sheet${sheetIndex}.xml`;
+
+  // Pixel size from the PNG header
+  const cx = png.readUInt32BE(16) * EMU_PER_PIXEL;
+  const cy = png.readUInt32BE(20) * EMU_PER_PIXEL;
+
+  CFB.utils.cfb_add(zip, "/xl/media/image1.png", png);
+  write(
+    "/xl/drawings/drawing1.xml",
+    `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<xdr:wsDr xmlns:xdr="http://schemas.openxmlformats.org/drawingml/2006/spreadsheetDrawing" xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" xmlns:r="${REL_NS}"><xdr:oneCellAnchor><xdr:from><xdr:col>1</xdr:col><xdr:colOff>0</xdr:colOff><xdr:row>1</xdr:row><xdr:rowOff>0</xdr:rowOff></xdr:from><xdr:ext cx="${cx}" cy="${cy}"/><xdr:pic><xdr:nvPicPr><xdr:cNvPr id="2" name="Chart"/><xdr:cNvPicPr><a:picLocks noChangeAspect="1"/></xdr:cNvPicPr></xdr:nvPicPr><xdr:blipFill><a:blip r:embed="rId1"/><a:stretch><a:fillRect/></a:stretch></xdr:blipFill><xdr:spPr><a:xfrm><a:off x="0" y="0"/><a:ext cx="${cx}" cy="${cy}"/></a:xfrm><a:prstGeom prst="rect"><a:avLst/></a:prstGeom></xdr:spPr></xdr:pic><xdr:clientData/></xdr:oneCellAnchor></xdr:wsDr>`
+  );
+  write(
+    "/xl/drawings/_rels/drawing1.xml.rels",
+    `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="${REL_NS}/image" Target="../media/image1.png"/></Relationships>`
+  );
+  write(
+    `/xl/worksheets/_rels/sheet${sheetIndex}.xml.rels`,
+    `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="${REL_NS}/drawing" Target="../drawings/drawing1.xml"/></Relationships>`
+  );
+  write(
+    sheetPath,
+    read(sheetPath).replace(
+      "</worksheet>",
+      '<drawing r:id="rId1"/></worksheet>'
+    )
+  );
+  write(
+    "/[Content_Types].xml",
+    read("/[Content_Types].xml").replace(
+      "</Types>",
+      '<Default Extension="png" ContentType="image/png"/>' +
+        '<Override PartName="/xl/drawings/drawing1.xml" ContentType="application/vnd.openxmlformats-officedocument.drawing+xml"/></Types>'
+    )
+  );
+
+  return CFB.write(zip, { type: "buffer", fileType: "zip" });
+}
+
+/**
+ * Reads a result set and sends it as a file download. CSV and NDJSON rows
+ * are written as they are read, and the row count and truncation flag
+ * follow as the `X-Row-Count` and `X-Truncated` trailers. SheetJS needs
+ * the whole sheet, so XLSX results are collected first and those two are
+ * plain headers; EXPORT_MAX_ROWS is what bounds their memory.
+ *
+ * Nothing is sent until the first batch has been read, so a query that
+ * fails to start can still be answered with an error. A failure after
+ * that rejects with `res.headersSent` set.
+ * @param {Object} res Express response.
+ * @param {string} format "csv", "ndjson" or "xlsx".
+ * @param {Function} read async (onRows) => { rowCount, truncated } that
+ *   passes the result to `onRows(rows, fields)` in batches, e.g.
+ *   db.streamReadOnlyQuery.
+ * @param {Object} meta { question, sql, params, filename, chartImage }.
+ *   `chartImage` (PNG data URL) adds a "Chart" sheet to XLSX exports.
+ * @returns {Promise<Object>} { rowCount, truncated }
+ */
+async function sendExport(res, format, read, meta) {
+  const { contentType, extension } = FORMATS[format];
+  const exportedAt = new Date();
+  const filename = `${meta.filename || "query-results"}.${extension}`;
+  const sendHeaders = () => {
+    res.setHeader("Content-Type", contentType);
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+  };
+
+  if (format === "xlsx") {
+    let columns;
+    const rows = [];
+    const { rowCount, truncated } = await read(async (batch, fields) => {
+      columns = columns || describeColumns(fields);
+      for (const row of batch) rows.push(row);
+    });
+    sendHeaders();
+    res.setHeader("X-Row-Count", String(rowCount));
+    res.setHeader("X-Truncated", String(Boolean(truncated)));
+    const workbook = buildWorkbook(columns, rows, {
+      ...meta,
+      truncated,
+      exportedAt,
+    });
+    const png = decodePng(meta.chartImage);
+    if (png) {
+      XLSX.utils.book_append_sheet(
+        workbook,
+        XLSX.utils.aoa_to_sheet([[meta.question || "Chart"]]),
+        "Chart"
+      );
+    }
+    const buffer = XLSX.write(workbook, {
+      type: "buffer",
+      bookType: "xlsx",
+      cellDates: true,
+    });
+    res.end(
+      png ? addImageToSheet(buffer, png, workbook.SheetNames.length) : buffer
+    );
+    return { rowCount, truncated };
+  }
+
+  let columns;
+  const { rowCount, truncated } = await read(async (batch, fields) => {
+    let chunk = "";
+    if (!columns) {
+      columns = describeColumns(fields);
+      sendHeaders();
+      res.setHeader("Trailer", "X-Row-Count, X-Truncated");
+      if (format === "csv") chunk = csvHeader(columns);
+    }
+    chunk +=
+      format === "csv" ? csvRows(columns, batch) : ndjsonRows(columns, batch);
+    if (chunk) await writeChunk(res, chunk);
+  });
+  res.addTrailers({
+    "X-Row-Count": String(rowCount),
+    "X-Truncated": String(Boolean(truncated)),
+  });
+  res.end();
+  return { rowCount, truncated };
+}
+
+module.exports = {
+  FORMATS,
+  EXPORT_MAX_ROWS,
+  EXPORT_TIMEOUT_MS,
+  describeColumns,
+  sendExport,
+};
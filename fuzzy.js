@@ -0,0 +1,31 @@
+// fuzzy.js
+// String distance helpers shared by entity resolution (entities.js) and the
+// data quality checks (quality.js). No database access, so the loader can
+// use them too.
+
+// Classic Levenshtein distance, used for typo-tolerant matching
+function editDistance(a, b) {
+  const prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let diag = prev[0];
+    prev[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const tmp = prev[j];
+      prev[j] = Math.min(
+        prev[j] + 1,
+        prev[j - 1] + 1,
+        diag + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      diag = tmp;
+    }
+  }
+  return prev[b.length];
+}
+
+// 1 for equal strings, down to 0 for nothing in common
+function similarity(a, b) {
+  if (!a && !b) return 1;
+  return 1 - editDistance(a, b) / Math.max(a.length, b.length);
+}
+
+module.exports = { editDistance, similarity };
@@ -0,0 +1,224 @@
+// imports.js
+// Spreadsheet uploads for the import page. An upload is parsed once and kept
+// in memory while the user checks the header mapping and previews rows; the
+// commit runs through the same loader as etl/load_excel.mjs.
+
+const crypto = require("crypto");
+const { withClient } = require("./db");
+require("dotenv").config();
+
+const IMPORT_MAX_BYTES =
+  parseInt(process.env.IMPORT_MAX_BYTES, 10) || 10 * 1024 * 1024;
+const IMPORT_TTL_MS = parseInt(process.env.IMPORT_TTL_MS, 10) || 30 * 60 * 1000;
+const MAX_IMPORTS = 20;
+
+// Rows shown in a preview and rejections returned by a commit
+const PREVIEW_ROWS = 50;
+const MAX_REJECTS = 200;
+
+const uploads = new Map(); // id -> { id, filename, tables, cols, usedAt }
+
+// The loader is ESM; load it once, on first use
+let etlModules = null;
+function etl() {
+  etlModules =
+    etlModules ||
+    Promise.all([
+      import("./etl/readers.mjs"),
+      import("./etl/normalize.mjs"),
+      import("./etl/load.mjs"),
+    ]).then(([readers, normalize, load]) => ({
+      ...readers,
+      ...normalize,
+      ...load,
+    }));
+  return etlModules;
+}
+
+function evictStale() {
+  const now = Date.now();
+  for (const [id, upload] of uploads) {
+    if (now - upload.usedAt > IMPORT_TTL_MS) uploads.delete(id);
+  }
+  while (uploads.size > MAX_IMPORTS) {
+    uploads.delete(uploads.keys().next().value);
+  }
+}
+
+function getUpload(id) {
+  const upload = uploads.get(id);
+  if (!upload || Date.now() - upload.usedAt > IMPORT_TTL_MS) {
+    uploads.delete(id);
+    return null;
+  }
+  upload.usedAt = Date.now();
+  return upload;
+}
+
+// Errors the user can fix (bad file, unknown sheet or field) carry a 400
+function badRequest(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+function tableFor(upload, sheet) {
+  const table = sheet
+    ? upload.tables.find((t) => t.sheet === sheet)
+    : upload.tables[0];
+  if (!table) throw badRequest(`Sheet "${sheet}" not found`);
+  return table;
+}
+
+/**
+ * Parses an uploaded file and keeps it for preview and commit.
+ * @param {Buffer} data The file contents.
+ * @param {string} filename The original name; its extension picks the
+ *   reader.
+ * @returns {Promise<Object>} The preview of the first sheet, as
+ *   previewImport.
+ */
+async function createImport(data, filename) {
+  const { parseSource, loadMapping } = await etl();
+  let tables;
+  try {
+    tables = parseSource(data, filename, { allSheets: true });
+  } catch (error) {
+    throw badRequest(`Could not read ${filename}: ${error.message}`);
+  }
+
+  evictStale();
+  const upload = {
+    id: crypto.randomUUID(),
+    filename,
+    tables,
+    cols: loadMapping(),
+    usedAt: Date.now(),
+  };
+  uploads.set(upload.id, upload);
+  return previewImport(upload.id);
+}
+
+/**
+ * Shows how a sheet of an upload maps onto the loader's fields and how its
+ * first rows parse.
+ * @param {string} id The upload id.
+ * @param {Object} options { sheet, mapping } where mapping pins fields to
+ *   headers ({ field: header }, "" to leave a field unread).
+ * @returns {Promise<Object|null>} { importId, filename, sheets, sheet,
+ *   headers, fields, mapping, unmappedHeaders, rows, counts }, or null for
+ *   an unknown or expired upload. rows holds the first PREVIEW_ROWS rows as
+ *   { row, values, value, reason }.
+ */
+async function previewImport(id, { sheet, mapping } = {}) {
+  const upload = getUpload(id);
+  if (!upload) return null;
+  const { REQUIRED, matchHeaders, applyChoices, validateSources } = await etl();
+
+  const table = tableFor(upload, sheet);
+  const cols = choose(applyChoices, upload.cols, mapping);
+  const headers = [
+    ...new Set(table.rows.flatMap((r) => Object.keys(r.values || {}))),
+  ];
+  const matched = matchHeaders(headers, cols);
+  const used = new Set(Object.values(matched));
+
+  const { staged, rejects } = validateSources([
+    { file: upload.filename, ...table, cols },
+  ]);
+  const byRow = new Map([
+    ...staged.map((s) => [s.sheetRow, { value: s.value }]),
+    ...rejects.map((r) => [r.row, { reason: r.reason }]),
+  ]);
+
+  return {
+    importId: upload.id,
+    filename: upload.filename,
+    sheets: upload.tables.map((t) => t.sheet).filter(Boolean),
+    sheet: table.sheet,
+    headers,
+    fields: Object.keys(upload.cols).map((name) => ({
+      name,
+      required: REQUIRED.includes(name),
+      aliases: upload.cols[name],
+    })),
+    mapping: matched,
+    unmappedHeaders: headers.filter((h) => !used.has(h)),
+    rows: table.rows.slice(0, PREVIEW_ROWS).map((r) => ({
+      row: r.row,
+      values: r.values || null,
+      ...byRow.get(r.row),
+    })),
+    counts: {
+      total: table.rows.length,
+      valid: staged.length,
+      rejected: rejects.length,
+    },
+  };
+}
+
+// The column mapping with the user's choices applied
+function choose(applyChoices, cols, mapping) {
+  try {
+    return applyChoices(cols, mapping);
+  } catch (error) {
+    throw badRequest(error.message);
+  }
+}
+
+/**
+ * Loads a sheet of an upload as one ETL batch.
+ * @param {string} id The upload id.
+ * @param {Object} options { sheet, mapping, dryRun } as previewImport.
+ * @returns {Promise<Object|null>} { batchId, dryRun, inserted, updated,
+ *   skipped, badDate, dimsAdded, rejects, quality }, or null for an unknown
+ *   or expired upload. A committed upload is discarded.
+ * @throws {Error} With `.status = 400` and `.quality` when the data quality
+ *   rules refuse the load.
+ */
+async function commitImport(id, { sheet, mapping, dryRun = false } = {}) {
+  const upload = getUpload(id);
+  if (!upload) return null;
+  const { applyChoices, loadSources } = await etl();
+
+  const table = tableFor(upload, sheet);
+  const cols = choose(applyChoices, upload.cols, mapping);
+  let result;
+  try {
+    result = await withClient((client) =>
+      loadSources(client, [{ file: upload.filename, ...table, cols }], {
+        dryRun,
+      })
+    );
+  } catch (error) {
+    // Refused by the quality rules: the user has to fix the data
+    if (error.quality) error.status = 400;
+    throw error;
+  }
+  if (!dryRun) uploads.delete(id);
+
+  console.log(
+    `[INFO] Import ${upload.filename}${
+      table.sheet ? ` "${table.sheet}"` : ""
+    } batch ${result.batchId}${dryRun ? " (dry run)" : ""}:`,
+    result.counts
+  );
+  return {
+    batchId: result.batchId,
+    dryRun,
+    inserted: result.counts.inserted,
+    updated: result.counts.updated,
+    skipped: result.counts.rejected,
+    badDate: result.badDate,
+    dimsAdded: result.dimsAdded,
+    rejects: result.rejects.slice(0, MAX_REJECTS),
+    quality: result.quality,
+  };
+}
+
+module.exports = {
+  IMPORT_MAX_BYTES,
+  createImport,
+  previewImport,
+  commitImport,
+};
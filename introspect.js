@@ -0,0 +1,185 @@
+// introspect.js
+// Reads the live database catalog for the relations the AI may query and
+// renders them as the schema section of the SQL-generation prompt.
+
+const crypto = require("crypto");
+const { executeQuery } = require("./db");
+const { ALLOWED_TABLES } = require("./sqlGuard");
+require("dotenv").config();
+
+// How often to check the catalog for changes, and the longest a cached
+// description (including sample values) is reused even if nothing changed.
+const SCHEMA_CHECK_INTERVAL_MS =
+  parseInt(process.env.SCHEMA_CHECK_INTERVAL_MS, 10) || 30 * 1000;
+const SCHEMA_CACHE_TTL_MS =
+  parseInt(process.env.SCHEMA_CACHE_TTL_MS, 10) || 15 * 60 * 1000;
+
+// TEXT columns with at most this many distinct values get them listed
+const SAMPLE_MAX_DISTINCT = parseInt(process.env.SCHEMA_SAMPLE_MAX, 10) || 20;
+
+const TEXT_TYPES = new Set(["text", "character varying", "character"]);
+
+let cache = null; // { fingerprint, builtAt, checkedAt, relations, prompt }
+let pending = null; // in-flight refresh shared by concurrent callers
+
+const quoteIdent = (name) => `"${name.replace(/"/g, '""')}"`;
+
+async function fetchColumns() {
+  const { rows } = await executeQuery(
+    `SELECT c.relname AS relation,
+            CASE c.relkind WHEN 'v' THEN 'view'
+                           WHEN 'm' THEN 'materialized view'
+                           ELSE 'table' END AS kind,
+            obj_description(c.oid, 'pg_class') AS relation_comment,
+            a.attname AS column_name,
+            format_type(a.atttypid, a.atttypmod) AS data_type,
+            col_description(c.oid, a.attnum) AS column_comment
+       FROM pg_catalog.pg_class c
+       JOIN pg_catalog.pg_namespace n ON n.oid = c.relnamespace
+       JOIN pg_catalog.pg_attribute a
+         ON a.attrelid = c.oid AND a.attnum > 0 AND NOT a.attisdropped
+      WHERE n.nspname = 'public' AND c.relname = ANY($1)
+      ORDER BY c.relname, a.attnum`,
+    [[...ALLOWED_TABLES]]
+  );
+  return rows;
+}
+
+function fingerprintOf(columns) {
+  return crypto
+    .createHash("sha1")
+    .update(JSON.stringify(columns))
+    .digest("hex");
+}
+
+// Returns the distinct values of a column, or null when there are too many
+// for them to be useful in the prompt.
+async function sampleValues(relation, column) {
+  const col = quoteIdent(column);
+  const { rows } = await executeQuery(
+    `SELECT ${col} AS value
+       FROM ${quoteIdent(relation)}
+      WHERE ${col} IS NOT NULL
+      GROUP BY ${col}
+      ORDER BY COUNT(*) DESC, ${col}
+      LIMIT ${SAMPLE_MAX_DISTINCT + 1}`
+  );
+  if (rows.length > SAMPLE_MAX_DISTINCT) return null;
+  return rows.map((r) => r.value);
+}
+
+async function describeRelations(columns) {
+  const relations = new Map();
+  for (const col of columns) {
+    if (!relations.has(col.relation)) {
+      relations.set(col.relation, {
+        name: col.relation,
+        kind: col.kind,
+        comment: col.relation_comment,
+        columns: [],
+      });
+    }
+    const values = TEXT_TYPES.has(col.data_type.replace(/\(.*\)$/, ""))
+      ? await sampleValues(col.relation, col.column_name)
+      : null;
+    relations.get(col.relation).columns.push({
+      name: col.column_name,
+      type: col.data_type,
+      comment: col.column_comment,
+      values,
+    });
+  }
+  return [...relations.values()];
+}
+
+function renderPrompt(relations) {
+  return relations
+    .map((rel) => {
+      const header = `Query the ${rel.kind}: ${rel.name}${
+        rel.comment ? ` (${rel.comment})` : ""
+      }`;
+      const lines = rel.columns.map((col) => {
+        let line = `- ${col.name} (${col.type.toUpperCase()})`;
+        if (col.comment) line += `: ${col.comment}`;
+        if (col.values && col.values.length > 0) {
+          line += `. Values: ${col.values
+            .map((v) => `'${String(v).replace(/'/g, "''")}'`)
+            .join(", ")}`;
+        }
+        return line;
+      });
+      return `${header}\n\nSchema:\n${lines.join("\n")}`;
+    })
+    .join("\n\n");
+}
+
+async function refresh() {
+  const now = Date.now();
+  const columns = await fetchColumns();
+  if (columns.length === 0) {
+    throw new Error(
+      `Schema introspection found none of: ${[...ALLOWED_TABLES].join(", ")}`
+    );
+  }
+
+  const fingerprint = fingerprintOf(columns);
+  if (
+    cache &&
+    cache.fingerprint === fingerprint &&
+    now - cache.builtAt < SCHEMA_CACHE_TTL_MS
+  ) {
+    cache.checkedAt = now;
+    return cache;
+  }
+
+  console.log("[INFO] Building schema description from the database...");
+  const relations = await describeRelations(columns);
+  cache = {
+    fingerprint,
+    builtAt: now,
+    checkedAt: now,
+    relations,
+    prompt: renderPrompt(relations),
+  };
+  return cache;
+}
+
+/**
+ * Returns the schema description used in the SQL-generation prompt.
+ * Cached; the catalog is re-checked every SCHEMA_CHECK_INTERVAL_MS and the
+ * description rebuilt when it changed or is older than SCHEMA_CACHE_TTL_MS.
+ * @returns {Promise<Object>} { prompt, relations, fingerprint, builtAt }
+ */
+async function getSchemaDescription() {
+  if (cache && Date.now() - cache.checkedAt < SCHEMA_CHECK_INTERVAL_MS) {
+    return cache;
+  }
+  if (!pending) {
+    pending = refresh().finally(() => {
+      pending = null;
+    });
+  }
+  try {
+    return await pending;
+  } catch (error) {
+    // A stale description beats failing every question while the DB blips
+    if (cache) {
+      console.error("[ERROR] Schema refresh failed, using cached:", error);
+      return cache;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Forces the next getSchemaDescription() call to re-read the catalog.
+ * Called when a query fails on an unknown column or relation.
+ */
+function invalidateSchemaCache() {
+  if (cache) {
+    cache.checkedAt = 0;
+    cache.builtAt = 0;
+  }
+}
+
+module.exports = { getSchemaDescription, invalidateSchemaCache };
@@ -0,0 +1,139 @@
+// limits.js
+// Rate limits and the daily token budget for the endpoints that call the
+// LLM (and for sign-in attempts). Request counts are kept in memory per
+// process, like conversations and results; token use comes from llm_usage
+// (see usage.js), so the budget holds across restarts.
+
+const { tokensUsedToday } = require("./usage");
+require("dotenv").config();
+
+const RATE_WINDOW_MS = 60 * 1000;
+
+// Questions per minute, per user and per client IP
+const RATE_LIMIT_USER = parseInt(process.env.RATE_LIMIT_USER_PER_MIN, 10) || 10;
+const RATE_LIMIT_IP = parseInt(process.env.RATE_LIMIT_IP_PER_MIN, 10) || 30;
+
+// Sign-in attempts per minute and client IP
+const LOGIN_RATE_LIMIT =
+  parseInt(process.env.LOGIN_RATE_LIMIT_PER_MIN, 10) || 10;
+
+// Tokens a user may spend per day (reporting timezone); 0 turns it off
+const DAILY_TOKEN_BUDGET =
+  process.env.LLM_DAILY_TOKEN_BUDGET !== undefined
+    ? parseInt(process.env.LLM_DAILY_TOKEN_BUDGET, 10)
+    : 200000;
+
+// Keys tracked per limiter before the least recently seen is dropped
+const MAX_TRACKED_KEYS = 10000;
+
+/**
+ * A sliding-window counter.
+ * @returns {Object} { hit(key) } which counts a request and returns null
+ *   when it is allowed, or the Date the key may try again.
+ */
+function createLimiter(limit, windowMs = RATE_WINDOW_MS) {
+  const hits = new Map(); // key -> timestamps within the window, oldest first
+
+  return {
+    hit(key) {
+      const now = Date.now();
+      const recent = (hits.get(key) || []).filter((t) => t > now - windowMs);
+      hits.delete(key);
+      if (recent.length >= limit) {
+        hits.set(key, recent);
+        return new Date(recent[0] + windowMs);
+      }
+      recent.push(now);
+      hits.set(key, recent);
+      while (hits.size > MAX_TRACKED_KEYS) {
+        hits.delete(hits.keys().next().value);
+      }
+      return null;
+    },
+  };
+}
+
+// The 429 answer, with when to come back as a Retry-After header (seconds)
+// and in the body
+function tooManyRequests(res, retryAt, details, suggestion) {
+  const retryAfter = Math.max(
+    1,
+    Math.ceil((new Date(retryAt).getTime() - Date.now()) / 1000)
+  );
+  res.setHeader("Retry-After", String(retryAfter));
+  return res.status(429).json({
+    error: "Too many requests",
+    details,
+    suggestion: suggestion || `Try again in ${retryAfter} seconds`,
+    retryAfter,
+    retryAt: new Date(retryAt).toISOString(),
+  });
+}
+
+const userLimiter = createLimiter(RATE_LIMIT_USER);
+const ipLimiter = createLimiter(RATE_LIMIT_IP);
+const loginLimiter = createLimiter(LOGIN_RATE_LIMIT);
+
+/**
+ * Middleware for the question endpoints: per-IP and per-user rate limits,
+ * then the user's daily token budget. Runs after authentication.
+ */
+async function limitQuestions(req, res, next) {
+  const ipRetry = ipLimiter.hit(req.ip);
+  if (ipRetry) {
+    return tooManyRequests(
+      res,
+      ipRetry,
+      `At most ${RATE_LIMIT_IP} questions a minute can come from one address`
+    );
+  }
+  const username = req.user.username;
+  const userRetry = userLimiter.hit(username);
+  if (userRetry) {
+    return tooManyRequests(
+      res,
+      userRetry,
+      `You can ask ${RATE_LIMIT_USER} questions a minute`
+    );
+  }
+
+  if (DAILY_TOKEN_BUDGET > 0) {
+    try {
+      const { tokens, resetsAt } = await tokensUsedToday(username);
+      if (tokens >= DAILY_TOKEN_BUDGET) {
+        return tooManyRequests(
+          res,
+          resetsAt,
+          `You have used ${tokens} of your ${DAILY_TOKEN_BUDGET} tokens for today`,
+          `Your budget resets at ${new Date(resetsAt).toISOString()}`
+        );
+      }
+    } catch (error) {
+      // Don't turn an accounting outage into an outage of the app
+      console.error("[ERROR] Could not check the token budget:", error.message);
+    }
+  }
+  next();
+}
+
+/**
+ * Middleware limiting sign-in attempts per client IP.
+ */
+function limitLogins(req, res, next) {
+  const retryAt = loginLimiter.hit(req.ip);
+  if (retryAt) {
+    return tooManyRequests(
+      res,
+      retryAt,
+      `At most ${LOGIN_RATE_LIMIT} sign-in attempts a minute are allowed`
+    );
+  }
+  next();
+}
+
+module.exports = {
+  DAILY_TOKEN_BUDGET,
+  createLimiter,
+  limitQuestions,
+  limitLogins,
+};
@@ -0,0 +1,474 @@
+// pipeline.js
+// The question-answering pipeline behind /api/query and /api/query/stream:
+// entity resolution, SQL generation with repair, read-only execution and
+// summarization.
+
+const crypto = require("crypto");
+const {
+  getAiSql,
+  getAiSqlRepair,
+  getAiSummary,
+  getAiSummaryStream,
+} = require("./ai");
+const { openResult, reopenResult } = require("./results");
+const { validateSql } = require("./sqlGuard");
+const { invalidateSchemaCache } = require("./introspect");
+const { appendTurn, historyForPrompt } = require("./conversations");
+const { resolveEntities } = require("./entities");
+const { logQuery } = require("./reports");
+const { chooseChart } = require("./charts");
+const { trackUsage } = require("./usage");
+const {
+  lookupSql,
+  rememberSql,
+  forgetSql,
+  getDataVersion,
+  lookupResult,
+  rememberResult,
+} = require("./cache");
+require("dotenv").config();
+
+// Rows per "rows" event when streaming
+const ROW_CHUNK_SIZE = 200;
+
+const noop = () => {};
+
+// How many times a failing query is sent back to the model for repair
+const MAX_SQL_REPAIRS =
+  process.env.SQL_MAX_REPAIRS !== undefined
+    ? parseInt(process.env.SQL_MAX_REPAIRS, 10)
+    : 2;
+
+// Postgres errors the model can plausibly fix by rewriting the query:
+// class 42 (syntax error, undefined column/table/function, grouping, type
+// mismatch), class 22 (bad casts, division by zero) and 21000 (a scalar
+// subquery returning several rows). Timeouts and permission errors are not.
+function isRepairableDbError(pg) {
+  if (!pg || !pg.code || pg.code === "42501") return false;
+  return (
+    pg.code.startsWith("42") || pg.code.startsWith("22") || pg.code === "21000"
+  );
+}
+
+// Generates SQL for a question, validates and executes it. When validation
+// or execution fails with a fixable error, the failing SQL and the error are
+// sent back to the model for up to MAX_SQL_REPAIRS repair attempts.
+// `context` is passed through to the AI (resolved entities, ...),
+// `emit(event, payload)` is told about each attempt as it happens and
+// `access` ({ user, rowFilter }, see auth.js) limits what the SQL can see.
+// `cached` ({ sql, version }, see cache.js) starts from vetted SQL instead of
+// asking the model, and looks the answer up at that data version before
+// running it.
+// Returns { sql, data, columns, fields, truncated, attempts, resultId, total,
+// pageSize, cachedAnswer } where data is the first page of a stored result
+// (see results.js), attempts is the full history and cachedAnswer ({ chart,
+// summary, cachedAt }) is set when the answer came from the cache.
+async function generateAndExecuteSql(
+  userQuery,
+  context = {},
+  emit = noop,
+  access = {},
+  cached = {}
+) {
+  const attempts = [];
+  const rowFilter = access.rowFilter || null;
+
+  let sqlQuery = cached.sql;
+  if (sqlQuery) {
+    console.log("[INFO] Using cached SQL for the question");
+  } else {
+    console.log("[INFO] Generating SQL...");
+    sqlQuery = await getAiSql(userQuery, context);
+  }
+
+  for (let repair = 0; ; repair++) {
+    console.log(`[INFO] Generated SQL (attempt ${repair + 1}): ${sqlQuery}`);
+    emit("sql", { attempt: repair + 1, sql: sqlQuery });
+
+    const validation = validateSql(sqlQuery);
+    emit("validation", { attempt: repair + 1, ...validation });
+    if (!validation.valid) {
+      console.error(
+        `[ERROR] SQL rejected (${validation.reason.code}): ${validation.reason.message}`
+      );
+      attempts.push({
+        attempt: repair + 1,
+        sql: sqlQuery,
+        status: "rejected",
+        error: validation.reason,
+      });
+    } else {
+      const hit = await lookupResult(
+        sqlQuery,
+        [],
+        rowFilter,
+        cached.version ?? null
+      );
+      if (hit) {
+        console.log(
+          `[INFO] Answer served from cache (data version ${cached.version})`
+        );
+        const { chart, summary, ...stored } = hit.value;
+        const result = reopenResult(sqlQuery, [], access, stored);
+        attempts.push({
+          attempt: repair + 1,
+          sql: sqlQuery,
+          status: "success",
+          rowCount: result.total,
+        });
+        return {
+          sql: sqlQuery,
+          data: result.rows,
+          columns: result.columns,
+          fields: result.fields,
+          truncated: result.truncated,
+          attempts,
+          resultId: result.resultId,
+          total: result.total,
+          pageSize: result.pageSize,
+          cachedAnswer: { chart, summary, cachedAt: hit.cachedAt },
+        };
+      }
+      try {
+        console.log("[INFO] SQL validation passed. Executing on database...");
+        const result = await openResult(sqlQuery, [], access);
+        console.log(
+          `[INFO] Query executed successfully. ${result.total} rows${
+            result.truncated ? " (truncated)" : ""
+          }, first ${result.rows.length} fetched.`
+        );
+        attempts.push({
+          attempt: repair + 1,
+          sql: sqlQuery,
+          status: "success",
+          rowCount: result.total,
+        });
+        return {
+          sql: sqlQuery,
+          data: result.rows,
+          columns: result.columns,
+          fields: result.fields,
+          truncated: result.truncated,
+          attempts,
+          resultId: result.resultId,
+          total: result.total,
+          pageSize: result.pageSize,
+          cachedAnswer: null,
+        };
+      } catch (error) {
+        attempts.push({
+          attempt: repair + 1,
+          sql: sqlQuery,
+          status: "error",
+          error: error.pg || { message: error.message },
+        });
+        emit("execution_error", attempts[attempts.length - 1]);
+        // An unknown column or relation may mean the schema changed under us
+        if (error.pg && ["42703", "42P01"].includes(error.pg.code)) {
+          invalidateSchemaCache();
+        }
+        if (!isRepairableDbError(error.pg)) {
+          error.sql = sqlQuery;
+          error.attempts = attempts;
+          throw error;
+        }
+      }
+    }
+
+    if (repair >= MAX_SQL_REPAIRS) break;
+
+    console.log(
+      `[INFO] Asking AI to repair SQL (${repair + 1}/${MAX_SQL_REPAIRS})...`
+    );
+    sqlQuery = await getAiSqlRepair(userQuery, attempts, context);
+  }
+
+  // Out of repair attempts: surface the last failure
+  const last = attempts[attempts.length - 1];
+  const error =
+    last.status === "rejected"
+      ? new Error(`Generated SQL query was rejected: ${last.error.message}`)
+      : new Error(`Database execution error: ${last.error.message}`);
+  if (last.status === "rejected") error.rejection = last.error;
+  error.sql = last.sql;
+  error.attempts = attempts;
+  throw error;
+}
+
+/**
+ * Answers a question end to end and records it in the query log. Its LLM
+ * calls are recorded in llm_usage under the same request id.
+ * @param {Object} request { userQuery, choices, conversation, access }
+ *   where access ({ user, rowFilter }) comes from auth.accessFor.
+ * @param {Function} emit Optional progress callback `(event, payload)`. When
+ *   given, rows are emitted in chunks and the summary is streamed token by
+ *   token; events: entities, sql, validation, execution_error, rows,
+ *   rows_done, chart, summary_token.
+ * @returns {Promise<Object>} Either { clarification, entities, conversationId }
+ *   when a mention is ambiguous, or { data, summary, sql, truncated,
+ *   resultId, total, pageSize, attempts, chart, entities, conversationId,
+ *   turn, cached } where data is the first page (fetch the rest with
+ *   GET /api/results/:resultId) and cached ({ sql, result, cachedAt }) says
+ *   which steps were answered from the cache (see cache.js).
+ */
+async function answerQuestion(request, emit) {
+  const started = Date.now();
+  const requestId = crypto.randomUUID();
+  const username = request.access && request.access.user;
+  try {
+    const result = await trackUsage({ requestId, username }, () =>
+      runPipeline(request, emit)
+    );
+    if (!result.clarification) {
+      await logQuery({
+        question: request.userQuery,
+        sql: result.sql,
+        rowCount: result.total,
+        latencyMs: Date.now() - started,
+        success: true,
+        conversationId: result.conversationId,
+        username,
+        requestId,
+      });
+    }
+    return result;
+  } catch (error) {
+    await logQuery({
+      question: request.userQuery,
+      sql: error.sql,
+      latencyMs: Date.now() - started,
+      success: false,
+      error: error.message,
+      conversationId: request.conversation.id,
+      username,
+      requestId,
+    });
+    throw error;
+  }
+}
+
+async function runPipeline(
+  { userQuery, choices = [], conversation, access },
+  emit
+) {
+  const streaming = typeof emit === "function";
+  emit = emit || noop;
+
+  // Step 0: Resolve instructor/class/domain/type mentions
+  const { resolved: entities, ambiguous } = await resolveEntities(
+    userQuery,
+    choices,
+    access
+  );
+  if (entities.length > 0) {
+    console.log(
+      `[INFO] Resolved entities: ${entities
+        .map((e) => `"${e.mention}" -> ${e.entity}=${e.canonical}`)
+        .join(", ")}`
+    );
+  }
+  emit("entities", { entities, ambiguous });
+  if (ambiguous.length > 0) {
+    console.log(
+      `[INFO] Ambiguous mentions: ${ambiguous.map((a) => a.mention).join(", ")}`
+    );
+    return {
+      clarification: { query: userQuery, ambiguous },
+      entities,
+      conversationId: conversation.id,
+    };
+  }
+
+  // Steps 1-3: Generate, validate and execute SQL, repairing on failure.
+  // Follow-ups depend on the thread, so only a thread's first question
+  // looks for cached SQL.
+  const history = historyForPrompt(conversation);
+  const cachedSql =
+    history.length === 0 ? await lookupSql(userQuery, entities) : null;
+  const version = await getDataVersion();
+  let answer;
+  try {
+    answer = await generateAndExecuteSql(
+      userQuery,
+      { entities, history },
+      emit,
+      access,
+      { sql: cachedSql && cachedSql.sql, version }
+    );
+  } catch (error) {
+    if (cachedSql) await forgetSql(userQuery, entities);
+    throw error;
+  }
+  const {
+    sql: sqlQuery,
+    data,
+    columns,
+    fields,
+    truncated,
+    attempts,
+    resultId,
+    total,
+    pageSize,
+    cachedAnswer,
+  } = answer;
+  // The cached SQL ran as it was (otherwise it was repaired)
+  const sqlFromCache = Boolean(cachedSql) && attempts.length === 1;
+  if (history.length === 0 && !sqlFromCache) {
+    await rememberSql(userQuery, entities, sqlQuery);
+  }
+
+  if (streaming) {
+    for (let offset = 0; offset < data.length; offset += ROW_CHUNK_SIZE) {
+      emit("rows", {
+        offset,
+        rows: data.slice(offset, offset + ROW_CHUNK_SIZE),
+      });
+    }
+    emit("rows_done", {
+      rowCount: data.length,
+      total,
+      resultId,
+      pageSize,
+      columns,
+      truncated,
+      sql: sqlQuery,
+      attempts,
+    });
+  }
+
+  let chart;
+  let summary;
+  if (cachedAnswer) {
+    ({ chart, summary } = cachedAnswer);
+    emit("chart", chart);
+    emit("summary_token", { token: summary });
+  } else {
+    // Step 4: Pick a chart for the results
+    chart = await chooseChart(userQuery, data, fields);
+    emit("chart", chart);
+
+    // Step 5: Generate summary
+    console.log("[INFO] Generating summary...");
+    summary = streaming
+      ? await getAiSummaryStream(
+          userQuery,
+          sqlQuery,
+          data,
+          (token) => emit("summary_token", { token }),
+          total
+        )
+      : await getAiSummary(userQuery, sqlQuery, data, total);
+    console.log(`[INFO] Summary generated: ${summary.substring(0, 100)}...`);
+
+    await rememberResult(sqlQuery, [], access && access.rowFilter, version, {
+      rows: data,
+      fields,
+      total,
+      truncated,
+      chart,
+      summary,
+    });
+  }
+
+  // Step 6: Remember the turn so follow-ups can build on it
+  const turn = appendTurn(conversation, {
+    question: userQuery,
+    sql: sqlQuery,
+    columns,
+    rowCount: total,
+  });
+
+  return {
+    data,
+    summary,
+    sql: sqlQuery,
+    truncated,
+    resultId,
+    total,
+    pageSize,
+    attempts,
+    chart,
+    entities,
+    conversationId: conversation.id,
+    turn,
+    cached: {
+      sql: sqlFromCache,
+      result: Boolean(cachedAnswer),
+      cachedAt: cachedAnswer
+        ? cachedAnswer.cachedAt
+        : sqlFromCache
+        ? cachedSql.cachedAt
+        : null,
+    },
+  };
+}
+
+/**
+ * Maps a pipeline error to the HTTP status and body the API returns.
+ * @param {Error} error An error thrown by answerQuestion.
+ * @returns {{status: number, body: Object}}
+ */
+function describeQueryError(error) {
+  if (error.rejection) {
+    return {
+      status: 422,
+      body: {
+        error: "Generated SQL query was rejected",
+        details: error.rejection.message,
+        reason: error.rejection,
+        sql: error.sql,
+        attempts: error.attempts,
+        suggestion: "Try rephrasing your question",
+      },
+    };
+  }
+  if (error.invalidChoice) {
+    return {
+      status: 400,
+      body: {
+        error: "Invalid clarification choice",
+        details: error.message,
+        suggestion: "Pick one of the values offered in the clarification",
+      },
+    };
+  }
+  if (
+    error.status === 503 ||
+    error.message.includes("Service unavailable") ||
+    error.message.includes("503")
+  ) {
+    return {
+      status: 503,
+      body: {
+        error: "AI service temporarily unavailable",
+        details: "The LLM provider is down. Try again in a few minutes.",
+        suggestion:
+          "Check the provider's status page (https://groqstatus.com/ for Groq)",
+      },
+    };
+  }
+  if (error.message.includes("Database execution error")) {
+    return {
+      status: 500,
+      body: {
+        error: "Database query failed",
+        details: error.message,
+        sql: error.sql,
+        attempts: error.attempts,
+        suggestion: error.attempts
+          ? `The SQL still failed after ${error.attempts.length} attempt(s). Try rephrasing your question`
+          : "The SQL might have syntax errors",
+      },
+    };
+  }
+  return {
+    status: 500,
+    body: {
+      error: "Internal server error",
+      details: error.message,
+      suggestion: "Please try again",
+    },
+  };
+}
+
+module.exports = { answerQuestion, generateAndExecuteSql, describeQueryError };
@@ -0,0 +1,79 @@
+// providers/groq.js
+// Adapter for the Groq chat completions API (groq-sdk).
+
+const Groq = require("groq-sdk");
+const { withRetry, isTransient } = require("./retry");
+
+function createGroqProvider({ apiKey = process.env.GROQ_API_KEY } = {}) {
+  let client = null;
+  // Created on first use so other providers work without a Groq key
+  // (the SDK's own retries are off; withRetry handles them).
+  const groq = () => (client = client || new Groq({ apiKey, maxRetries: 0 }));
+
+  return {
+    name: "groq",
+
+    async complete({
+      model,
+      messages,
+      temperature,
+      maxTokens,
+      maxRetries,
+      label,
+    }) {
+      return withRetry(
+        async () => {
+          const completion = await groq().chat.completions.create({
+            messages,
+            model,
+            temperature,
+            max_tokens: maxTokens,
+          });
+          return {
+            content: completion.choices[0]?.message?.content || "",
+            usage: completion.usage,
+            model,
+          };
+        },
+        { maxRetries, baseDelayMs: 2000, label }
+      );
+    },
+
+    async stream(
+      { model, messages, temperature, maxTokens, maxRetries, label },
+      onToken
+    ) {
+      let content = "";
+      return withRetry(
+        async () => {
+          const stream = await groq().chat.completions.create({
+            messages,
+            model,
+            temperature,
+            max_tokens: maxTokens,
+            stream: true,
+          });
+          let usage;
+          for await (const chunk of stream) {
+            const token = chunk.choices[0]?.delta?.content;
+            if (token) {
+              content += token;
+              onToken(token);
+            }
+            usage = chunk.x_groq?.usage || usage;
+          }
+          return { content, usage, model };
+        },
+        {
+          maxRetries,
+          baseDelayMs: 1000,
+          label,
+          // Once text reached the caller, starting over would duplicate it
+          isRetryable: (error) => !content && isTransient(error),
+        }
+      );
+    },
+  };
+}
+
+module.exports = { createGroqProvider };
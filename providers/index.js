@@ -0,0 +1,117 @@
+// providers/index.js
+// Chooses the LLM provider and model for each role ("sql" generation,
+// "summary" writing and "chart" refinement) from configuration.
+//
+//   LLM_PROVIDER           default provider for every role (groq)
+//   LLM_SQL_PROVIDER       provider for SQL generation
+//   LLM_SQL_MODEL          model for SQL generation
+//   LLM_SUMMARY_PROVIDER   provider for summaries
+//   LLM_SUMMARY_MODEL      model for summaries
+//   LLM_CHART_PROVIDER     provider for chart refinement (CHART_REFINE=true)
+//   LLM_CHART_MODEL        model for chart refinement
+
+const { createGroqProvider } = require("./groq");
+const { createOpenAiProvider } = require("./openai");
+const { createMockProvider } = require("./mock");
+require("dotenv").config();
+
+const FACTORIES = {
+  groq: createGroqProvider,
+  openai: createOpenAiProvider,
+  mock: createMockProvider,
+};
+
+// Model used when a role doesn't name one
+const DEFAULT_MODELS = {
+  groq: {
+    sql: "llama3-70b-8192",
+    summary: "llama3-8b-8192",
+    chart: "llama3-8b-8192",
+  },
+  openai: { sql: "llama3", summary: "llama3", chart: "llama3" },
+  mock: { sql: "mock", summary: "mock", chart: "mock" },
+};
+
+const instances = {};
+
+// Told about every completion, successful or not (see usage.js)
+const completionListeners = [];
+
+/**
+ * Registers a listener for finished completions.
+ * @param {Function} listener Called with { role, provider, model, usage,
+ *   latencyMs, error } where usage is the provider's { prompt_tokens,
+ *   completion_tokens, total_tokens } and error is set when the call failed
+ *   (after the provider's retries).
+ */
+function onCompletion(listener) {
+  completionListeners.push(listener);
+}
+
+function notify(call) {
+  for (const listener of completionListeners) {
+    try {
+      listener(call);
+    } catch (error) {
+      console.error("[ERROR] Completion listener failed:", error.message);
+    }
+  }
+}
+
+// Wraps a provider so its calls for a role are reported to the listeners
+function metered(provider, role) {
+  const call =
+    (method) =>
+    async (options, ...rest) => {
+      const started = Date.now();
+      const report = (details) =>
+        notify({
+          role,
+          provider: provider.name,
+          model: options.model,
+          latencyMs: Date.now() - started,
+          ...details,
+        });
+      try {
+        const result = await provider[method](options, ...rest);
+        report({ model: result.model || options.model, usage: result.usage });
+        return result;
+      } catch (error) {
+        report({ error });
+        throw error;
+      }
+    };
+  return {
+    name: provider.name,
+    complete: call("complete"),
+    stream: call("stream"),
+  };
+}
+
+function getProvider(name) {
+  if (!FACTORIES[name]) {
+    throw new Error(
+      `Unknown LLM provider "${name}". Use one of: ${Object.keys(
+        FACTORIES
+      ).join(", ")}`
+    );
+  }
+  instances[name] = instances[name] || FACTORIES[name]();
+  return instances[name];
+}
+
+/**
+ * Returns the provider and model configured for a role.
+ * @param {string} role "sql", "summary" or "chart".
+ * @returns {{provider: Object, model: string}}
+ */
+function getRoleConfig(role) {
+  const prefix = `LLM_${role.toUpperCase()}`;
+  const name =
+    process.env[`${prefix}_PROVIDER`] || process.env.LLM_PROVIDER || "groq";
+  const provider = metered(getProvider(name), role);
+  const model = process.env[`${prefix}_MODEL`] || DEFAULT_MODELS[name][role];
+  return { provider, model };
+}
+
+module.exports = { getRoleConfig, getProvider, onCompletion };
@@ -0,0 +1,86 @@
+// providers/mock.js
+// Deterministic, offline provider that answers from a fixtures file. Used
+// for local development and tests without network access.
+
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_FIXTURES = path.join(__dirname, "fixtures", "mock.json");
+
+// Fixture file shape:
+// {
+//   "sql":     [{ "match": "<regex>", "response": "SELECT ..." }, ...],
+//   "summary": [{ "match": "<regex>", "response": "..." }, ...],
+//   "chart":   [{ "match": "<regex>", "response": "{\"type\": ...}" }, ...]
+// }
+// Each regex is tested (case-insensitively) against the user messages of the
+// conversation; the first match wins.
+function loadFixtures(file) {
+  const raw = JSON.parse(fs.readFileSync(file, "utf8"));
+  const compile = (list = []) =>
+    list.map((f) => ({ ...f, regex: new RegExp(f.match, "i") }));
+  return {
+    sql: compile(raw.sql),
+    summary: compile(raw.summary),
+    chart: compile(raw.chart),
+  };
+}
+
+function createMockProvider({
+  fixturesFile = process.env.LLM_MOCK_FIXTURES || DEFAULT_FIXTURES,
+} = {}) {
+  let fixtures = null;
+
+  function respond(role, messages) {
+    fixtures = fixtures || loadFixtures(fixturesFile);
+    const text = messages
+      .filter((m) => m.role === "user")
+      .map((m) => m.content)
+      .join("\n");
+    const fixture = (fixtures[role] || []).find((f) => f.regex.test(text));
+
+    if (!fixture) {
+      if (role === "summary") return "Mock summary of the query results.";
+      const error = new Error(
+        `No mock ${role} fixture in ${fixturesFile} matches the request`
+      );
+      error.status = 404;
+      throw error;
+    }
+    return fixture.response;
+  }
+
+  // Rough token count so usage accounting has something to record
+  const countTokens = (text) => Math.ceil(text.length / 4);
+
+  function completion(role, messages, model) {
+    const content = respond(role, messages);
+    const prompt = messages.map((m) => m.content).join("\n");
+    return {
+      content,
+      model,
+      usage: {
+        prompt_tokens: countTokens(prompt),
+        completion_tokens: countTokens(content),
+        total_tokens: countTokens(prompt) + countTokens(content),
+      },
+    };
+  }
+
+  return {
+    name: "mock",
+
+    async complete({ role, model, messages }) {
+      return completion(role, messages, model);
+    },
+
+    async stream({ role, model, messages }, onToken) {
+      const result = completion(role, messages, model);
+      // Word by word, like a real stream
+      result.content.split(/(?<=\s)/).forEach((token) => onToken(token));
+      return result;
+    },
+  };
+}
+
+module.exports = { createMockProvider };
@@ -0,0 +1,119 @@
+// providers/openai.js
+// Adapter for any OpenAI-compatible /chat/completions endpoint, such as a
+// local llama.cpp server, Ollama, vLLM or OpenAI itself.
+
+const { withRetry, isTransient } = require("./retry");
+
+function createOpenAiProvider({
+  baseUrl = process.env.OPENAI_BASE_URL || "http://localhost:11434/v1",
+  apiKey = process.env.OPENAI_API_KEY,
+  timeoutMs = parseInt(process.env.OPENAI_TIMEOUT_MS, 10) || 120000,
+} = {}) {
+  const url = `${baseUrl.replace(/\/+$/, "")}/chat/completions`;
+
+  async function post(body) {
+    const response = await fetch(url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+      },
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+    if (!response.ok) {
+      const text = await response.text().catch(() => "");
+      const error = new Error(
+        `${response.status} ${
+          response.statusText
+        } from ${url}: ${text.substring(0, 300)}`
+      );
+      error.status = response.status;
+      throw error;
+    }
+    return response;
+  }
+
+  return {
+    name: "openai",
+
+    async complete({
+      model,
+      messages,
+      temperature,
+      maxTokens,
+      maxRetries,
+      label,
+    }) {
+      return withRetry(
+        async () => {
+          const response = await post({
+            model,
+            messages,
+            temperature,
+            max_tokens: maxTokens,
+          });
+          const completion = await response.json();
+          return {
+            content: completion.choices?.[0]?.message?.content || "",
+            usage: completion.usage,
+            model,
+          };
+        },
+        { maxRetries, baseDelayMs: 1000, label }
+      );
+    },
+
+    async stream(
+      { model, messages, temperature, maxTokens, maxRetries, label },
+      onToken
+    ) {
+      let content = "";
+      return withRetry(
+        async () => {
+          const response = await post({
+            model,
+            messages,
+            temperature,
+            max_tokens: maxTokens,
+            stream: true,
+            stream_options: { include_usage: true },
+          });
+
+          // Server-Sent Events: "data: {...}" lines, terminated by [DONE]
+          const decoder = new TextDecoder();
+          let buffer = "";
+          let usage;
+          for await (const bytes of response.body) {
+            buffer += decoder.decode(bytes, { stream: true });
+            const lines = buffer.split("\n");
+            buffer = lines.pop();
+            for (const line of lines) {
+              const data = line.replace(/^data:\s*/, "").trim();
+              if (!line.startsWith("data:") || !data || data === "[DONE]") {
+                continue;
+              }
+              const chunk = JSON.parse(data);
+              const token = chunk.choices?.[0]?.delta?.content;
+              if (token) {
+                content += token;
+                onToken(token);
+              }
+              usage = chunk.usage || usage;
+            }
+          }
+          return { content, usage, model };
+        },
+        {
+          maxRetries,
+          baseDelayMs: 1000,
+          label,
+          // Once text reached the caller, starting over would duplicate it
+          isRetryable: (error) => !content && isTransient(error),
+        }
+      );
+    },
+  };
+}
+
+module.exports = { createOpenAiProvider };
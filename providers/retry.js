@@ -0,0 +1,47 @@
+// providers/retry.js
+// Shared retry loop with exponential backoff for provider adapters.
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Rate limits, server errors and dropped connections are worth retrying;
+// bad requests and auth failures are not.
+function isTransient(error) {
+  if (error.status) return error.status === 429 || error.status >= 500;
+  if (error.name === "TimeoutError") return true;
+  // undici reports network failures as TypeError("fetch failed")
+  if (error.message === "fetch failed") return true;
+  return ["ECONNRESET", "ECONNREFUSED", "ETIMEDOUT", "UND_ERR_SOCKET"].includes(
+    error.code || error.cause?.code
+  );
+}
+
+/**
+ * Calls `fn` until it succeeds, retrying transient failures.
+ * @param {Function} fn Async function receiving the attempt number.
+ * @param {Object} options { maxRetries, baseDelayMs, label, isRetryable }
+ * @returns {Promise<*>} Whatever `fn` resolves to.
+ */
+async function withRetry(fn, options = {}) {
+  const {
+    maxRetries = 3,
+    baseDelayMs = 1000,
+    label = "request",
+    isRetryable = isTransient,
+  } = options;
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      console.log(`[DEBUG] AI attempt ${attempt}/${maxRetries} for ${label}`);
+      return await fn(attempt);
+    } catch (error) {
+      console.error(`[ERROR] AI attempt ${attempt} failed:`, error.message);
+      if (attempt >= maxRetries || !isRetryable(error)) throw error;
+
+      const delay = baseDelayMs * 2 ** (attempt - 1);
+      console.log(`[INFO] Retrying in ${delay}ms...`);
+      await sleep(delay);
+    }
+  }
+}
+
+module.exports = { withRetry, isTransient };
@@ -0,0 +1,255 @@
+// public/import.js
+// Admin page: upload a spreadsheet, check how its headers map onto the
+// loader's fields, preview the parsed rows and import them (see
+// imports.js).
+
+document.addEventListener("DOMContentLoaded", () => {
+  const uploadForm = document.getElementById("upload-form");
+  const fileInput = document.getElementById("import-file");
+  const errorBox = document.getElementById("import-error");
+  const mappingSection = document.getElementById("mapping-section");
+  const mappingFields = document.getElementById("mapping-fields");
+  const unmappedHeaders = document.getElementById("unmapped-headers");
+  const sheetLabel = document.getElementById("sheet-label");
+  const sheetSelect = document.getElementById("sheet-select");
+  const previewSection = document.getElementById("preview-section");
+  const previewCounts = document.getElementById("preview-counts");
+  const previewTable = document.getElementById("preview-table");
+  const dryRunBtn = document.getElementById("dry-run-btn");
+  const commitBtn = document.getElementById("commit-btn");
+  const resultSection = document.getElementById("result-section");
+  const resultText = document.getElementById("result-text");
+  const resultRejects = document.getElementById("result-rejects");
+  const resultQuality = document.getElementById("result-quality");
+
+  // The current upload's preview, as returned by /api/import
+  let preview = null;
+
+  async function api(url, options = {}) {
+    const response = await fetch(url, options);
+    if (response.status === 401) return signIn();
+    const result = await response.json();
+    if (!response.ok) {
+      const error = new Error(
+        [result.error, result.details].filter(Boolean).join(": ") ||
+          "Request failed"
+      );
+      // Set when the quality rules refused a load
+      error.quality = result.quality;
+      throw error;
+    }
+    return result;
+  }
+
+  // The session cookie is missing or expired
+  function signIn() {
+    window.location.href = `/login.html?next=${encodeURIComponent(
+      window.location.pathname
+    )}`;
+    return new Promise(() => {});
+  }
+
+  const postJson = (url, body) =>
+    api(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    });
+
+  function showError(message) {
+    errorBox.textContent = message;
+    errorBox.classList.toggle("hidden", !message);
+  }
+
+  uploadForm.addEventListener("submit", async (e) => {
+    e.preventDefault();
+    const file = fileInput.files[0];
+    if (!file) return showError("Choose a file to upload.");
+    showError("");
+    resultSection.classList.add("hidden");
+    try {
+      showPreview(
+        await api(`/api/import?filename=${encodeURIComponent(file.name)}`, {
+          method: "POST",
+          headers: { "Content-Type": "application/octet-stream" },
+          body: file,
+        })
+      );
+    } catch (error) {
+      showError(error.message);
+    }
+  });
+
+  // The mapping as currently picked in the form: { field: header }
+  function chosenMapping() {
+    const mapping = {};
+    mappingFields.querySelectorAll("select").forEach((select) => {
+      mapping[select.name] = select.value;
+    });
+    return mapping;
+  }
+
+  async function refreshPreview() {
+    showError("");
+    try {
+      showPreview(
+        await postJson(`/api/import/${preview.importId}/preview`, {
+          sheet: sheetSelect.value || undefined,
+          mapping: chosenMapping(),
+        })
+      );
+    } catch (error) {
+      showError(error.message);
+    }
+  }
+
+  sheetSelect.addEventListener("change", () => {
+    // A different sheet may use different headers; detect them afresh
+    mappingFields.innerHTML = "";
+    refreshPreview();
+  });
+
+  function showPreview(result) {
+    preview = result;
+
+    // Sheets (workbooks only)
+    sheetLabel.classList.toggle("hidden", result.sheets.length < 2);
+    sheetSelect.innerHTML = result.sheets
+      .map((s) => `<option>${escapeHtml(s)}</option>`)
+      .join("");
+    if (result.sheet) sheetSelect.value = result.sheet;
+
+    // One picker per field
+    mappingFields.innerHTML = "";
+    result.fields.forEach((field) => {
+      const label = document.createElement("label");
+      label.className = "block text-sm";
+      const missing = !result.mapping[field.name];
+      label.innerHTML = `<span class="font-medium ${
+        missing && field.required ? "text-red-700" : "text-gray-700"
+      }">${field.name}${field.required ? " *" : ""}</span>`;
+      const select = document.createElement("select");
+      select.name = field.name;
+      select.className = `mt-1 w-full p-2 border rounded-lg ${
+        missing ? "border-yellow-400 bg-yellow-50" : "border-gray-300"
+      }`;
+      select.title = `Matches: ${field.aliases.join(", ")}`;
+      select.innerHTML =
+        `<option value="">(not mapped)</option>` +
+        result.headers.map((h) => `<option>${escapeHtml(h)}</option>`).join("");
+      select.value = result.mapping[field.name] || "";
+      select.addEventListener("change", refreshPreview);
+      label.appendChild(select);
+      mappingFields.appendChild(label);
+    });
+    unmappedHeaders.textContent = result.unmappedHeaders.length
+      ? `Not used: ${result.unmappedHeaders.join(", ")}`
+      : "";
+
+    // Parsed rows
+    const { total, valid, rejected } = result.counts;
+    previewCounts.textContent = `${total} row(s): ${valid} valid, ${rejected} will be skipped. Showing the first ${result.rows.length}.`;
+    const headerCells = ["Row", "Status", ...result.headers]
+      .map(
+        (h) =>
+          `<th class="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase whitespace-nowrap">${escapeHtml(
+            h
+          )}</th>`
+      )
+      .join("");
+    const bodyRows = result.rows
+      .map((row) => {
+        const status = row.reason
+          ? `<span class="text-red-700">${escapeHtml(row.reason)}</span>`
+          : '<span class="text-green-700">OK</span>';
+        const cells = result.headers
+          .map(
+            (h) =>
+              `<td class="px-3 py-2 whitespace-nowrap">${escapeHtml(
+                row.values ? row.values[h] : ""
+              )}</td>`
+          )
+          .join("");
+        return `<tr class="${
+          row.reason ? "bg-red-50" : ""
+        }"><td class="px-3 py-2">${
+          row.row
+        }</td><td class="px-3 py-2">${status}</td>${cells}</tr>`;
+      })
+      .join("");
+    previewTable.innerHTML = `<thead class="bg-gray-50 sticky top-0">${headerCells}</thead><tbody class="bg-white divide-y divide-gray-200">${bodyRows}</tbody>`;
+
+    mappingSection.classList.remove("hidden");
+    previewSection.classList.remove("hidden");
+  }
+
+  async function commit(dryRun) {
+    showError("");
+    dryRunBtn.disabled = commitBtn.disabled = true;
+    try {
+      const result = await postJson(`/api/import/${preview.importId}/commit`, {
+        sheet: sheetSelect.value || undefined,
+        mapping: chosenMapping(),
+        dryRun,
+      });
+      resultText.textContent = `${
+        dryRun ? "Dry run (nothing was saved)" : "Imported"
+      } as batch ${result.batchId}: ${result.inserted} ${
+        dryRun ? "would be inserted" : "inserted"
+      }, ${result.updated} ${dryRun ? "would be updated" : "updated"}, ${
+        result.skipped
+      } skipped (${result.badDate} with unreadable dates).`;
+      resultRejects.innerHTML = result.rejects
+        .map((r) => `<li>Row ${r.row}: ${escapeHtml(r.reason)}</li>`)
+        .join("");
+      showQuality(result.quality, dryRun);
+      resultSection.classList.remove("hidden");
+      if (!dryRun) {
+        // The upload is used up once imported
+        preview = null;
+        mappingSection.classList.add("hidden");
+        previewSection.classList.add("hidden");
+        fileInput.value = "";
+      }
+    } catch (error) {
+      showError(error.message);
+      if (error.quality) {
+        resultText.textContent = "Nothing was imported.";
+        resultRejects.innerHTML = "";
+        showQuality(error.quality, dryRun);
+        resultSection.classList.remove("hidden");
+      }
+    } finally {
+      dryRunBtn.disabled = commitBtn.disabled = false;
+    }
+  }
+
+  // Data quality findings for the batch, with a link to the rows
+  function showQuality(quality, dryRun) {
+    const { runId, counts, blocking } = quality;
+    const refused =
+      blocking.length > 0
+        ? dryRun
+          ? " An import would be refused."
+          : " The import was refused."
+        : "";
+    resultQuality.innerHTML = `Quality checks: ${counts.error} error(s), ${
+      counts.warning
+    } warning(s), ${
+      counts.info
+    } info.${refused} <a href="/quality.html?run=${encodeURIComponent(
+      runId
+    )}" class="text-blue-600 hover:text-blue-800 font-semibold">See findings</a>`;
+  }
+
+  dryRunBtn.addEventListener("click", () => commit(true));
+  commitBtn.addEventListener("click", () => commit(false));
+
+  function escapeHtml(value) {
+    return String(value ?? "")
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;");
+  }
+});
@@ -3,8 +3,9 @@ document.addEventListener("DOMContentLoaded", () => {
   const domainsList = document.getElementById("domains-list");
   const classesList = document.getElementById("classes-list");
 
-  // Function to fetch data and populate a list
-  const populateList = async (element, endpoint, fieldName) => {
+  // Function to fetch data and populate a list; `linkTo(item)`, if given,
+  // makes each entry a link
+  const populateList = async (element, endpoint, fieldName, linkTo) => {
     try {
       const response = await fetch(endpoint);
       if (!response.ok) throw new Error("Network response was not ok");
@@ -13,7 +14,15 @@ document.addEventListener("DOMContentLoaded", () => {
       element.innerHTML = ""; // Clear loading text
       data.forEach((item) => {
         const li = document.createElement("li");
-        li.textContent = item[fieldName];
+        if (linkTo) {
+          const a = document.createElement("a");
+          a.href = linkTo(item);
+          a.className = "text-blue-600 hover:text-blue-800 hover:underline";
+          a.textContent = item[fieldName];
+          li.appendChild(a);
+        } else {
+          li.textContent = item[fieldName];
+        }
         element.appendChild(li);
       });
     } catch (error) {
@@ -23,7 +32,12 @@ document.addEventListener("DOMContentLoaded", () => {
   };
 
   // Fetch all data
-  populateList(instructorsList, "/api/instructors", "instructor_name");
+  populateList(
+    instructorsList,
+    "/api/instructors",
+    "instructor_name",
+    (item) => `/scorecard.html?id=${item.instructor_id}`
+  );
   populateList(domainsList, "/api/domains", "domain_name");
   populateList(classesList, "/api/classes", "class_name");
 });
@@ -0,0 +1,47 @@
+// public/login.js
+// Sign-in page. The server answers a good login with a session cookie; the
+// page then returns to where the user was sent from (?next=).
+
+document.addEventListener("DOMContentLoaded", () => {
+  const form = document.getElementById("login-form");
+  const username = document.getElementById("username");
+  const password = document.getElementById("password");
+  const errorBox = document.getElementById("login-error");
+
+  // Only same-site paths, so the link can't send the user elsewhere
+  function nextPage() {
+    const next = new URLSearchParams(location.search).get("next") || "/";
+    return next.startsWith("/") && !next.startsWith("//") ? next : "/";
+  }
+
+  form.addEventListener("submit", async (e) => {
+    e.preventDefault();
+    errorBox.classList.add("hidden");
+    const submit = form.querySelector("button[type=submit]");
+    submit.disabled = true;
+    try {
+      const response = await fetch("/api/login", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          username: username.value,
+          password: password.value,
+        }),
+      });
+      if (!response.ok) {
+        const result = await response.json();
+        throw new Error(result.details || result.error || "Sign-in failed");
+      }
+      window.location.href = nextPage();
+    } catch (error) {
+      errorBox.textContent = error.message;
+      errorBox.classList.remove("hidden");
+      password.value = "";
+      password.focus();
+    } finally {
+      submit.disabled = false;
+    }
+  });
+
+  username.focus();
+});
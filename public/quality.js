@@ -0,0 +1,269 @@
+// public/quality.js
+// Admin page: data quality runs (after each load, or started here), their
+// per-rule counts and the offending rows of each rule (see quality.js).
+
+document.addEventListener("DOMContentLoaded", () => {
+  const runForm = document.getElementById("run-form");
+  const batchInput = document.getElementById("batch-id");
+  const refreshBtn = document.getElementById("refresh-btn");
+  const errorBox = document.getElementById("quality-error");
+  const runsTable = document.getElementById("runs-table");
+  const runSection = document.getElementById("run-section");
+  const runTitle = document.getElementById("run-title");
+  const runMeta = document.getElementById("run-meta");
+  const rulesTable = document.getElementById("rules-table");
+  const findingsSection = document.getElementById("findings-section");
+  const findingsTitle = document.getElementById("findings-title");
+  const findingsMeta = document.getElementById("findings-meta");
+  const findingsTable = document.getElementById("findings-table");
+  const moreBtn = document.getElementById("more-btn");
+
+  const FINDINGS_PAGE = 50;
+  const ROW_COLUMNS = [
+    "pst_date",
+    "instructor",
+    "class",
+    "domain",
+    "type",
+    "topic_code",
+    "average",
+    "responses",
+    "students_attended",
+    "rated_pct",
+  ];
+  const SEVERITY_CLASSES = {
+    error: "bg-red-100 text-red-800",
+    warning: "bg-yellow-100 text-yellow-800",
+    info: "bg-blue-100 text-blue-800",
+  };
+
+  // The rule being drilled into: { runId, rule, description, loaded }
+  let drill = null;
+
+  async function api(url, options = {}) {
+    const response = await fetch(url, options);
+    if (response.status === 401) return signIn();
+    const result = await response.json();
+    if (!response.ok) {
+      throw new Error(
+        [result.error, result.details].filter(Boolean).join(": ") ||
+          "Request failed"
+      );
+    }
+    return result;
+  }
+
+  // The session cookie is missing or expired
+  function signIn() {
+    window.location.href = `/login.html?next=${encodeURIComponent(
+      window.location.pathname + window.location.search
+    )}`;
+    return new Promise(() => {});
+  }
+
+  function showError(message) {
+    errorBox.textContent = message;
+    errorBox.classList.toggle("hidden", !message);
+  }
+
+  const th = (label) =>
+    `<th class="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase whitespace-nowrap">${escapeHtml(
+      label
+    )}</th>`;
+  const td = (value, extra = "") =>
+    `<td class="px-3 py-2 whitespace-nowrap ${extra}">${value}</td>`;
+  const badge = (severity) =>
+    `<span class="px-2 py-0.5 rounded text-xs font-semibold ${
+      SEVERITY_CLASSES[severity] || ""
+    }">${escapeHtml(severity)}</span>`;
+  const when = (value) => (value ? new Date(value).toLocaleString() : "");
+
+  function batchLabel(run) {
+    if (!run.batch_id) return "All sessions";
+    return `Batch ${run.batch_id}${
+      run.source_file ? ` (${escapeHtml(run.source_file)})` : ""
+    }${run.batch_status ? ` — ${escapeHtml(run.batch_status)}` : ""}`;
+  }
+
+  async function loadRuns() {
+    showError("");
+    try {
+      const runs = await api("/api/quality/runs");
+      const head = [
+        "Run",
+        "Started",
+        "Trigger",
+        "Checked",
+        "Errors",
+        "Warnings",
+        "Info",
+      ]
+        .map(th)
+        .join("");
+      const body = runs
+        .map(
+          (run) =>
+            `<tr class="cursor-pointer hover:bg-blue-50" data-run="${
+              run.run_id
+            }">${td(run.run_id)}${td(when(run.started_at))}${td(
+              escapeHtml(run.trigger)
+            )}${td(batchLabel(run))}${td(
+              run.errors,
+              run.errors ? "text-red-700 font-semibold" : ""
+            )}${td(run.warnings)}${td(run.infos)}</tr>`
+        )
+        .join("");
+      runsTable.innerHTML = `<thead class="bg-gray-50 sticky top-0">${head}</thead><tbody class="bg-white divide-y divide-gray-200">${
+        body ||
+        `<tr><td colspan="7" class="px-3 py-4 text-gray-500">No runs yet.</td></tr>`
+      }</tbody>`;
+    } catch (error) {
+      showError(error.message);
+    }
+  }
+
+  runsTable.addEventListener("click", (e) => {
+    const row = e.target.closest("tr[data-run]");
+    if (row) showRun(row.dataset.run);
+  });
+
+  async function showRun(runId) {
+    showError("");
+    findingsSection.classList.add("hidden");
+    try {
+      const run = await api(`/api/quality/runs/${encodeURIComponent(runId)}`);
+      runTitle.textContent = `Run ${run.run_id}`;
+      runMeta.innerHTML = `${batchLabel(run)} · ${escapeHtml(
+        run.trigger
+      )} · ${when(run.started_at)}`;
+      const body = run.summary
+        .map(
+          (s) =>
+            `<tr class="${
+              s.count ? "cursor-pointer hover:bg-blue-50" : "text-gray-400"
+            }" data-rule="${escapeHtml(s.rule)}" data-count="${s.count}">${td(
+              badge(s.severity)
+            )}${td(escapeHtml(s.rule))}${td(
+              escapeHtml(s.description),
+              "whitespace-normal"
+            )}${td(s.count, s.count ? "font-semibold" : "")}</tr>`
+        )
+        .join("");
+      rulesTable.innerHTML = `<thead class="bg-gray-50">${[
+        "Severity",
+        "Rule",
+        "Description",
+        "Findings",
+      ]
+        .map(th)
+        .join(
+          ""
+        )}</thead><tbody class="bg-white divide-y divide-gray-200">${body}</tbody>`;
+      rulesTable.dataset.run = run.run_id;
+      runSection.classList.remove("hidden");
+      history.replaceState(null, "", `?run=${run.run_id}`);
+    } catch (error) {
+      showError(error.message);
+    }
+  }
+
+  rulesTable.addEventListener("click", (e) => {
+    const row = e.target.closest("tr[data-rule]");
+    if (!row || row.dataset.count === "0") return;
+    drill = {
+      runId: rulesTable.dataset.run,
+      rule: row.dataset.rule,
+      description: row.children[2].textContent,
+      loaded: 0,
+    };
+    findingsTable.innerHTML = `<thead class="bg-gray-50 sticky top-0">${[
+      "#",
+      ...ROW_COLUMNS,
+    ]
+      .map(th)
+      .join(
+        ""
+      )}</thead><tbody class="bg-white divide-y divide-gray-200"></tbody>`;
+    loadFindings();
+  });
+
+  // Appends the next page of the drilled-into rule's findings. A finding
+  // is one row, or several for rules that compare rows (shaded together).
+  async function loadFindings() {
+    showError("");
+    moreBtn.disabled = true;
+    try {
+      const { total, findings } = await api(
+        `/api/quality/runs/${encodeURIComponent(
+          drill.runId
+        )}/findings?rule=${encodeURIComponent(
+          drill.rule
+        )}&limit=${FINDINGS_PAGE}&offset=${drill.loaded}`
+      );
+      const tbody = findingsTable.querySelector("tbody");
+      findings.forEach((finding, i) => {
+        const n = drill.loaded + i + 1;
+        const shade = n % 2 === 0 ? "bg-gray-50" : "";
+        tbody.insertAdjacentHTML(
+          "beforeend",
+          finding.rows
+            .map(
+              (row, j) =>
+                `<tr class="${shade}">${td(j === 0 ? n : "")}${ROW_COLUMNS.map(
+                  (c) => td(escapeHtml(row[c]))
+                ).join("")}</tr>`
+            )
+            .join("")
+        );
+      });
+      drill.loaded += findings.length;
+
+      findingsTitle.textContent = drill.rule;
+      findingsMeta.textContent = `${drill.description} — showing ${drill.loaded} of ${total} stored finding(s). Rows are as they were when checked.`;
+      moreBtn.classList.toggle("hidden", drill.loaded >= total);
+      findingsSection.classList.remove("hidden");
+    } catch (error) {
+      showError(error.message);
+    } finally {
+      moreBtn.disabled = false;
+    }
+  }
+
+  moreBtn.addEventListener("click", loadFindings);
+
+  runForm.addEventListener("submit", async (e) => {
+    e.preventDefault();
+    showError("");
+    const submit = runForm.querySelector("button[type=submit]");
+    submit.disabled = true;
+    try {
+      const run = await api("/api/quality/run", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(
+          batchInput.value ? { batchId: Number(batchInput.value) } : {}
+        ),
+      });
+      await loadRuns();
+      await showRun(run.run_id);
+    } catch (error) {
+      showError(error.message);
+    } finally {
+      submit.disabled = false;
+    }
+  });
+
+  refreshBtn.addEventListener("click", loadRuns);
+
+  function escapeHtml(value) {
+    return String(value ?? "")
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;");
+  }
+
+  loadRuns();
+  const linkedRun = new URLSearchParams(location.search).get("run");
+  if (linkedRun) showRun(linkedRun);
+});
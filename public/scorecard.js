@@ -0,0 +1,300 @@
+// public/scorecard.js
+// Instructor scorecard: one instructor's figures over a period, from
+// GET /api/instructors/:id/scorecard (fixed SQL, see scorecard.js).
+
+document.addEventListener("DOMContentLoaded", () => {
+  const form = document.getElementById("scorecard-form");
+  const instructorSelect = document.getElementById("instructor-select");
+  const fromInput = document.getElementById("from-date");
+  const toInput = document.getElementById("to-date");
+  const errorBox = document.getElementById("scorecard-error");
+  const scorecardSection = document.getElementById("scorecard");
+  const title = document.getElementById("scorecard-title");
+  const meta = document.getElementById("scorecard-meta");
+  const domainsTable = document.getElementById("domains-table");
+  const classesTable = document.getElementById("classes-table");
+
+  // Chart.js instances by canvas id, replaced on every render
+  const charts = {};
+
+  async function api(url) {
+    const response = await fetch(url);
+    if (response.status === 401) return signIn();
+    const result = await response.json();
+    if (!response.ok) {
+      throw new Error(
+        [result.error, result.details].filter(Boolean).join(": ") ||
+          "Request failed"
+      );
+    }
+    return result;
+  }
+
+  // The session cookie is missing or expired
+  function signIn() {
+    window.location.href = `/login.html?next=${encodeURIComponent(
+      window.location.pathname + window.location.search
+    )}`;
+    return new Promise(() => {});
+  }
+
+  function showError(message) {
+    errorBox.textContent = message;
+    errorBox.classList.toggle("hidden", !message);
+  }
+
+  const th = (label) =>
+    `<th class="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase whitespace-nowrap">${escapeHtml(
+      label
+    )}</th>`;
+  const td = (value, extra = "") =>
+    `<td class="px-3 py-2 whitespace-nowrap ${extra}">${value}</td>`;
+  const fixed = (value, digits = 2) =>
+    value === null || value === undefined ? "—" : value.toFixed(digits);
+  const signed = (value) =>
+    value === null || value === undefined
+      ? "—"
+      : `${value > 0 ? "+" : ""}${value.toFixed(2)}`;
+  const monthLabel = (month) =>
+    new Date(`${month}T00:00:00Z`).toLocaleDateString(undefined, {
+      month: "short",
+      year: "numeric",
+      timeZone: "UTC",
+    });
+
+  function setStat(id, value, note = "") {
+    document.getElementById(id).textContent = value;
+    document.getElementById(`${id}-note`).textContent = note;
+  }
+
+  function table(element, head, rows, empty) {
+    element.innerHTML = `<thead class="bg-gray-50 sticky top-0">${head
+      .map(th)
+      .join("")}</thead><tbody class="bg-white divide-y divide-gray-200">${
+      rows.join("") ||
+      `<tr><td colspan="${head.length}" class="px-3 py-4 text-gray-500">${empty}</td></tr>`
+    }</tbody>`;
+  }
+
+  function drawChart(id, config) {
+    if (charts[id]) charts[id].destroy();
+    charts[id] = new Chart(document.getElementById(id), config);
+  }
+
+  async function loadInstructors() {
+    const instructors = await api("/api/instructors");
+    instructorSelect.innerHTML = instructors
+      .map(
+        (i) =>
+          `<option value="${i.instructor_id}">${escapeHtml(
+            i.instructor_name
+          )}</option>`
+      )
+      .join("");
+  }
+
+  async function showScorecard() {
+    showError("");
+    const query = new URLSearchParams({ id: instructorSelect.value });
+    if (fromInput.value) query.set("from", fromInput.value);
+    if (toInput.value) query.set("to", toInput.value);
+    history.replaceState(null, "", `?${query}`);
+    query.delete("id");
+
+    try {
+      const card = await api(
+        `/api/instructors/${encodeURIComponent(
+          instructorSelect.value
+        )}/scorecard?${query}`
+      );
+      render(card);
+    } catch (error) {
+      scorecardSection.classList.add("hidden");
+      showError(error.message);
+    }
+  }
+
+  function render(card) {
+    const { totals, rank } = card;
+    // Shown first, so the charts are sized to the page
+    scorecardSection.classList.remove("hidden");
+    title.textContent = card.instructor.name;
+    const period =
+      card.period.from || card.period.to
+        ? `${card.period.from || "…"} to ${card.period.to || "…"}`
+        : "All sessions";
+    meta.textContent = `${period} · dates in ${card.timezone}${
+      totals.sessions
+        ? ` · first session ${totals.first_session}, last ${totals.last_session}`
+        : ""
+    }`;
+
+    setStat("stat-sessions", totals.sessions);
+    setStat(
+      "stat-weighted",
+      fixed(totals.weighted_avg),
+      `unweighted ${fixed(totals.avg_rating)}`
+    );
+    setStat(
+      "stat-rated",
+      totals.rated_pct === null ? "—" : `${fixed(totals.rated_pct, 1)}%`,
+      `${totals.total_responses} of ${totals.total_attended} attendees`
+    );
+    setStat("stat-attended", fixed(totals.avg_attended, 1), "per session");
+    setStat(
+      "stat-percentile",
+      rank ? `${fixed(rank.percentile, 1)}` : "—",
+      rank
+        ? `#${rank.rank} of ${rank.of} instructors (adjusted rating ${fixed(
+            rank.shrunk_avg
+          )})`
+        : "no rated sessions"
+    );
+
+    const labels = card.monthly.map((m) => monthLabel(m.month));
+    drawChart("rating-chart", {
+      type: "line",
+      data: {
+        labels,
+        datasets: [
+          {
+            label: card.instructor.name,
+            data: card.monthly.map((m) => m.weighted_avg),
+            borderColor: "#2563eb",
+            backgroundColor: "#2563eb",
+          },
+          {
+            label: "Domain",
+            data: card.monthly.map((m) => m.domain_weighted_avg),
+            borderColor: "#9ca3af",
+            backgroundColor: "#9ca3af",
+            borderDash: [6, 4],
+          },
+        ],
+      },
+    });
+    drawChart("sessions-chart", {
+      type: "bar",
+      data: {
+        labels,
+        datasets: [
+          {
+            label: "Sessions",
+            data: card.monthly.map((m) => m.sessions),
+            backgroundColor: "#60a5fa",
+          },
+        ],
+      },
+      options: { scales: { y: { beginAtZero: true } } },
+    });
+    drawChart("engagement-chart", {
+      type: "line",
+      data: {
+        labels,
+        datasets: [
+          {
+            label: "Rated %",
+            data: card.monthly.map((m) => m.rated_pct),
+            borderColor: "#16a34a",
+            backgroundColor: "#16a34a",
+            yAxisID: "pct",
+          },
+          {
+            label: "Avg. attendance",
+            data: card.monthly.map((m) => m.avg_attended),
+            borderColor: "#f59e0b",
+            backgroundColor: "#f59e0b",
+            yAxisID: "attended",
+          },
+        ],
+      },
+      options: {
+        scales: {
+          pct: { position: "left", min: 0, max: 100 },
+          attended: {
+            position: "right",
+            beginAtZero: true,
+            grid: { drawOnChartArea: false },
+          },
+        },
+      },
+    });
+
+    table(
+      domainsTable,
+      ["Domain", "Sessions", "Weighted avg.", "Domain avg.", "Difference"],
+      card.domains.map(
+        (d) =>
+          `<tr>${td(escapeHtml(d.domain))}${td(d.sessions)}${td(
+            fixed(d.weighted_avg)
+          )}${td(fixed(d.domain_weighted_avg))}${td(
+            signed(d.difference),
+            d.difference > 0
+              ? "text-green-700 font-semibold"
+              : d.difference < 0
+              ? "text-red-700 font-semibold"
+              : ""
+          )}</tr>`
+      ),
+      "No sessions in this period."
+    );
+
+    const last = card.classes.length - 1;
+    table(
+      classesTable,
+      [
+        "",
+        "Class",
+        "Sessions",
+        "Weighted avg.",
+        "Adjusted",
+        "Responses",
+        "Rated %",
+      ],
+      card.classes.map((c, i) => {
+        const tag =
+          last > 0 && i === 0
+            ? `<span class="px-2 py-0.5 rounded text-xs font-semibold bg-green-100 text-green-800">Best</span>`
+            : last > 0 && i === last
+            ? `<span class="px-2 py-0.5 rounded text-xs font-semibold bg-red-100 text-red-800">Worst</span>`
+            : "";
+        return `<tr>${td(tag)}${td(escapeHtml(c.class))}${td(c.sessions)}${td(
+          fixed(c.weighted_avg)
+        )}${td(fixed(c.shrunk_avg))}${td(c.total_responses)}${td(
+          fixed(c.rated_pct, 1)
+        )}</tr>`;
+      }),
+      "No sessions in this period."
+    );
+  }
+
+  form.addEventListener("submit", (e) => {
+    e.preventDefault();
+    showScorecard();
+  });
+
+  function escapeHtml(value) {
+    return String(value ?? "")
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;");
+  }
+
+  // ?id=&from=&to= open a scorecard directly (the instructions page links
+  // here)
+  const linked = new URLSearchParams(location.search);
+  loadInstructors()
+    .then(() => {
+      if (!linked.get("id")) return;
+      instructorSelect.value = linked.get("id");
+      // Not in the list: unknown, or outside the user's restrictions
+      if (!instructorSelect.value) {
+        return showError("Instructor not found");
+      }
+      fromInput.value = linked.get("from") || "";
+      toInput.value = linked.get("to") || "";
+      showScorecard();
+    })
+    .catch((error) => showError(error.message));
+});
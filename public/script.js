@@ -5,22 +5,528 @@ document.addEventListener("DOMContentLoaded", () => {
 
   // Result containers
   const loader = document.getElementById("loader-container");
+  const stageText = document.getElementById("stage-text");
   const errorContainer = document.getElementById("error-container");
   const errorMessage = document.getElementById("error-message");
   const summarySection = document.getElementById("summary-section");
   const summaryText = document.getElementById("summary-text");
+  const cacheNote = document.getElementById("cache-note");
   const tableSection = document.getElementById("table-section");
   const resultsTable = document.getElementById("results-table");
   const sqlSection = document.getElementById("sql-section");
   const sqlCode = sqlSection.querySelector("code");
+  const attemptsSection = document.getElementById("attempts-section");
+  const attemptsList = document.getElementById("attempts-list");
 
-  form.addEventListener("submit", async (e) => {
+  const clarificationSection = document.getElementById("clarification-section");
+  const clarificationList = document.getElementById("clarification-list");
+  const conversationSection = document.getElementById("conversation-section");
+  const conversationList = document.getElementById("conversation-list");
+  const newConversationBtn = document.getElementById("new-conversation-btn");
+  const saveReportBtn = document.getElementById("save-report-btn");
+  const reportSearch = document.getElementById("report-search");
+  const reportList = document.getElementById("report-list");
+  const historyList = document.getElementById("history-list");
+  const reportParamsSection = document.getElementById("report-params-section");
+  const reportParamsTitle = document.getElementById("report-params-title");
+  const reportParamsForm = document.getElementById("report-params-form");
+  const reportParamsFields = document.getElementById("report-params-fields");
+  const exportButtons = document.getElementById("export-buttons");
+  const viewToggle = document.getElementById("view-toggle");
+  const chartContainer = document.getElementById("chart-container");
+  const chartCanvas = document.getElementById("results-chart");
+  const tableContainer = document.getElementById("table-container");
+  const rowCount = document.getElementById("row-count");
+  const userName = document.getElementById("user-name");
+  const logoutBtn = document.getElementById("logout-btn");
+
+  // Where template parameters with a `source` get their allowed values
+  const PARAM_SOURCES = {
+    instructor: { url: "/api/instructors", key: "instructor_name" },
+    domain: { url: "/api/domains", key: "domain_name" },
+    class: { url: "/api/classes", key: "class_name" },
+  };
+
+  // Current thread; follow-up questions are sent with this id
+  let conversationId = null;
+
+  // The last successful question and its SQL, offered for saving as a report
+  let lastResult = null;
+  // What the export buttons re-run: { sql, question } or { reportId, params }
+  let exportSource = null;
+  // Rows on screen (for the chart) and the Chart.js instance
+  let currentRows = [];
+  let chartInstance = null;
+  // Zone timestamps are shown in (the server's REPORTING_TZ); the browser's
+  // own zone if /api/config can't be read
+  let reportingTimezone;
+  // The signed-in user: { username, role, restrictions }
+  let currentUser = null;
+  const ROLES = ["viewer", "analyst", "admin"];
+  const hasRole = (role) =>
+    Boolean(currentUser) &&
+    ROLES.indexOf(currentUser.role) >= ROLES.indexOf(role);
+
+  Promise.all([loadUser(), loadConfig()]).then(() => {
+    if (!currentUser) return;
+    loadReports();
+    if (hasRole("analyst")) loadHistory();
+  });
+
+  // Sends visitors without a session to the login page, and hides what the
+  // user's role can't use (elements marked data-role="analyst" or "admin")
+  async function loadUser() {
+    try {
+      const response = await fetch("/api/me");
+      if (response.status === 401) {
+        window.location.href = `/login.html?next=${encodeURIComponent(
+          window.location.pathname
+        )}`;
+        return;
+      }
+      if (response.ok) currentUser = await response.json();
+    } catch (error) {
+      console.error("Failed to load user:", error);
+    }
+    document.querySelectorAll("[data-role]").forEach((el) => {
+      el.classList.toggle("hidden", !hasRole(el.dataset.role));
+    });
+    if (currentUser) {
+      userName.textContent = `${currentUser.username} (${currentUser.role})`;
+    }
+  }
+
+  logoutBtn.addEventListener("click", async () => {
+    await fetch("/api/logout", { method: "POST" }).catch(() => {});
+    window.location.href = "/login.html";
+  });
+
+  async function loadConfig() {
+    try {
+      const response = await fetch("/api/config");
+      if (response.ok)
+        ({ timezone: reportingTimezone } = await response.json());
+    } catch (error) {
+      console.error("Failed to load config:", error);
+    }
+  }
+
+  const formatTimestamp = (value) =>
+    new Date(value).toLocaleString("en-US", { timeZone: reportingTimezone });
+
+  newConversationBtn.addEventListener("click", async () => {
+    if (conversationId) {
+      await fetch(`/api/conversations/${conversationId}/reset`, {
+        method: "POST",
+      }).catch(() => {});
+    }
+    conversationId = null;
+    renderConversation([]);
+    resetUI();
+    input.value = "";
+    input.focus();
+  });
+
+  // Shows the thread's questions, each with a "fork" action that starts a
+  // new thread from that point.
+  function renderConversation(turns) {
+    conversationList.innerHTML = "";
+    turns.forEach(({ question }, index) => {
+      const li = document.createElement("li");
+      li.textContent = `${question} `;
+
+      const forkBtn = document.createElement("button");
+      forkBtn.type = "button";
+      forkBtn.className = "text-xs text-blue-600 hover:text-blue-800 ml-1";
+      forkBtn.textContent = "fork from here";
+      forkBtn.addEventListener("click", () => forkConversation(index));
+
+      li.appendChild(forkBtn);
+      conversationList.appendChild(li);
+    });
+    conversationSection.style.display = turns.length > 0 ? "block" : "none";
+  }
+
+  async function forkConversation(throughTurn) {
+    try {
+      const response = await fetch(
+        `/api/conversations/${conversationId}/fork`,
+        {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ throughTurn }),
+        }
+      );
+      if (!response.ok) throw new Error("Could not fork the conversation.");
+      const fork = await response.json();
+      conversationId = fork.id;
+      renderConversation(fork.turns);
+      input.focus();
+    } catch (error) {
+      displayError(error.message);
+    }
+  }
+
+  async function refreshConversation() {
+    const response = await fetch(`/api/conversations/${conversationId}`);
+    if (response.ok) {
+      const { turns } = await response.json();
+      renderConversation(turns);
+    }
+  }
+
+  // --- Saved reports and history sidebar ---
+
+  let searchTimer = null;
+  reportSearch.addEventListener("input", () => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(loadReports, 250);
+  });
+
+  saveReportBtn.addEventListener("click", async () => {
+    if (!lastResult) return;
+    const name = window.prompt("Name this report:", lastResult.question);
+    if (!name || !name.trim()) return;
+
+    try {
+      const response = await fetch("/api/reports", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ name, ...lastResult }),
+      });
+      if (!response.ok) {
+        const errData = await response.json();
+        throw new Error(errData.error || "Could not save the report.");
+      }
+      saveReportBtn.style.display = "none";
+      loadReports();
+    } catch (error) {
+      displayError(error.message);
+    }
+  });
+
+  // Builds a sidebar entry: a clickable title with an optional subtitle
+  function sidebarItem(title, subtitle, onClick) {
+    const li = document.createElement("li");
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className =
+      "w-full text-left px-2 py-1 rounded hover:bg-gray-100 text-gray-700";
+    btn.textContent = title;
+    if (subtitle) {
+      const small = document.createElement("span");
+      small.className = "block text-xs text-gray-400";
+      small.textContent = subtitle;
+      btn.appendChild(small);
+    }
+    btn.addEventListener("click", onClick);
+    li.appendChild(btn);
+    return li;
+  }
+
+  async function loadReports() {
+    const search = reportSearch.value.trim();
+    try {
+      const response = await fetch(
+        `/api/reports${search ? `?search=${encodeURIComponent(search)}` : ""}`
+      );
+      if (!response.ok) return;
+      const reports = await response.json();
+      reportList.innerHTML = "";
+      if (reports.length === 0) {
+        reportList.innerHTML =
+          '<li class="text-xs text-gray-400 px-2">No saved reports.</li>';
+      }
+      reports.forEach((report) => {
+        reportList.appendChild(
+          sidebarItem(report.name, report.description, () => openReport(report))
+        );
+      });
+    } catch (error) {
+      console.error("Error loading reports:", error);
+    }
+  }
+
+  async function loadHistory() {
+    try {
+      const response = await fetch("/api/history?limit=20");
+      if (!response.ok) return;
+      const entries = await response.json();
+      historyList.innerHTML = "";
+      entries.forEach((entry) => {
+        const when = formatTimestamp(entry.created_at);
+        historyList.appendChild(
+          sidebarItem(
+            entry.question,
+            entry.success ? when : `${when} \u2014 failed`,
+            () => {
+              input.value = entry.question;
+              input.focus();
+            }
+          )
+        );
+      });
+    } catch (error) {
+      console.error("Error loading history:", error);
+    }
+  }
+
+  // Templates ask for their parameters first; plain reports run at once
+  function openReport(report) {
+    if (report.params && report.params.length > 0) {
+      showReportForm(report);
+    } else {
+      reportParamsSection.style.display = "none";
+      runReport(report);
+    }
+  }
+
+  async function showReportForm(report) {
+    resetUI();
+    reportParamsTitle.textContent = report.name;
+    reportParamsFields.innerHTML = "";
+    reportParamsSection.style.display = "block";
+
+    for (const param of report.params) {
+      const label = document.createElement("label");
+      label.className = "block text-sm font-medium text-gray-700";
+      label.textContent = param.label || param.name.replace(/_/g, " ");
+      const field = await paramField(param);
+      field.name = param.name;
+      field.className =
+        "mt-1 w-full px-3 py-2 border rounded-lg text-sm focus:outline-none";
+      label.appendChild(field);
+      reportParamsFields.appendChild(label);
+    }
+
+    reportParamsForm.onsubmit = (e) => {
+      e.preventDefault();
+      const values = {};
+      new FormData(reportParamsForm).forEach((value, name) => {
+        if (value !== "") values[name] = value;
+      });
+      runReport(report, values);
+    };
+  }
+
+  // A select for parameters with allowed values, otherwise a typed input
+  async function paramField(param) {
+    let options = param.values;
+    if (param.source && PARAM_SOURCES[param.source]) {
+      const { url, key } = PARAM_SOURCES[param.source];
+      try {
+        const response = await fetch(url);
+        options = (await response.json()).map((row) => row[key]);
+      } catch (error) {
+        console.error(`Error loading ${param.source} values:`, error);
+      }
+    }
+
+    if (options || param.type === "boolean") {
+      const select = document.createElement("select");
+      const choices = options || [true, false];
+      if (!param.required) select.add(new Option("(any)", ""));
+      choices.forEach((value) => {
+        const option = new Option(String(value), String(value));
+        option.selected = String(value) === String(param.default);
+        select.add(option);
+      });
+      return select;
+    }
+
+    const field = document.createElement("input");
+    field.type =
+      param.type === "date"
+        ? "date"
+        : param.type === "text"
+        ? "text"
+        : "number";
+    if (param.type === "number") field.step = "any";
+    if (param.min !== undefined) field.min = param.min;
+    if (param.max !== undefined) field.max = param.max;
+    if (param.default !== undefined) field.value = param.default;
+    field.required = Boolean(param.required);
+    return field;
+  }
+
+  // Re-runs a saved report's SQL (no AI involved) and shows the result.
+  // `values` fills a template's parameters.
+  async function runReport(report, values = {}) {
+    resetUI();
+    loader.style.display = "flex";
+    setStage(`Running "${report.name}"...`);
+    try {
+      const response = await fetch(`/api/reports/${report.report_id}/run`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ params: values }),
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(
+          result.details || result.error || "An unknown error occurred."
+        );
+      }
+      input.value = report.question;
+      exportSource = { reportId: report.report_id, params: values };
+      displayResults(result);
+    } catch (error) {
+      displayError(error.message);
+    } finally {
+      loader.style.display = "none";
+      loadHistory();
+    }
+  }
+
+  // --- Export ---
+
+  exportButtons.querySelectorAll("button").forEach((btn) => {
+    btn.addEventListener("click", () => exportResults(btn.dataset.format));
+  });
+
+  // Downloads the full result set (not just the rows on screen)
+  async function exportResults(format) {
+    if (!exportSource) return;
+    try {
+      const response = await fetch(`/api/export?format=${format}`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        // Spreadsheets get the chart as a picture
+        body: JSON.stringify({
+          ...exportSource,
+          chartImage:
+            format === "xlsx" && chartInstance
+              ? chartCanvas.toDataURL("image/png")
+              : undefined,
+        }),
+      });
+      if (!response.ok) {
+        const errData = await response.json();
+        throw new Error(
+          errData.details || errData.error || "The export failed."
+        );
+      }
+      const disposition = response.headers.get("Content-Disposition") || "";
+      const match = disposition.match(/filename="([^"]+)"/);
+
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = match ? match[1] : `query-results.${format}`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      displayError(error.message);
+    }
+  }
+
+  // --- Chart ---
+
+  viewToggle.querySelectorAll("button").forEach((btn) => {
+    btn.addEventListener("click", () => showView(btn.dataset.view));
+  });
+
+  function showView(view) {
+    chartContainer.style.display = view === "chart" ? "block" : "none";
+    tableContainer.style.display = view === "table" ? "block" : "none";
+    viewToggle.querySelectorAll("button").forEach((btn) => {
+      const active = btn.dataset.view === view;
+      btn.classList.toggle("bg-blue-600", active);
+      btn.classList.toggle("text-white", active);
+      btn.classList.toggle("text-blue-600", !active);
+    });
+  }
+
+  // Draws the server's chart spec ({ type, x, y, series, xParts }) from the
+  // rows on screen. "table" specs (or a missing Chart.js) keep the table.
+  function renderChart(spec, rows) {
+    if (chartInstance) {
+      chartInstance.destroy();
+      chartInstance = null;
+    }
+    if (!spec || spec.type === "table" || !window.Chart || rows.length < 2) {
+      viewToggle.style.display = "none";
+      showView("table");
+      return;
+    }
+
+    const number = (v) => (v === null || v === undefined ? null : Number(v));
+    const text = (v) =>
+      typeof v === "string" && /^\d{4}-\d{2}-\d{2}T/.test(v)
+        ? v.slice(0, 10)
+        : String(v);
+    const xLabel = (row) =>
+      (spec.xParts || [spec.x]).map((c) => text(row[c])).join("-");
+
+    let config;
+    if (spec.type === "scatter") {
+      config = {
+        type: "scatter",
+        data: {
+          datasets: [
+            {
+              label: spec.y[0].replace(/_/g, " "),
+              data: rows.map((r) => ({
+                x: number(r[spec.x]),
+                y: number(r[spec.y[0]]),
+              })),
+            },
+          ],
+        },
+      };
+    } else {
+      const labels = [...new Set(rows.map(xLabel))];
+      const datasets = spec.series
+        ? [...new Set(rows.map((r) => text(r[spec.series])))].map((name) => ({
+            label: name,
+            data: labels.map((label) => {
+              const row = rows.find(
+                (r) => xLabel(r) === label && text(r[spec.series]) === name
+              );
+              return row ? number(row[spec.y[0]]) : null;
+            }),
+          }))
+        : spec.y.map((column) => ({
+            label: column.replace(/_/g, " "),
+            data: labels.map((label) =>
+              number(rows.find((r) => xLabel(r) === label)[column])
+            ),
+          }));
+      config = {
+        type: spec.type === "line" ? "line" : "bar",
+        data: { labels, datasets },
+      };
+    }
+
+    config.options = {
+      responsive: true,
+      spanGaps: true,
+      scales: {
+        x: {
+          title: { display: true, text: spec.x.replace(/_/g, " ") },
+        },
+      },
+    };
+    chartInstance = new window.Chart(chartCanvas, config);
+    viewToggle.style.display = "flex";
+    showView("chart");
+  }
+
+  form.addEventListener("submit", (e) => {
     e.preventDefault();
     const userQuery = input.value.trim();
     if (!userQuery) return;
+    runQuery(userQuery);
+  });
 
+  // Sends a question to the server. `choices` carries the user's picks for
+  // mentions the server found ambiguous on a previous attempt.
+  async function runQuery(userQuery, choices = []) {
     // Reset UI and show loader
     resetUI();
+    reportParamsSection.style.display = "none";
     loader.style.display = "flex";
     submitBtn.disabled = true;
 
@@ -33,27 +539,45 @@ document.addEventListener("DOMContentLoaded", () => {
     }
 
     try {
-      const response = await fetch("/api/query", {
+      const response = await fetch("/api/query/stream", {
         method: "POST",
         headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ query: userQuery }),
+        body: JSON.stringify({ query: userQuery, choices, conversationId }),
       });
 
+      // The thread expired on the server: start over without it
+      if (response.status === 404 && conversationId) {
+        conversationId = null;
+        renderConversation([]);
+        return await runQuery(userQuery, choices);
+      }
+
       if (!response.ok) {
         const errData = await response.json();
+        // Rate limit or daily token budget: say when asking works again
+        if (response.status === 429) {
+          throw new Error(
+            `${errData.details}. You can ask again at ${formatTimestamp(
+              errData.retryAt
+            )}.`
+          );
+        }
         throw new Error(
           errData.details || errData.error || "An unknown error occurred."
         );
       }
 
-      const result = await response.json();
-      displayResults(result);
+      setStage("Generating SQL...");
+      await readEventStream(response, (event, payload) =>
+        handleStreamEvent(event, payload, userQuery, choices)
+      );
     } catch (error) {
       displayError(error.message);
     } finally {
       // Hide loader and re-enable button
       loader.style.display = "none";
       submitBtn.disabled = false;
+      loadHistory();
 
       // Show arrow and hide spinner
       const arrowIcon = document.getElementById("arrow-icon");
@@ -63,14 +587,188 @@ document.addEventListener("DOMContentLoaded", () => {
         spinnerIcon.classList.add("hidden");
       }
     }
-  });
+  }
+
+  // Parses a Server-Sent Events response body, calling onEvent(name, data)
+  // for each complete event.
+  async function readEventStream(response, onEvent) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = "";
+
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+
+      let boundary;
+      while ((boundary = buffer.indexOf("\n\n")) !== -1) {
+        const raw = buffer.slice(0, boundary);
+        buffer = buffer.slice(boundary + 2);
+
+        let event = "message";
+        let data = "";
+        raw.split("\n").forEach((line) => {
+          if (line.startsWith("event: ")) event = line.slice(7);
+          else if (line.startsWith("data: ")) data += line.slice(6);
+        });
+        if (data) onEvent(event, JSON.parse(data));
+      }
+    }
+  }
+
+  // Renders each pipeline stage as soon as the server reports it
+  function handleStreamEvent(event, payload, userQuery, choices) {
+    switch (event) {
+      case "conversation":
+        conversationId = payload.conversationId;
+        break;
+      case "sql":
+        sqlCode.textContent = payload.sql;
+        sqlSection.style.display = "block";
+        setStage(
+          payload.attempt > 1
+            ? `Validating repaired SQL (attempt ${payload.attempt})...`
+            : "Validating SQL..."
+        );
+        break;
+      case "validation":
+        setStage(
+          payload.valid
+            ? "Running query..."
+            : `SQL rejected (${payload.reason.message}). Asking AI to repair...`
+        );
+        break;
+      case "execution_error":
+        setStage(
+          `Query failed (${payload.error.message}). Asking AI to repair...`
+        );
+        break;
+      case "rows":
+        if (payload.offset === 0 && payload.rows.length > 0) {
+          tableSection.style.display = "block";
+          startTable(Object.keys(payload.rows[0]));
+        }
+        addTableRows(payload.offset, payload.rows);
+        currentRows.push(...payload.rows);
+        break;
+      case "rows_done":
+        if (grid) setTableResult(payload);
+        sqlCode.textContent = payload.sql;
+        displayAttempts(payload.attempts);
+        summaryText.textContent = "";
+        summarySection.style.display = "block";
+        setStage("Summarizing results...");
+        break;
+      case "chart":
+        renderChart(payload, currentRows);
+        break;
+      case "summary_token":
+        summaryText.textContent += payload.token;
+        break;
+      case "done": {
+        if (payload.clarification) {
+          displayClarification(payload.clarification, choices);
+        } else {
+          summaryText.textContent = payload.truncated
+            ? `${payload.summary} (Only the first ${payload.total} rows are available.)`
+            : payload.summary;
+          showCacheNote(payload.cached);
+          lastResult = { question: userQuery, sql: payload.sql };
+          exportSource = lastResult;
+          saveReportBtn.style.display = "inline";
+          refreshConversation();
+        }
+        break;
+      }
+      case "error":
+        // Show the rejected SQL so the user can see why it was blocked
+        if (payload.sql) {
+          sqlCode.textContent = payload.sql;
+          sqlSection.style.display = "block";
+        }
+        displayAttempts(payload.attempts);
+        displayError(
+          payload.details || payload.error || "An unknown error occurred."
+        );
+        break;
+    }
+  }
+
+  // Says which steps of an answer were reused (see cache.js on the server)
+  function showCacheNote(cached) {
+    const parts = [];
+    if (cached && cached.result) parts.push("Answer served from cache");
+    else if (cached && cached.sql) parts.push("SQL served from cache");
+    if (parts.length > 0 && cached.cachedAt) {
+      parts.push(`stored ${formatTimestamp(cached.cachedAt)}`);
+    }
+    cacheNote.textContent = parts.join(", ");
+    cacheNote.classList.toggle("hidden", parts.length === 0);
+  }
+
+  function setStage(text) {
+    stageText.textContent = text;
+  }
 
   function resetUI() {
+    exportSource = null;
+    currentRows = [];
+    renderChart(null, []);
     errorContainer.style.display = "none";
     summarySection.style.display = "none";
+    cacheNote.classList.add("hidden");
     tableSection.style.display = "none";
     sqlSection.style.display = "none";
+    attemptsSection.style.display = "none";
+    clarificationSection.style.display = "none";
+    saveReportBtn.style.display = "none";
     resultsTable.innerHTML = "";
+    rowCount.textContent = "";
+    grid = null;
+    attemptsList.innerHTML = "";
+    clarificationList.innerHTML = "";
+    stageText.textContent = "";
+  }
+
+  // Asks the user which value they meant for each ambiguous mention. Once
+  // every mention has a pick, the question is re-sent with the choices.
+  function displayClarification({ query, ambiguous }, previousChoices) {
+    const picks = {};
+
+    ambiguous.forEach(({ mention, candidates }) => {
+      const li = document.createElement("li");
+
+      const label = document.createElement("p");
+      label.className = "text-sm text-gray-700 mb-2";
+      label.textContent = `Which one did you mean by "${mention}"?`;
+
+      const buttons = document.createElement("div");
+      buttons.className = "flex flex-wrap gap-2";
+      candidates.forEach(({ entity, canonical }) => {
+        const btn = document.createElement("button");
+        btn.type = "button";
+        btn.className =
+          "px-3 py-1 rounded-full border border-blue-300 text-sm text-blue-700 hover:bg-blue-100";
+        btn.textContent = `${canonical} (${entity})`;
+        btn.addEventListener("click", () => {
+          picks[mention] = { mention, entity, canonical };
+          buttons
+            .querySelectorAll("button")
+            .forEach((b) => b.classList.remove("bg-blue-600", "text-white"));
+          btn.classList.add("bg-blue-600", "text-white");
+
+          if (Object.keys(picks).length === ambiguous.length) {
+            runQuery(query, [...previousChoices, ...Object.values(picks)]);
+          }
+        });
+        buttons.appendChild(btn);
+      });
+
+      li.append(label, buttons);
+      clarificationList.appendChild(li);
+    });
+    clarificationSection.style.display = "block";
   }
 
   function displayError(message) {
@@ -78,64 +776,255 @@ document.addEventListener("DOMContentLoaded", () => {
     errorContainer.style.display = "block";
   }
 
-  function displayResults({ data, summary, sql }) {
+  // Shows how the SQL was repaired; only useful when there was more than one try
+  function displayAttempts(attempts) {
+    if (!attempts || attempts.length < 2) return;
+
+    attempts.forEach(({ attempt, sql, status, error }) => {
+      const li = document.createElement("li");
+      li.className = "bg-white rounded-lg shadow p-3";
+
+      const heading = document.createElement("p");
+      heading.className =
+        status === "success"
+          ? "text-sm font-semibold text-green-700 mb-2"
+          : "text-sm font-semibold text-red-700 mb-2";
+      heading.textContent =
+        status === "success"
+          ? `Attempt ${attempt}: succeeded`
+          : `Attempt ${attempt}: ${status} - ${error.message}${
+              error.hint ? ` (hint: ${error.hint})` : ""
+            }`;
+
+      const pre = document.createElement("pre");
+      pre.className =
+        "bg-gray-800 text-white p-3 rounded-lg overflow-x-auto text-xs";
+      pre.textContent = sql;
+
+      li.append(heading, pre);
+      attemptsList.appendChild(li);
+    });
+    attemptsSection.style.display = "block";
+  }
+
+  function displayResults({
+    data,
+    summary,
+    sql,
+    truncated,
+    resultId,
+    total,
+    pageSize,
+    attempts,
+    chart,
+    cached,
+  }) {
     // Display Summary
-    summaryText.textContent = summary;
+    summaryText.textContent = truncated
+      ? `${summary} (Only the first ${total} rows are available.)`
+      : summary;
     summarySection.style.display = "block";
+    showCacheNote(cached);
 
     // Display SQL
     sqlCode.textContent = sql;
     sqlSection.style.display = "block";
+    displayAttempts(attempts);
 
     // Display Table Data
     if (data && data.length > 0) {
       tableSection.style.display = "block";
-      generateTable(data);
+      startTable(Object.keys(data[0]), { total, resultId, pageSize });
+      addTableRows(0, data);
+      currentRows = data;
+      renderChart(chart, data);
     }
   }
 
-  function generateTable(data) {
-    const headers = Object.keys(data[0]);
+  // --- Results table ---
+  // Rows are kept by position in `grid.rows`; only the rows in view are in
+  // the DOM. Pages that aren't loaded yet are fetched from /api/results/:id
+  // as they scroll into view, in the order of the current sort.
+
+  const ROW_HEIGHT = 40; // px, see the row style in rowHtml
+  const OVERSCAN = 10; // rows rendered above and below the visible ones
+  let grid = null; // { headers, total, resultId, pageSize, rows, sort, dir, loading }
+
+  tableContainer.addEventListener("scroll", () => {
+    if (grid) requestAnimationFrame(renderRows);
+  });
+
+  function startTable(headers, { total = 0, resultId = null, pageSize } = {}) {
+    grid = {
+      headers,
+      total,
+      resultId,
+      pageSize: pageSize || 100,
+      rows: [],
+      sort: null,
+      dir: "asc",
+      loading: new Set(),
+    };
 
-    // Create table head
+    // Create table head; headers sort once the result has a handle
     const thead = document.createElement("thead");
-    thead.className = "bg-gray-50";
-    let headerRow = "<tr>";
+    thead.className = "bg-gray-50 sticky top-0";
+    const headerRow = document.createElement("tr");
     headers.forEach((header) => {
-      headerRow += `<th scope="col" class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">${header.replace(
-        /_/g,
-        " "
-      )}</th>`;
+      const th = document.createElement("th");
+      th.scope = "col";
+      th.className =
+        "px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider cursor-pointer select-none hover:text-gray-800";
+      th.dataset.column = header;
+      th.textContent = header.replace(/_/g, " ");
+      th.addEventListener("click", () => sortBy(header));
+      headerRow.appendChild(th);
     });
-    headerRow += "</tr>";
-    thead.innerHTML = headerRow;
+    thead.appendChild(headerRow);
 
     // Create table body
     const tbody = document.createElement("tbody");
     tbody.className = "bg-white divide-y divide-gray-200";
-    data.forEach((row) => {
-      let tableRow = "<tr>";
-      headers.forEach((header) => {
-        let value = row[header];
-        // Format date and numeric values for better readability
-        if (
-          typeof value === "string" &&
-          value.match(/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}/)
-        ) {
-          value = new Date(value).toLocaleString("en-US", {
-            timeZone: "America/Los_Angeles",
-          });
-        } else if (typeof value === "number" && !Number.isInteger(value)) {
-          value = value.toFixed(2);
-        }
-        tableRow += `<td class="px-6 py-4 whitespace-nowrap text-sm text-gray-700">${
-          value !== null ? value : "N/A"
-        }</td>`;
-      });
-      tableRow += "</tr>";
-      tbody.innerHTML += tableRow;
-    });
 
+    resultsTable.innerHTML = "";
+    rowCount.textContent = "";
+    grid = null;
     resultsTable.append(thead, tbody);
+    tableContainer.scrollTop = 0;
+    updateRowCount();
+  }
+
+  // Stores rows at their position and redraws
+  function addTableRows(offset, rows) {
+    rows.forEach((row, i) => {
+      grid.rows[offset + i] = row;
+    });
+    grid.total = Math.max(grid.total, offset + rows.length);
+    renderRows();
+  }
+
+  // Called once the server has stored the result (streaming answers)
+  function setTableResult({ resultId, total, pageSize }) {
+    Object.assign(grid, { resultId, total, pageSize });
+    updateRowCount();
+    renderRows();
+  }
+
+  function updateRowCount() {
+    rowCount.textContent = grid.total
+      ? `${grid.total.toLocaleString()} row${grid.total === 1 ? "" : "s"}`
+      : "";
+  }
+
+  function renderRows() {
+    const tbody = resultsTable.querySelector("tbody");
+    if (!grid || !tbody) return;
+
+    const viewHeight = tableContainer.clientHeight || 600;
+    const first = Math.max(
+      0,
+      Math.floor(tableContainer.scrollTop / ROW_HEIGHT) - OVERSCAN
+    );
+    const last = Math.min(
+      grid.total,
+      first + Math.ceil(viewHeight / ROW_HEIGHT) + 2 * OVERSCAN
+    );
+    const spacer = (rows) =>
+      rows > 0
+        ? `<tr style="height: ${rows * ROW_HEIGHT}px"><td colspan="${
+            grid.headers.length
+          }"></td></tr>`
+        : "";
+
+    let html = spacer(first);
+    for (let i = first; i < last; i++) {
+      const row = grid.rows[i];
+      if (row) {
+        html += rowHtml(row);
+      } else {
+        html += `<tr style="height: ${ROW_HEIGHT}px"><td colspan="${grid.headers.length}" class="px-6 text-sm text-gray-400">Loading...</td></tr>`;
+        loadPage(Math.floor(i / grid.pageSize));
+      }
+    }
+    html += spacer(grid.total - last);
+    tbody.innerHTML = html;
+  }
+
+  function rowHtml(row) {
+    let tableRow = `<tr style="height: ${ROW_HEIGHT}px">`;
+    grid.headers.forEach((header) => {
+      let value = row[header];
+      // Format date and numeric values for better readability
+      if (
+        typeof value === "string" &&
+        value.match(/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}/)
+      ) {
+        value = formatTimestamp(value);
+      } else if (typeof value === "number" && !Number.isInteger(value)) {
+        value = value.toFixed(2);
+      }
+      // Values come from the database (and free-form SQL); never as markup
+      tableRow += `<td class="px-6 py-2 whitespace-nowrap text-sm text-gray-700">${
+        value !== null ? escapeHtml(value) : "N/A"
+      }</td>`;
+    });
+    return `${tableRow}</tr>`;
+  }
+
+  function escapeHtml(value) {
+    return String(value ?? "")
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;");
+  }
+
+  async function loadPage(page) {
+    const current = grid;
+    if (!current.resultId || current.loading.has(page)) return;
+    current.loading.add(page);
+
+    const query = new URLSearchParams({
+      offset: page * current.pageSize,
+      limit: current.pageSize,
+    });
+    if (current.sort) {
+      query.set("sort", current.sort);
+      query.set("dir", current.dir);
+    }
+
+    try {
+      const response = await fetch(`/api/results/${current.resultId}?${query}`);
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(
+          response.status === 404
+            ? "These results have expired. Ask the question again to see more rows."
+            : result.details || result.error || "Could not load more rows."
+        );
+      }
+      // Ignore pages for a previous sort or result
+      if (grid === current) addTableRows(result.offset, result.rows);
+    } catch (error) {
+      displayError(error.message);
+    }
+  }
+
+  // Sorts on the server: clicking a header sorts ascending, clicking it
+  // again flips the direction
+  function sortBy(column) {
+    if (!grid || !grid.resultId) return;
+    const dir = grid.sort === column && grid.dir === "asc" ? "desc" : "asc";
+    grid = { ...grid, sort: column, dir, rows: [], loading: new Set() };
+
+    resultsTable.querySelectorAll("th").forEach((th) => {
+      const label = th.dataset.column.replace(/_/g, " ");
+      th.textContent =
+        th.dataset.column === column
+          ? `${label} ${dir === "asc" ? "\u25B2" : "\u25BC"}`
+          : label;
+    });
+    tableContainer.scrollTop = 0;
+    renderRows();
   }
 });
@@ -0,0 +1,341 @@
+// quality.js
+// Data quality rules for the session facts. Each rule is a declarative
+// check on v_sessions; they run before every load commits (etl/load.mjs,
+// scoped to the batch) and on demand from the admin page, and their
+// findings are kept in quality_run / quality_finding. Functions take a pg
+// client so the CLI loader can use them without the server's pool.
+
+const { similarity } = require("./fuzzy");
+const { REPORTING_TZ } = require("./timezone");
+require("dotenv").config();
+
+// Most severe first
+const SEVERITIES = ["error", "warning", "info"];
+
+// Findings at or above this severity fail a load ("none": never)
+const QUALITY_FAIL_ON = process.env.QUALITY_FAIL_ON || "error";
+
+// How far rated_pct may be from responses / attended, in percentage points
+const RATED_PCT_TOLERANCE =
+  parseFloat(process.env.QUALITY_RATED_PCT_TOLERANCE) || 2;
+
+// Findings stored per rule and run; the counts include the rest
+const MAX_FINDINGS_PER_RULE = 500;
+
+// Instructor names at least this similar (case, punctuation and word order
+// aside) are taken to be the same person
+const NAME_SIMILARITY = 0.8;
+
+// v_sessions columns kept with each finding
+const ROW_COLUMNS = [
+  "session_id",
+  "pst_date",
+  "type",
+  "domain",
+  "class",
+  "instructor",
+  "topic_code",
+  "average",
+  "responses",
+  "students_attended",
+  "rated_pct",
+];
+const ROW_JSON = `jsonb_build_object(${ROW_COLUMNS.map(
+  (c) => `'${c}', v.${c}`
+).join(", ")})`;
+
+const nameKey = (name) =>
+  name
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean)
+    .sort()
+    .join(" ");
+
+// Splits one slot's rows into groups of near-identical instructor names and
+// keeps the groups spelled more than one way.
+function similarNames(rows) {
+  const groups = [];
+  for (const row of rows) {
+    const key = nameKey(row.instructor);
+    const group = groups.find((g) =>
+      g.some((r) => similarity(nameKey(r.instructor), key) >= NAME_SIMILARITY)
+    );
+    if (group) group.push(row);
+    else groups.push([row]);
+  }
+  return groups.filter((g) => new Set(g.map((r) => r.instructor)).size > 1);
+}
+
+/**
+ * The rules. A row rule flags every row matching `where`. A group rule's
+ * `sql(scope)` selects candidate groups (a `rows` JSON array each) and
+ * `match(rows)` returns the offending groups among them. `v` is v_sessions
+ * in both.
+ */
+const RULES = [
+  {
+    id: "average_out_of_range",
+    severity: "error",
+    description: "Average rating outside 1-5",
+    where: "v.average < 1 OR v.average > 5",
+  },
+  {
+    id: "negative_counts",
+    severity: "error",
+    description: "Negative responses or attendance",
+    where: "v.responses < 0 OR v.students_attended < 0",
+  },
+  {
+    id: "responses_exceed_attended",
+    severity: "error",
+    description: "More responses than students attended",
+    where: "v.responses > v.students_attended",
+  },
+  {
+    id: "rated_pct_out_of_range",
+    severity: "error",
+    description: "% rated outside 0-100",
+    where: "v.rated_pct < 0 OR v.rated_pct > 100",
+  },
+  {
+    id: "rated_pct_mismatch",
+    severity: "warning",
+    description: `% rated more than ${RATED_PCT_TOLERANCE} points away from responses / attended`,
+    where: `v.students_attended > 0
+            AND abs(v.rated_pct - 100.0 * v.responses / v.students_attended)
+                > ${RATED_PCT_TOLERANCE}`,
+  },
+  {
+    id: "rating_without_responses",
+    severity: "warning",
+    description: "Average rating but no responses",
+    where: "v.average IS NOT NULL AND v.responses = 0",
+  },
+  {
+    id: "future_session",
+    severity: "warning",
+    description: "Session dated after today",
+    where: `v.pst_date > (now() AT TIME ZONE '${REPORTING_TZ}')::date`,
+  },
+  {
+    id: "instructor_spelling",
+    severity: "warning",
+    description:
+      "One slot (date, class, type, domain) lists an instructor under several spellings",
+    sql: (scope) => `
+      SELECT jsonb_agg(${ROW_JSON} ORDER BY v.instructor) AS rows
+        FROM v_sessions v
+       GROUP BY v.pst_date, v.class, v.type, v.domain
+      HAVING count(DISTINCT v.instructor) > 1 AND bool_or(${scope})`,
+    match: similarNames,
+  },
+  {
+    id: "missing_metrics",
+    severity: "info",
+    description: "No rating, responses or attendance",
+    where:
+      "v.average IS NULL AND v.responses IS NULL AND v.students_attended IS NULL",
+  },
+];
+
+async function rowFindings(db, rule, scope, params) {
+  const { rows } = await db.query(
+    `SELECT ${ROW_JSON} AS row, count(*) OVER ()::int AS total
+       FROM v_sessions v
+      WHERE (${rule.where}) AND ${scope}
+      ORDER BY v.pst_date, v.instructor
+      LIMIT ${MAX_FINDINGS_PER_RULE}`,
+    params
+  );
+  return {
+    count: rows.length ? rows[0].total : 0,
+    groups: rows.map((r) => [r.row]),
+  };
+}
+
+async function groupFindings(db, rule, scope, params) {
+  const { rows } = await db.query(rule.sql(scope), params);
+  const groups = rows.flatMap((r) => rule.match(r.rows));
+  return {
+    count: groups.length,
+    groups: groups.slice(0, MAX_FINDINGS_PER_RULE),
+  };
+}
+
+/**
+ * Runs every rule. Nothing is stored; see saveRun.
+ * @param {Object} db A connected pg client. Inside a load's transaction it
+ *   sees the batch's uncommitted rows.
+ * @param {Object} options { batchId } limits the check to the rows a batch
+ *   wrote (groups: those with at least one such row); omit it for the whole
+ *   table.
+ * @returns {Promise<Object>} { batchId, startedAt, counts: { error, warning,
+ *   info }, summary: [{ rule, severity, description, count }], findings:
+ *   [{ rule, severity, rows }] } where rows are v_sessions rows as JSON.
+ */
+async function checkQuality(db, { batchId = null } = {}) {
+  const startedAt = new Date();
+  const scope =
+    batchId === null
+      ? "true"
+      : "v.session_id IN (SELECT session_id FROM fact_session WHERE batch_id = $1)";
+  const params = batchId === null ? [] : [batchId];
+
+  const counts = { error: 0, warning: 0, info: 0 };
+  const summary = [];
+  const findings = [];
+  for (const rule of RULES) {
+    const { count, groups } = rule.where
+      ? await rowFindings(db, rule, scope, params)
+      : await groupFindings(db, rule, scope, params);
+    counts[rule.severity] += count;
+    summary.push({
+      rule: rule.id,
+      severity: rule.severity,
+      description: rule.description,
+      count,
+    });
+    for (const rows of groups) {
+      findings.push({ rule: rule.id, severity: rule.severity, rows });
+    }
+  }
+  return { batchId, startedAt, counts, summary, findings };
+}
+
+/**
+ * The rules of a check result whose findings should fail a load.
+ * @param {Object} result As checkQuality returns.
+ * @param {string} failOn "error", "warning", "info" or "none".
+ * @returns {Array<Object>} Summary entries with findings at or above failOn.
+ */
+function blockingRules(result, failOn = QUALITY_FAIL_ON) {
+  if (failOn === "none") return [];
+  const level = SEVERITIES.indexOf(failOn);
+  if (level < 0) {
+    throw new Error(
+      `unknown severity "${failOn}" (use ${SEVERITIES.join(", ")} or none)`
+    );
+  }
+  return result.summary.filter(
+    (s) => s.count > 0 && SEVERITIES.indexOf(s.severity) <= level
+  );
+}
+
+/**
+ * Stores a check result as a quality run.
+ * @param {Object} db A connected pg client, outside any load transaction
+ *   (findings of a refused load are kept).
+ * @param {Object} result As checkQuality returns.
+ * @param {string} trigger "etl" or "manual".
+ * @returns {Promise<number>} The run id.
+ */
+async function saveRun(db, result, trigger) {
+  const { rows } = await db.query(
+    `INSERT INTO quality_run
+       (batch_id, trigger, errors, warnings, infos, summary, started_at,
+        finished_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, now())
+     RETURNING run_id`,
+    [
+      result.batchId,
+      trigger,
+      result.counts.error,
+      result.counts.warning,
+      result.counts.info,
+      JSON.stringify(result.summary),
+      result.startedAt,
+    ]
+  );
+  const runId = rows[0].run_id;
+  if (result.findings.length > 0) {
+    await db.query(
+      `INSERT INTO quality_finding (run_id, rule_id, severity, session_ids, rows)
+       SELECT $1::int, f.rule, f.severity,
+              ARRAY(SELECT (e->>'session_id')::uuid
+                      FROM jsonb_array_elements(f.rows) e),
+              f.rows
+         FROM jsonb_to_recordset($2::jsonb)
+           AS f(rule text, severity text, rows jsonb)`,
+      [runId, JSON.stringify(result.findings)]
+    );
+  }
+  return runId;
+}
+
+/**
+ * Checks the data and stores the result (the on-demand run).
+ * @returns {Promise<Object>} The run, as getRun.
+ */
+async function runQuality(db, { batchId = null } = {}) {
+  const result = await checkQuality(db, { batchId });
+  return getRun(db, await saveRun(db, result, "manual"));
+}
+
+const RUN_COLUMNS = `r.run_id, r.batch_id, r.trigger, r.errors, r.warnings,
+  r.infos, r.started_at, r.finished_at, b.source_file,
+  b.status AS batch_status`;
+
+// Run ids are integers; anything else can't match
+const isRunId = (id) => /^\d+$/.test(String(id));
+
+async function listRuns(db, { limit = 50, offset = 0 } = {}) {
+  const { rows } = await db.query(
+    `SELECT ${RUN_COLUMNS}
+       FROM quality_run r
+       LEFT JOIN etl_batch b ON b.batch_id = r.batch_id
+      ORDER BY r.run_id DESC
+      LIMIT $1 OFFSET $2`,
+    [limit, offset]
+  );
+  return rows;
+}
+
+/**
+ * A run with its per-rule summary, or null if it does not exist.
+ */
+async function getRun(db, id) {
+  if (!isRunId(id)) return null;
+  const { rows } = await db.query(
+    `SELECT ${RUN_COLUMNS}, r.summary
+       FROM quality_run r
+       LEFT JOIN etl_batch b ON b.batch_id = r.batch_id
+      WHERE r.run_id = $1`,
+    [id]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * A page of a run's findings, optionally for one rule.
+ * @returns {Promise<Object>} { total, findings: [{ finding_id, rule_id,
+ *   severity, rows }] }
+ */
+async function listFindings(db, runId, { rule, limit = 50, offset = 0 } = {}) {
+  if (!isRunId(runId)) return { total: 0, findings: [] };
+  const { rows } = await db.query(
+    `SELECT finding_id, rule_id, severity, rows,
+            count(*) OVER ()::int AS total
+       FROM quality_finding
+      WHERE run_id = $1 AND ($2::text IS NULL OR rule_id = $2)
+      ORDER BY finding_id
+      LIMIT $3 OFFSET $4`,
+    [runId, rule || null, limit, offset]
+  );
+  return {
+    total: rows.length ? rows[0].total : 0,
+    findings: rows.map(({ total, ...finding }) => finding),
+  };
+}
+
+module.exports = {
+  SEVERITIES,
+  RULES,
+  checkQuality,
+  blockingRules,
+  saveRun,
+  runQuality,
+  listRuns,
+  getRun,
+  listFindings,
+};
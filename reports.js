@@ -0,0 +1,278 @@
+// reports.js
+// Saved reports (a named question plus its vetted SQL) and the query log
+// that records every question asked.
+
+const { executeQuery } = require("./db");
+const { validateSql } = require("./sqlGuard");
+const { checkTemplate, bindParams } = require("./templates");
+const { openResult } = require("./results");
+
+// Report ids are integers; anything else can't match (and would make
+// Postgres raise on the cast)
+const isReportId = (id) => /^\d+$/.test(String(id));
+
+const REPORT_COLUMNS =
+  "report_id, name, question, sql, description, params, created_at, updated_at, last_run_at";
+
+/**
+ * Records one question or report run. Logging must never break the
+ * request, so failures are only reported to the console.
+ * @param {Object} entry { question, sql, rowCount, latencyMs, success,
+ *   error, conversationId, reportId, username, requestId } where requestId
+ *   ties a question to its LLM calls in llm_usage
+ */
+async function logQuery(entry) {
+  try {
+    await executeQuery(
+      `INSERT INTO query_log
+         (question, sql, row_count, latency_ms, success, error,
+          conversation_id, report_id, username, request_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+      [
+        entry.question,
+        entry.sql || null,
+        entry.rowCount ?? null,
+        Math.round(entry.latencyMs),
+        entry.success,
+        entry.error || null,
+        entry.conversationId || null,
+        entry.reportId || null,
+        entry.username || null,
+        entry.requestId || null,
+      ]
+    );
+  } catch (error) {
+    console.error("[ERROR] Failed to write query log:", error.message);
+  }
+}
+
+/**
+ * Lists recent log entries, newest first.
+ * @param {Object} filters { limit, offset, success, search, username };
+ *   username limits the entries to that user's.
+ */
+async function listHistory({
+  limit = 50,
+  offset = 0,
+  success,
+  search,
+  username,
+} = {}) {
+  const where = [];
+  const params = [];
+  if (username !== undefined) {
+    params.push(username);
+    where.push(`username = $${params.length}`);
+  }
+  if (success !== undefined) {
+    params.push(success);
+    where.push(`success = $${params.length}`);
+  }
+  if (search) {
+    params.push(`%${search}%`);
+    where.push(`question ILIKE $${params.length}`);
+  }
+  params.push(limit, offset);
+
+  const { rows } = await executeQuery(
+    `SELECT log_id, question, sql, row_count, latency_ms, success, error,
+            conversation_id, report_id, username, created_at
+       FROM query_log
+      ${where.length ? `WHERE ${where.join(" AND ")}` : ""}
+      ORDER BY created_at DESC
+      LIMIT $${params.length - 1} OFFSET $${params.length}`,
+    params
+  );
+  return rows;
+}
+
+// Saved SQL is run later without review, so it has to pass the same guard
+// as generated SQL. Template placeholders are checked against the
+// declarations and validated in their $n form.
+function assertSafeSql(sql, params = []) {
+  const compiled = checkTemplate(sql, params);
+  const validation = validateSql(compiled.text);
+  if (!validation.valid) {
+    const error = new Error(
+      `Generated SQL query was rejected: ${validation.reason.message}`
+    );
+    error.rejection = validation.reason;
+    error.sql = sql;
+    throw error;
+  }
+  return compiled;
+}
+
+/**
+ * Saves a report. With `params`, the SQL is a template whose :name
+ * placeholders are filled in on each run (see templates.js).
+ */
+async function createReport({ name, question, sql, description, params }) {
+  assertSafeSql(sql, params);
+  const { rows } = await executeQuery(
+    `INSERT INTO saved_report (name, question, sql, description, params)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING ${REPORT_COLUMNS}`,
+    [
+      name.trim(),
+      question,
+      sql,
+      description || null,
+      JSON.stringify(params || []),
+    ]
+  );
+  return rows[0];
+}
+
+async function updateReport(id, { name, question, sql, description, params }) {
+  if (!isReportId(id)) return null;
+  if (sql !== undefined || params !== undefined) {
+    // SQL and declarations are checked together, so fill in whichever one
+    // is not being changed
+    const current =
+      sql === undefined || params === undefined ? await getReport(id) : null;
+    if (!current && (sql === undefined || params === undefined)) return null;
+    assertSafeSql(
+      sql === undefined ? current.sql : sql,
+      params === undefined ? current.params : params
+    );
+  }
+  const { rows } = await executeQuery(
+    `UPDATE saved_report
+        SET name = COALESCE($2, name),
+            question = COALESCE($3, question),
+            sql = COALESCE($4, sql),
+            description = COALESCE($5, description),
+            params = COALESCE($6, params),
+            updated_at = now()
+      WHERE report_id = $1
+      RETURNING ${REPORT_COLUMNS}`,
+    [
+      id,
+      name ? name.trim() : null,
+      question,
+      sql,
+      description,
+      params === undefined ? null : JSON.stringify(params),
+    ]
+  );
+  return rows[0] || null;
+}
+
+async function listReports(search) {
+  const { rows } = search
+    ? await executeQuery(
+        `SELECT ${REPORT_COLUMNS} FROM saved_report
+          WHERE name ILIKE $1 OR question ILIKE $1 OR description ILIKE $1
+          ORDER BY name`,
+        [`%${search}%`]
+      )
+    : await executeQuery(
+        `SELECT ${REPORT_COLUMNS} FROM saved_report ORDER BY name`
+      );
+  return rows;
+}
+
+async function getReport(id) {
+  if (!isReportId(id)) return null;
+  const { rows } = await executeQuery(
+    `SELECT ${REPORT_COLUMNS} FROM saved_report WHERE report_id = $1`,
+    [id]
+  );
+  return rows[0] || null;
+}
+
+async function deleteReport(id) {
+  if (!isReportId(id)) return false;
+  const { rowCount } = await executeQuery(
+    "DELETE FROM saved_report WHERE report_id = $1",
+    [id]
+  );
+  return rowCount > 0;
+}
+
+/**
+ * Validates saved or submitted SQL and binds its template values.
+ * @param {string} sql SQL, possibly with :name placeholders.
+ * @param {Array<Object>} declarations Template parameter declarations.
+ * @param {Object} values Parameter values keyed by name.
+ * @returns {Promise<Object>} { text, params, values } — the $n SQL, the
+ *   bound parameters and the resolved values keyed by name.
+ */
+async function prepareQuery(sql, declarations = [], values = {}) {
+  const { text, names } = assertSafeSql(sql, declarations);
+  const { bound, values: resolved } = await bindParams(
+    declarations,
+    names,
+    values
+  );
+  return { text, params: bound, values: resolved };
+}
+
+/**
+ * Re-runs a saved report's SQL without calling the LLM. Template values are
+ * validated and bound as query parameters.
+ * @param {string|number} id The report id.
+ * @param {Object} values Template parameter values keyed by name.
+ * @param {Object} access { user, rowFilter } from auth.accessFor.
+ * @returns {Promise<Object|null>} { report, data, columns, fields,
+ *   truncated, resultId, total, pageSize, params } where data is the first
+ *   page (see results.js), or null when the report does not exist.
+ */
+async function runReport(id, values = {}, access = {}) {
+  const report = await getReport(id);
+  if (!report) return null;
+
+  const started = Date.now();
+  try {
+    const query = await prepareQuery(report.sql, report.params, values);
+    const result = await openResult(query.text, query.params, access);
+    await executeQuery(
+      "UPDATE saved_report SET last_run_at = now() WHERE report_id = $1",
+      [id]
+    );
+    await logQuery({
+      question: report.question,
+      sql: report.sql,
+      rowCount: result.total,
+      latencyMs: Date.now() - started,
+      success: true,
+      reportId: report.report_id,
+      username: access.user,
+    });
+    return {
+      report,
+      data: result.rows,
+      columns: result.columns,
+      fields: result.fields,
+      truncated: result.truncated,
+      resultId: result.resultId,
+      total: result.total,
+      pageSize: result.pageSize,
+      params: query.values,
+    };
+  } catch (error) {
+    await logQuery({
+      question: report.question,
+      sql: report.sql,
+      latencyMs: Date.now() - started,
+      success: false,
+      error: error.message,
+      reportId: report.report_id,
+      username: access.user,
+    });
+    throw error;
+  }
+}
+
+module.exports = {
+  logQuery,
+  listHistory,
+  createReport,
+  updateReport,
+  listReports,
+  getReport,
+  deleteReport,
+  prepareQuery,
+  runReport,
+};
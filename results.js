@@ -0,0 +1,175 @@
+// results.js
+// Result handles: the validated SQL behind an answer or report run, kept on
+// the server so the table can page through large results and sort them on
+// any column without sending every row up front or asking the model again.
+
+const crypto = require("crypto");
+const { executeReadOnlyQuery, MAX_ROWS } = require("./db");
+require("dotenv").config();
+
+// Rows returned with an answer, and the largest page a client may ask for
+const PAGE_SIZE = parseInt(process.env.RESULT_PAGE_SIZE, 10) || 100;
+const MAX_PAGE_SIZE = 1000;
+
+const RESULT_TTL_MS =
+  parseInt(process.env.RESULT_HANDLE_TTL_MS, 10) || 30 * 60 * 1000;
+const MAX_RESULTS = parseInt(process.env.MAX_RESULT_HANDLES, 10) || 500;
+
+const handles = new Map(); // id -> { id, sql, params, columns, total, ... }
+
+function evictStale() {
+  const now = Date.now();
+  for (const [id, handle] of handles) {
+    if (now - handle.usedAt > RESULT_TTL_MS) handles.delete(id);
+  }
+  // Least recently used first, as in conversations.js
+  while (handles.size > MAX_RESULTS) {
+    handles.delete(handles.keys().next().value);
+  }
+}
+
+function getResult(id) {
+  const handle = handles.get(id);
+  if (!handle) return null;
+  if (Date.now() - handle.usedAt > RESULT_TTL_MS) {
+    handles.delete(id);
+    return null;
+  }
+  handle.usedAt = Date.now();
+  handles.delete(id);
+  handles.set(id, handle);
+  return handle;
+}
+
+async function countRows(sql, params, rowFilter) {
+  const inner = sql.trim().replace(/;\s*$/, "");
+  const { rows } = await executeReadOnlyQuery(
+    `SELECT COUNT(*) AS total FROM (${inner}) AS counted`,
+    { params, rowFilter }
+  );
+  return Number(rows[0].total);
+}
+
+/**
+ * Runs validated SQL for its first page and keeps a handle for the rest.
+ * Results are capped at SQL_MAX_ROWS rows in total.
+ * @param {string} sql Validated SQL ($n placeholders allowed).
+ * @param {Array} params Values for the placeholders.
+ * @param {Object} access { user, rowFilter } from auth.accessFor. Later
+ *   pages run with the same row filter and only for the same user.
+ * @returns {Promise<Object>} { resultId, rows, fields, columns, total,
+ *   truncated, pageSize } where rows is the first page and truncated means
+ *   the query matched more than SQL_MAX_ROWS rows.
+ */
+async function openResult(sql, params = [], access = {}) {
+  const rowFilter = access.rowFilter || null;
+  const { rows, fields, truncated } = await executeReadOnlyQuery(sql, {
+    params,
+    maxRows: PAGE_SIZE,
+    rowFilter,
+  });
+  const count = truncated
+    ? await countRows(sql, params, rowFilter)
+    : rows.length;
+
+  return reopenResult(sql, params, access, {
+    rows,
+    fields,
+    total: Math.min(count, MAX_ROWS),
+    truncated: count > MAX_ROWS,
+  });
+}
+
+/**
+ * Keeps a handle for a result whose first page is already known (a cached
+ * answer, see cache.js) without running the SQL.
+ * @param {Object} result { rows, fields, total, truncated } as openResult
+ *   returned them.
+ * @returns {Object} As openResult.
+ */
+function reopenResult(sql, params, access, { rows, fields, total, truncated }) {
+  evictStale();
+  const handle = {
+    id: crypto.randomUUID(),
+    sql,
+    params,
+    user: access.user || null,
+    rowFilter: access.rowFilter || null,
+    columns: fields.map((f) => f.name),
+    total,
+    truncated,
+    usedAt: Date.now(),
+  };
+  handles.set(handle.id, handle);
+
+  return {
+    resultId: handle.id,
+    rows,
+    fields,
+    columns: handle.columns,
+    total: handle.total,
+    truncated: handle.truncated,
+    pageSize: PAGE_SIZE,
+  };
+}
+
+/**
+ * Fetches a page of a stored result.
+ * @param {string} id The resultId from openResult.
+ * @param {Object} options { offset, limit, sort, dir } where sort is a
+ *   result column and dir "asc" or "desc".
+ * @param {Object} access { user } of the caller, as for openResult.
+ * @returns {Promise<Object|null>} { resultId, rows, offset, limit, total,
+ *   sort, dir }, or null when the handle is unknown, expired or another
+ *   user's.
+ * @throws {Error} With `.status = 400` for an unknown sort column.
+ */
+async function fetchPage(
+  id,
+  { offset = 0, limit = PAGE_SIZE, sort, dir } = {},
+  access = {}
+) {
+  const handle = getResult(id);
+  if (!handle || handle.user !== (access.user || null)) return null;
+
+  if (sort && !handle.columns.includes(sort)) {
+    const error = new Error(`Unknown sort column "${sort}"`);
+    error.status = 400;
+    throw error;
+  }
+  const start = Math.max(0, Math.min(offset, handle.total));
+  const size = Math.max(
+    0,
+    Math.min(limit, MAX_PAGE_SIZE, handle.total - start)
+  );
+  const direction = dir === "desc" ? "desc" : "asc";
+
+  let rows = [];
+  if (size > 0) {
+    ({ rows } = await executeReadOnlyQuery(handle.sql, {
+      params: handle.params,
+      rowFilter: handle.rowFilter,
+      orderBy: sort ? { column: sort, direction } : null,
+      offset: start,
+      maxRows: size,
+    }));
+  }
+
+  return {
+    resultId: handle.id,
+    rows,
+    offset: start,
+    limit: size,
+    total: handle.total,
+    sort: sort || null,
+    dir: direction,
+  };
+}
+
+module.exports = {
+  PAGE_SIZE,
+  getResult,
+  openResult,
+  reopenResult,
+  fetchPage,
+};
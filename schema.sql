@@ -33,8 +33,26 @@ CREATE TABLE IF NOT EXISTS dim_value_alias (
   PRIMARY KEY (entity, alias)
 );
 
+-- ---------- ETL batches -----------------------------------------
+-- One row per loader run (etl/load_excel.mjs), including dry and failed runs
+CREATE TABLE IF NOT EXISTS etl_batch (
+  batch_id       SERIAL PRIMARY KEY,
+  source_file    TEXT NOT NULL,
+  sheet_name     TEXT,
+  dry_run        BOOLEAN NOT NULL DEFAULT false,
+  status         TEXT NOT NULL DEFAULT 'running'
+                 CHECK (status IN ('running','committed','dry_run','failed','rolled_back')),
+  inserted       INT NOT NULL DEFAULT 0,
+  updated        INT NOT NULL DEFAULT 0,
+  rejected       INT NOT NULL DEFAULT 0,
+  error          TEXT,
+  started_at     TIMESTAMPTZ NOT NULL DEFAULT now(),
+  finished_at    TIMESTAMPTZ,
+  rolled_back_at TIMESTAMPTZ
+);
+
 -- ---------- Fact ------------------------------------------------
--- One row per conducted session (PST calendar)
+-- One row per conducted session (reporting-timezone calendar)
 CREATE TABLE IF NOT EXISTS fact_session (
   session_id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
 
@@ -44,7 +62,9 @@ CREATE TABLE IF NOT EXISTS fact_session (
   class_id     INT NOT NULL REFERENCES dim_class(class_id),
   instructor_id INT NOT NULL REFERENCES dim_instructor(instructor_id),
 
-  -- time (store UTC instant for a canonical 09:00 PST on that date)
+  -- time: the UTC start instant (09:00 reporting time when the source has
+  -- no time of day) and its calendar in the reporting timezone (REPORTING_TZ;
+  -- the pst_ names predate the setting)
   session_ts_utc  TIMESTAMPTZ NOT NULL,
   pst_date        DATE NOT NULL,
   pst_year        INT  NOT NULL,
@@ -58,6 +78,9 @@ CREATE TABLE IF NOT EXISTS fact_session (
   students_attended INT,            -- #students attended
   rated_pct         NUMERIC,        -- 0..100 (percentage points)
 
+  -- load batch that last wrote the row
+  batch_id INT REFERENCES etl_batch(batch_id),
+
   -- natural key prevents duplicates across re-loads
   UNIQUE (topic_code, type_id, domain_id, class_id, instructor_id, pst_date)
 );
@@ -71,6 +94,64 @@ CREATE INDEX IF NOT EXISTS idx_fact_session_instr
 CREATE INDEX IF NOT EXISTS idx_fact_session_class
   ON fact_session (class_id);
 
+ALTER TABLE fact_session
+  ADD COLUMN IF NOT EXISTS batch_id INT REFERENCES etl_batch(batch_id);
+
+CREATE INDEX IF NOT EXISTS idx_fact_session_batch
+  ON fact_session (batch_id);
+
+-- Values a batch overwrote, so rolling it back can restore them
+CREATE TABLE IF NOT EXISTS etl_batch_change (
+  batch_id   INT  NOT NULL REFERENCES etl_batch(batch_id),
+  session_id UUID NOT NULL REFERENCES fact_session(session_id) ON DELETE CASCADE,
+  previous   JSONB NOT NULL,
+  PRIMARY KEY (batch_id, session_id)
+);
+
+-- Advanced whenever the facts change: each committed load, rollback and
+-- calendar recompute (etl/load.mjs). Cached answers are keyed on it.
+CREATE TABLE IF NOT EXISTS data_version (
+  id         BOOLEAN PRIMARY KEY DEFAULT true CHECK (id),  -- a single row
+  version    BIGINT NOT NULL DEFAULT 1,
+  changed_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+INSERT INTO data_version DEFAULT VALUES ON CONFLICT DO NOTHING;
+
+-- ---------- Data quality ----------------------------------------
+-- One row per run of the quality rules (quality.js): after each load,
+-- scoped to the batch's rows, or on demand over the whole table
+CREATE TABLE IF NOT EXISTS quality_run (
+  run_id      SERIAL PRIMARY KEY,
+  batch_id    INT REFERENCES etl_batch(batch_id),
+  trigger     TEXT NOT NULL CHECK (trigger IN ('etl','manual')),
+  errors      INT NOT NULL DEFAULT 0,
+  warnings    INT NOT NULL DEFAULT 0,
+  infos       INT NOT NULL DEFAULT 0,
+  -- [{ rule, severity, description, count }] for every rule checked
+  summary     JSONB NOT NULL DEFAULT '[]',
+  started_at  TIMESTAMPTZ NOT NULL DEFAULT now(),
+  finished_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_quality_run_started
+  ON quality_run (started_at DESC);
+
+-- One offending row, or group of rows, per rule. rows keeps the v_sessions
+-- values as they were checked, so findings of a refused or rolled-back load
+-- can still be shown.
+CREATE TABLE IF NOT EXISTS quality_finding (
+  finding_id  BIGSERIAL PRIMARY KEY,
+  run_id      INT  NOT NULL REFERENCES quality_run(run_id) ON DELETE CASCADE,
+  rule_id     TEXT NOT NULL,
+  severity    TEXT NOT NULL CHECK (severity IN ('error','warning','info')),
+  session_ids UUID[] NOT NULL,
+  rows        JSONB NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_quality_finding_run
+  ON quality_finding (run_id, rule_id);
+
 -- ---------- Analysis view (what the app queries) ----------------
 CREATE OR REPLACE VIEW v_sessions AS
 SELECT
@@ -89,4 +170,338 @@ FROM fact_session fs
 JOIN dim_type       dt ON dt.type_id       = fs.type_id
 JOIN dim_domain     dd ON dd.domain_id     = fs.domain_id
 JOIN dim_class      dc ON dc.class_id      = fs.class_id
-JOIN dim_instructor di ON di.instructor_id = fs.instructor_id;
+JOIN dim_instructor di ON di.instructor_id = fs.instructor_id
+-- Row-level restrictions: the app sets app.row_filter (a JSON object of
+-- allowed values per dimension, see auth.js) for restricted users' queries.
+-- Unset or empty shows every row; an unknown dimension shows none.
+WHERE NOT EXISTS (
+  SELECT 1
+    FROM jsonb_each(COALESCE(NULLIF(current_setting('app.row_filter', true), ''), '{}')::jsonb)
+         AS f(dimension, allowed)
+   WHERE NOT COALESCE(f.allowed ? CASE f.dimension
+                                    WHEN 'instructor' THEN di.instructor_name
+                                    WHEN 'class'      THEN dc.class_name
+                                    WHEN 'domain'     THEN dd.domain_name
+                                    WHEN 'type'       THEN dt.type_name
+                                  END, false)
+);
+
+-- Column comments are read by the app (introspect.js) and shown to the
+-- SQL generator, so keep them accurate when the view changes.
+COMMENT ON VIEW v_sessions IS 'One row per conducted session, dimensions denormalized';
+COMMENT ON COLUMN v_sessions.session_id IS 'Unique session id';
+COMMENT ON COLUMN v_sessions.topic_code IS 'Free-text topic code from the source sheet';
+COMMENT ON COLUMN v_sessions.type IS 'Session type';
+COMMENT ON COLUMN v_sessions.domain IS 'Subject domain';
+COMMENT ON COLUMN v_sessions.class IS 'Class name';
+COMMENT ON COLUMN v_sessions.instructor IS 'Instructor full name';
+COMMENT ON COLUMN v_sessions.session_ts_utc IS 'Session start instant in UTC (09:00 reporting time when the source had no time)';
+COMMENT ON COLUMN v_sessions.pst_date IS 'Session date in the reporting timezone (America/Los_Angeles unless REPORTING_TZ says otherwise); use for date filtering';
+COMMENT ON COLUMN v_sessions.pst_year IS 'Calendar year in the reporting timezone';
+COMMENT ON COLUMN v_sessions.pst_month IS 'Month 1-12 in the reporting timezone';
+COMMENT ON COLUMN v_sessions.pst_quarter IS 'Quarter 1-4 in the reporting timezone';
+COMMENT ON COLUMN v_sessions.pst_month_start IS 'First day of the session month; use for monthly grouping';
+COMMENT ON COLUMN v_sessions.average IS 'Average student rating, 1-5';
+COMMENT ON COLUMN v_sessions.responses IS 'Number of students who rated';
+COMMENT ON COLUMN v_sessions.students_attended IS 'Number of students who attended';
+COMMENT ON COLUMN v_sessions.rated_pct IS 'Percentage of attendees who rated, 0-100';
+
+-- ---------- Scorecard rollups ------------------------------------
+-- Response-weighted monthly and quarterly figures per instructor, class and
+-- domain, offered to the SQL generator next to v_sessions. Three layers per
+-- grain:
+--   rollup_*  the aggregate over v_sessions, computed when read
+--   mv_*      the same, materialized; refreshed by refresh_session_rollups()
+--             after every load, rollback and calendar recompute (etl/load.mjs)
+--   v_*       what the app queries: the materialized rows, or the live
+--             aggregate when a row filter is set, since the materialized
+--             rows count sessions a restricted user may not see
+-- Recreate the rollup_* view (and its mv_* and v_*) when its columns change.
+
+CREATE OR REPLACE FUNCTION row_filter_active() RETURNS BOOLEAN
+LANGUAGE sql STABLE AS $$
+  SELECT COALESCE(NULLIF(current_setting('app.row_filter', true), ''), '{}')::jsonb
+         <> '{}'::jsonb
+$$;
+
+CREATE OR REPLACE VIEW rollup_instructor_month AS
+SELECT instructor, pst_year, pst_quarter, pst_month, pst_month_start,
+       COUNT(*)::int AS sessions,
+       ROUND((SUM(average * responses) / NULLIF(SUM(responses), 0))::numeric, 2) AS weighted_avg,
+       SUM(average * responses) AS weighted_rating_sum,
+       SUM(responses)::int AS total_responses,
+       SUM(students_attended)::int AS total_attended,
+       ROUND(100.0 * SUM(responses) / NULLIF(SUM(students_attended), 0), 1) AS rated_pct
+  FROM v_sessions
+ GROUP BY instructor, pst_year, pst_quarter, pst_month, pst_month_start;
+
+CREATE OR REPLACE VIEW rollup_class_quarter AS
+SELECT class, pst_year, pst_quarter,
+       COUNT(*)::int AS sessions,
+       ROUND((SUM(average * responses) / NULLIF(SUM(responses), 0))::numeric, 2) AS weighted_avg,
+       SUM(average * responses) AS weighted_rating_sum,
+       SUM(responses)::int AS total_responses,
+       SUM(students_attended)::int AS total_attended,
+       ROUND(100.0 * SUM(responses) / NULLIF(SUM(students_attended), 0), 1) AS rated_pct
+  FROM v_sessions
+ GROUP BY class, pst_year, pst_quarter;
+
+CREATE OR REPLACE VIEW rollup_domain_month AS
+SELECT domain, pst_year, pst_quarter, pst_month, pst_month_start,
+       COUNT(*)::int AS sessions,
+       ROUND((SUM(average * responses) / NULLIF(SUM(responses), 0))::numeric, 2) AS weighted_avg,
+       SUM(average * responses) AS weighted_rating_sum,
+       SUM(responses)::int AS total_responses,
+       SUM(students_attended)::int AS total_attended,
+       ROUND(100.0 * SUM(responses) / NULLIF(SUM(students_attended), 0), 1) AS rated_pct
+  FROM v_sessions
+ GROUP BY domain, pst_year, pst_quarter, pst_month, pst_month_start;
+
+CREATE MATERIALIZED VIEW IF NOT EXISTS mv_instructor_month AS
+  SELECT * FROM rollup_instructor_month;
+CREATE MATERIALIZED VIEW IF NOT EXISTS mv_class_quarter AS
+  SELECT * FROM rollup_class_quarter;
+CREATE MATERIALIZED VIEW IF NOT EXISTS mv_domain_month AS
+  SELECT * FROM rollup_domain_month;
+
+-- Needed to refresh CONCURRENTLY, which doesn't block readers
+CREATE UNIQUE INDEX IF NOT EXISTS idx_mv_instructor_month
+  ON mv_instructor_month (instructor, pst_month_start);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_mv_class_quarter
+  ON mv_class_quarter (class, pst_year, pst_quarter);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_mv_domain_month
+  ON mv_domain_month (domain, pst_month_start);
+
+-- The rating distribution over all rated sessions, which the rating
+-- confidence functions below shrink toward and test against:
+--   prior_mean    response-weighted average rating
+--   rating_sd     standard deviation of a single rating, estimated from how
+--                 far session averages stray from their instructor and
+--                 class's (an average of n ratings varies by rating_sd /
+--                 sqrt(n))
+--   prior_weight  how many ratings the prior counts as: those of three
+--                 typical sessions
+CREATE OR REPLACE VIEW rollup_rating_prior AS
+WITH rated AS (
+  SELECT instructor, class, average, responses,
+         SUM(average * responses) OVER (PARTITION BY instructor, class)
+           / SUM(responses) OVER (PARTITION BY instructor, class) AS pair_mean
+    FROM v_sessions
+   WHERE responses > 0 AND average IS NOT NULL
+)
+SELECT SUM(average * responses) / SUM(responses) AS prior_mean,
+       SQRT(SUM(responses * (average - pair_mean) ^ 2)
+            / NULLIF(COUNT(*) - COUNT(DISTINCT (instructor, class)), 0))
+         AS rating_sd,
+       ROUND(3.0 * SUM(responses) / NULLIF(COUNT(*), 0)) AS prior_weight
+  FROM rated;
+
+CREATE MATERIALIZED VIEW IF NOT EXISTS mv_rating_prior AS
+  SELECT * FROM rollup_rating_prior;
+
+-- Must run without a row filter (as the ETL does), or the materialized
+-- rows would be those of one user
+CREATE OR REPLACE FUNCTION refresh_session_rollups() RETURNS VOID
+LANGUAGE plpgsql AS $$
+BEGIN
+  IF row_filter_active() THEN
+    RAISE EXCEPTION 'refresh_session_rollups() must run without app.row_filter';
+  END IF;
+  REFRESH MATERIALIZED VIEW CONCURRENTLY mv_instructor_month;
+  REFRESH MATERIALIZED VIEW CONCURRENTLY mv_class_quarter;
+  REFRESH MATERIALIZED VIEW CONCURRENTLY mv_domain_month;
+  -- A single row, so there is no key to refresh it concurrently by
+  REFRESH MATERIALIZED VIEW mv_rating_prior;
+END
+$$;
+
+-- Only one branch of each view runs: row_filter_active() is evaluated once
+CREATE OR REPLACE VIEW v_instructor_monthly AS
+SELECT * FROM mv_instructor_month WHERE NOT row_filter_active()
+UNION ALL
+SELECT * FROM rollup_instructor_month WHERE row_filter_active();
+
+CREATE OR REPLACE VIEW v_class_quarterly AS
+SELECT * FROM mv_class_quarter WHERE NOT row_filter_active()
+UNION ALL
+SELECT * FROM rollup_class_quarter WHERE row_filter_active();
+
+CREATE OR REPLACE VIEW v_domain_monthly AS
+SELECT * FROM mv_domain_month WHERE NOT row_filter_active()
+UNION ALL
+SELECT * FROM rollup_domain_month WHERE row_filter_active();
+
+CREATE OR REPLACE VIEW v_rating_prior AS
+SELECT * FROM mv_rating_prior WHERE NOT row_filter_active()
+UNION ALL
+SELECT * FROM rollup_rating_prior WHERE row_filter_active();
+
+COMMENT ON VIEW v_instructor_monthly IS 'One row per instructor and month; prefer it over v_sessions for per-instructor monthly or quarterly ratings';
+COMMENT ON VIEW v_class_quarterly IS 'One row per class and quarter; prefer it over v_sessions for per-class quarterly ratings';
+COMMENT ON VIEW v_domain_monthly IS 'One row per domain and month; prefer it over v_sessions for per-domain monthly or quarterly ratings';
+
+COMMENT ON COLUMN v_instructor_monthly.instructor IS 'Instructor full name';
+COMMENT ON COLUMN v_instructor_monthly.pst_year IS 'Calendar year in the reporting timezone';
+COMMENT ON COLUMN v_instructor_monthly.pst_quarter IS 'Quarter 1-4 in the reporting timezone';
+COMMENT ON COLUMN v_instructor_monthly.pst_month IS 'Month 1-12 in the reporting timezone';
+COMMENT ON COLUMN v_instructor_monthly.pst_month_start IS 'First day of the month';
+COMMENT ON COLUMN v_instructor_monthly.sessions IS 'Number of sessions';
+COMMENT ON COLUMN v_instructor_monthly.weighted_avg IS 'Response-weighted average rating, 1-5, rounded to 2 decimals; do not average it across rows';
+COMMENT ON COLUMN v_instructor_monthly.weighted_rating_sum IS 'SUM(average * responses); combine rows with ROUND(SUM(weighted_rating_sum) / NULLIF(SUM(total_responses), 0), 2)';
+COMMENT ON COLUMN v_instructor_monthly.total_responses IS 'Number of students who rated';
+COMMENT ON COLUMN v_instructor_monthly.total_attended IS 'Number of students who attended';
+COMMENT ON COLUMN v_instructor_monthly.rated_pct IS 'Percentage of attendees who rated, 0-100';
+
+COMMENT ON COLUMN v_class_quarterly.class IS 'Class name';
+COMMENT ON COLUMN v_class_quarterly.pst_year IS 'Calendar year in the reporting timezone';
+COMMENT ON COLUMN v_class_quarterly.pst_quarter IS 'Quarter 1-4 in the reporting timezone';
+COMMENT ON COLUMN v_class_quarterly.sessions IS 'Number of sessions';
+COMMENT ON COLUMN v_class_quarterly.weighted_avg IS 'Response-weighted average rating, 1-5, rounded to 2 decimals; do not average it across rows';
+COMMENT ON COLUMN v_class_quarterly.weighted_rating_sum IS 'SUM(average * responses); combine rows with ROUND(SUM(weighted_rating_sum) / NULLIF(SUM(total_responses), 0), 2)';
+COMMENT ON COLUMN v_class_quarterly.total_responses IS 'Number of students who rated';
+COMMENT ON COLUMN v_class_quarterly.total_attended IS 'Number of students who attended';
+COMMENT ON COLUMN v_class_quarterly.rated_pct IS 'Percentage of attendees who rated, 0-100';
+
+COMMENT ON COLUMN v_domain_monthly.domain IS 'Subject domain';
+COMMENT ON COLUMN v_domain_monthly.pst_year IS 'Calendar year in the reporting timezone';
+COMMENT ON COLUMN v_domain_monthly.pst_quarter IS 'Quarter 1-4 in the reporting timezone';
+COMMENT ON COLUMN v_domain_monthly.pst_month IS 'Month 1-12 in the reporting timezone';
+COMMENT ON COLUMN v_domain_monthly.pst_month_start IS 'First day of the month';
+COMMENT ON COLUMN v_domain_monthly.sessions IS 'Number of sessions';
+COMMENT ON COLUMN v_domain_monthly.weighted_avg IS 'Response-weighted average rating, 1-5, rounded to 2 decimals; do not average it across rows';
+COMMENT ON COLUMN v_domain_monthly.weighted_rating_sum IS 'SUM(average * responses); combine rows with ROUND(SUM(weighted_rating_sum) / NULLIF(SUM(total_responses), 0), 2)';
+COMMENT ON COLUMN v_domain_monthly.total_responses IS 'Number of students who rated';
+COMMENT ON COLUMN v_domain_monthly.total_attended IS 'Number of students who attended';
+COMMENT ON COLUMN v_domain_monthly.rated_pct IS 'Percentage of attendees who rated, 0-100';
+
+-- ---------- Rating confidence ------------------------------------
+-- A plain average ranks one 5.0 session above forty at 4.8. These take a
+-- group's SUM(average * responses) and SUM(responses) (weighted_rating_sum
+-- and total_responses in the rollups) and account for how many students
+-- rated. They return NULL for a group without ratings.
+--   shrunk_rating   Bayesian average: the group's ratings plus prior_weight
+--                   ratings at the overall mean, so thinly rated groups are
+--                   pulled toward the mean; rank by it
+--   rating_ci_low,  bounds of the 95% confidence interval of the weighted
+--   rating_ci_high  average, within the 1-5 scale
+-- The overall figures come from v_rating_prior, so under a row filter they
+-- are those of the rows the user may see.
+
+CREATE OR REPLACE FUNCTION shrunk_rating(rating_sum NUMERIC, responses NUMERIC,
+                                         weight NUMERIC DEFAULT NULL)
+RETURNS NUMERIC
+LANGUAGE sql STABLE AS $$
+  SELECT ROUND((rating_sum + COALESCE(weight, p.prior_weight) * p.prior_mean)
+               / (responses + COALESCE(weight, p.prior_weight)), 2)
+    FROM v_rating_prior p
+   WHERE responses > 0
+$$;
+
+CREATE OR REPLACE FUNCTION rating_ci_low(rating_sum NUMERIC, responses NUMERIC)
+RETURNS NUMERIC
+LANGUAGE sql STABLE AS $$
+  SELECT ROUND(GREATEST(1, rating_sum / responses
+                           - 1.96 * p.rating_sd / SQRT(responses)), 2)
+    FROM v_rating_prior p
+   WHERE responses > 0
+$$;
+
+CREATE OR REPLACE FUNCTION rating_ci_high(rating_sum NUMERIC, responses NUMERIC)
+RETURNS NUMERIC
+LANGUAGE sql STABLE AS $$
+  SELECT ROUND(LEAST(5, rating_sum / responses
+                        + 1.96 * p.rating_sd / SQRT(responses)), 2)
+    FROM v_rating_prior p
+   WHERE responses > 0
+$$;
+
+-- ---------- App data ---------------------------------------------
+-- Named reports: a question with its vetted SQL, re-runnable without the LLM
+CREATE TABLE IF NOT EXISTS saved_report (
+  report_id   SERIAL PRIMARY KEY,
+  name        TEXT UNIQUE NOT NULL,
+  question    TEXT NOT NULL,
+  sql         TEXT NOT NULL,
+  description TEXT,
+  -- Template parameter declarations for :name placeholders in sql
+  params      JSONB NOT NULL DEFAULT '[]',
+  created_at  TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at  TIMESTAMPTZ NOT NULL DEFAULT now(),
+  last_run_at TIMESTAMPTZ
+);
+
+ALTER TABLE saved_report
+  ADD COLUMN IF NOT EXISTS params JSONB NOT NULL DEFAULT '[]';
+
+-- Accounts for the app. Roles: viewer (saved reports), analyst (free-form
+-- questions), admin (imports, aliases, users).
+CREATE TABLE IF NOT EXISTS app_user (
+  user_id       SERIAL PRIMARY KEY,
+  username      TEXT UNIQUE NOT NULL,
+  password_hash TEXT NOT NULL,               -- scrypt$salt$hash
+  role          TEXT NOT NULL CHECK (role IN ('viewer','analyst','admin')),
+  -- Row-level restrictions on v_sessions, e.g. {"instructor": ["Jane Doe"]};
+  -- {} sees every row
+  restrictions  JSONB NOT NULL DEFAULT '{}',
+  disabled      BOOLEAN NOT NULL DEFAULT false,
+  created_at    TIMESTAMPTZ NOT NULL DEFAULT now(),
+  last_login_at TIMESTAMPTZ
+);
+
+-- One row per /api/query call or report run
+CREATE TABLE IF NOT EXISTS query_log (
+  log_id          BIGSERIAL PRIMARY KEY,
+  question        TEXT NOT NULL,
+  sql             TEXT,
+  row_count       INT,
+  latency_ms      INT NOT NULL,
+  success         BOOLEAN NOT NULL,
+  error           TEXT,
+  conversation_id UUID,
+  report_id       INT REFERENCES saved_report(report_id) ON DELETE SET NULL,
+  username        TEXT,
+  request_id      UUID,                      -- its calls in llm_usage
+  created_at      TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+ALTER TABLE query_log ADD COLUMN IF NOT EXISTS username TEXT;
+ALTER TABLE query_log ADD COLUMN IF NOT EXISTS request_id UUID;
+
+CREATE INDEX IF NOT EXISTS idx_query_log_created
+  ON query_log (created_at DESC);
+
+-- One row per LLM completion (see usage.js). request_id groups the calls
+-- made for one question.
+CREATE TABLE IF NOT EXISTS llm_usage (
+  usage_id          BIGSERIAL PRIMARY KEY,
+  request_id        UUID,
+  username          TEXT,
+  role              TEXT NOT NULL,           -- sql, summary or chart
+  provider          TEXT NOT NULL,
+  model             TEXT NOT NULL,
+  prompt_tokens     INT NOT NULL DEFAULT 0,
+  completion_tokens INT NOT NULL DEFAULT 0,
+  total_tokens      INT NOT NULL DEFAULT 0,
+  cost_usd          NUMERIC(12, 6) NOT NULL DEFAULT 0,  -- estimated
+  latency_ms        INT NOT NULL,
+  success           BOOLEAN NOT NULL,
+  error             TEXT,
+  created_at        TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_llm_usage_created
+  ON llm_usage (created_at);
+CREATE INDEX IF NOT EXISTS idx_llm_usage_user
+  ON llm_usage (username, created_at);
+
+-- Answer cache shared between server processes (cache.js, with
+-- QUERY_CACHE=postgres)
+CREATE TABLE IF NOT EXISTS query_cache (
+  cache_key  TEXT PRIMARY KEY,
+  value      JSONB NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  expires_at TIMESTAMPTZ NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_query_cache_expires
+  ON query_cache (expires_at);
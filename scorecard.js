@@ -0,0 +1,206 @@
+// scorecard.js
+// Instructor scorecards: fixed, parameterized SQL over v_sessions, so the
+// same data always gives the same figures (no LLM involved). Queries run
+// read-only with the asking user's row filter, like generated SQL, so a
+// restricted user's comparisons only count the rows they may see.
+
+const { executeQuery, executeReadOnlyQuery } = require("./db");
+const { REPORTING_TZ } = require("./timezone");
+require("dotenv").config();
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+// $1 is the instructor, $2 and $3 the optional first and last pst_date
+const PERIOD = `($2::date IS NULL OR pst_date >= $2::date)
+  AND ($3::date IS NULL OR pst_date <= $3::date)`;
+
+// Response-weighted average of the rows of a group (of alias `t`, if given)
+const weighted = (t = "") =>
+  `ROUND((SUM(${t}average * ${t}responses)
+          / NULLIF(SUM(${t}responses), 0))::numeric, 2)::float8`;
+
+const RATED_PCT = `ROUND(100.0 * SUM(responses)
+  / NULLIF(SUM(students_attended), 0), 1)::float8`;
+
+const TOTALS_SQL = `
+SELECT COUNT(*)::int AS sessions,
+       ${weighted()} AS weighted_avg,
+       ROUND(AVG(average), 2)::float8 AS avg_rating,
+       COALESCE(SUM(responses), 0)::int AS total_responses,
+       COALESCE(SUM(students_attended), 0)::int AS total_attended,
+       ${RATED_PCT} AS rated_pct,
+       ROUND(AVG(students_attended), 1)::float8 AS avg_attended,
+       MIN(pst_date) AS first_session,
+       MAX(pst_date) AS last_session
+  FROM v_sessions
+ WHERE instructor = $1 AND ${PERIOD}`;
+
+// Per month, with the weighted average of every session in the same month
+// and domain(s) as the instructor's
+const MONTHLY_SQL = `
+WITH mine AS (
+  SELECT * FROM v_sessions WHERE instructor = $1 AND ${PERIOD}
+),
+peers AS (
+  SELECT v.pst_month_start, ${weighted("v.")} AS domain_weighted_avg
+    FROM v_sessions v
+   WHERE ${PERIOD}
+     AND (v.pst_month_start, v.domain) IN
+         (SELECT pst_month_start, domain FROM mine)
+   GROUP BY v.pst_month_start
+)
+SELECT m.pst_month_start AS month,
+       COUNT(*)::int AS sessions,
+       ${weighted("m.")} AS weighted_avg,
+       p.domain_weighted_avg,
+       ROUND(100.0 * SUM(m.responses)
+             / NULLIF(SUM(m.students_attended), 0), 1)::float8 AS rated_pct,
+       ROUND(AVG(m.students_attended), 1)::float8 AS avg_attended
+  FROM mine m
+  LEFT JOIN peers p ON p.pst_month_start = m.pst_month_start
+ GROUP BY m.pst_month_start, p.domain_weighted_avg
+ ORDER BY m.pst_month_start`;
+
+const DOMAINS_SQL = `
+WITH domains AS (
+  SELECT domain, COUNT(*)::int AS domain_sessions,
+         ${weighted()} AS domain_weighted_avg
+    FROM v_sessions
+   WHERE ${PERIOD}
+   GROUP BY domain
+)
+SELECT v.domain,
+       COUNT(*)::int AS sessions,
+       ${weighted("v.")} AS weighted_avg,
+       d.domain_weighted_avg,
+       ROUND((${weighted("v.")} - d.domain_weighted_avg)::numeric, 2)::float8
+         AS difference,
+       d.domain_sessions
+  FROM v_sessions v
+  JOIN domains d ON d.domain = v.domain
+ WHERE v.instructor = $1 AND ${PERIOD}
+ GROUP BY v.domain, d.domain_weighted_avg, d.domain_sessions
+ ORDER BY sessions DESC, v.domain`;
+
+// Best first, by shrunk rating (schema.sql): a class taught once doesn't
+// come out best or worst on one session's ratings
+const CLASSES_SQL = `
+SELECT class,
+       COUNT(*)::int AS sessions,
+       ${weighted()} AS weighted_avg,
+       shrunk_rating(SUM(average * responses), SUM(responses))::float8
+         AS shrunk_avg,
+       COALESCE(SUM(responses), 0)::int AS total_responses,
+       ${RATED_PCT} AS rated_pct
+  FROM v_sessions
+ WHERE instructor = $1 AND ${PERIOD}
+ GROUP BY class
+ ORDER BY shrunk_avg DESC NULLS LAST, sessions DESC, class`;
+
+// Among instructors with rated sessions in the period, by shrunk rating
+// (schema.sql), so a few glowing sessions don't top the ranking. percentile
+// is the share of the others rated lower.
+const RANK_SQL = `
+WITH ranked AS (
+  SELECT instructor,
+         shrunk_rating(SUM(average * responses), SUM(responses))::float8
+           AS shrunk_avg,
+         RANK() OVER (ORDER BY shrunk_rating(SUM(average * responses),
+                                             SUM(responses)) DESC) AS rank,
+         PERCENT_RANK() OVER (ORDER BY shrunk_rating(SUM(average * responses),
+                                                     SUM(responses))) AS pr,
+         COUNT(*) OVER () AS instructors
+    FROM v_sessions
+   WHERE ${PERIOD}
+   GROUP BY instructor
+  HAVING SUM(responses) > 0
+)
+SELECT rank::int, instructors::int AS of, shrunk_avg,
+       ROUND((100 * pr)::numeric, 1)::float8 AS percentile
+  FROM ranked
+ WHERE instructor = $1`;
+
+// Errors the caller can fix carry a 400
+function badRequest(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+function parseDate(value, name) {
+  if (value === undefined || value === "") return null;
+  // Round-tripping rejects days a month doesn't have (2025-02-30)
+  const date = new Date(`${value}T00:00:00Z`);
+  if (
+    !ISO_DATE.test(value) ||
+    Number.isNaN(date.getTime()) ||
+    date.toISOString().slice(0, 10) !== value
+  ) {
+    throw badRequest(`${name} must be a date (YYYY-MM-DD)`);
+  }
+  return value;
+}
+
+// The instructor, if it exists and the user's restrictions include it
+async function findInstructor(id, rowFilter) {
+  if (!/^\d+$/.test(String(id))) return null;
+  const { rows } = await executeQuery(
+    `SELECT instructor_id AS id, instructor_name AS name
+       FROM dim_instructor WHERE instructor_id = $1`,
+    [id]
+  );
+  const instructor = rows[0];
+  if (!instructor) return null;
+  const allowed = rowFilter && rowFilter.instructor;
+  return !allowed || allowed.includes(instructor.name) ? instructor : null;
+}
+
+/**
+ * An instructor's scorecard over a period of session dates (in the
+ * reporting timezone).
+ * @param {string|number} id The instructor_id.
+ * @param {Object} period { from, to } as YYYY-MM-DD, both optional and
+ *   inclusive.
+ * @param {Object} access { user, rowFilter } from auth.accessFor.
+ * @returns {Promise<Object|null>} { instructor, period, timezone, totals,
+ *   monthly, domains, classes, rank }, or null if there is no such
+ *   instructor (for this user). monthly is oldest first, classes best
+ *   first (by shrunk rating), and rank ({ rank, of, percentile,
+ *   shrunk_avg }) is null without rated sessions. Averages are
+ *   response-weighted.
+ */
+async function instructorScorecard(id, { from, to } = {}, access = {}) {
+  const start = parseDate(from, "from");
+  const end = parseDate(to, "to");
+  if (start && end && start > end) {
+    throw badRequest("from must not be after to");
+  }
+
+  const rowFilter = access.rowFilter || null;
+  const instructor = await findInstructor(id, rowFilter);
+  if (!instructor) return null;
+
+  const params = [instructor.name, start, end];
+  const run = async (sql) =>
+    (await executeReadOnlyQuery(sql, { params, rowFilter })).rows;
+  const [[totals], monthly, domains, classes, [rank]] = await Promise.all([
+    run(TOTALS_SQL),
+    run(MONTHLY_SQL),
+    run(DOMAINS_SQL),
+    run(CLASSES_SQL),
+    run(RANK_SQL),
+  ]);
+
+  return {
+    instructor,
+    period: { from: start, to: end },
+    timezone: REPORTING_TZ,
+    totals,
+    monthly,
+    domains,
+    classes,
+    rank: rank || null,
+  };
+}
+
+module.exports = { instructorScorecard };
@@ -4,176 +4,974 @@ const cors = require("cors");
 const path = require("path");
 require("dotenv").config();
 
-const { getAiSql, getAiSummary } = require("./ai");
-const { executeQuery } = require("./db");
+const { executeQuery, streamReadOnlyQuery, withClient } = require("./db");
+const {
+  login,
+  listUsers,
+  createUser,
+  updateUser,
+  deleteUser,
+  authenticate,
+  requireRole,
+  hasRole,
+  accessFor,
+  setSessionCookie,
+} = require("./auth");
+const { getSchemaDescription } = require("./introspect");
+const {
+  createConversation,
+  getConversation,
+  forkConversation,
+  resetConversation,
+} = require("./conversations");
+const { ENTITIES, listAliases, addAlias, deleteAlias } = require("./entities");
+const { answerQuestion, describeQueryError } = require("./pipeline");
+const {
+  listHistory,
+  createReport,
+  updateReport,
+  listReports,
+  getReport,
+  deleteReport,
+  prepareQuery,
+  runReport,
+} = require("./reports");
+const { suggestChart } = require("./charts");
+const { REPORTING_TZ } = require("./timezone");
+const { instructorScorecard } = require("./scorecard");
+const { PAGE_SIZE, fetchPage } = require("./results");
+const {
+  FORMATS,
+  EXPORT_MAX_ROWS,
+  EXPORT_TIMEOUT_MS,
+  sendExport,
+} = require("./exporter");
+const {
+  IMPORT_MAX_BYTES,
+  createImport,
+  previewImport,
+  commitImport,
+} = require("./imports");
+const {
+  RULES,
+  runQuality,
+  listRuns,
+  getRun,
+  listFindings,
+} = require("./quality");
+const { usageReport } = require("./usage");
+const { limitQuestions, limitLogins } = require("./limits");
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// Origins allowed to call the API from another site (comma-separated);
+// none by default
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || "")
+  .split(",")
+  .map((origin) => origin.trim())
+  .filter(Boolean);
+
+// Proxies in front of the app whose X-Forwarded-For is believed when
+// telling clients apart for rate limits (a hop count or addresses)
+const TRUST_PROXY = process.env.TRUST_PROXY;
+if (TRUST_PROXY) {
+  app.set(
+    "trust proxy",
+    /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : TRUST_PROXY
+  );
+}
+
 // Middleware
-app.use(cors());
-app.use(express.json());
+app.use(cors({ origin: CORS_ORIGINS.length > 0 ? CORS_ORIGINS : false }));
+// Export requests can carry a chart image
+app.use(express.json({ limit: "5mb" }));
 app.use(express.static("public"));
 
 app.use(express.static(path.join(__dirname, "public")));
-// Much simpler and more reliable SQL validation
-function isValidSqlQuery(sqlQuery) {
-  if (!sqlQuery || typeof sqlQuery !== "string") {
-    console.log("[DEBUG] SQL validation failed: empty or non-string");
-    return false;
-  }
 
-  const trimmedSql = sqlQuery.trim();
-  console.log("[DEBUG] Validating SQL:", trimmedSql.substring(0, 100) + "...");
+// Who is asking (req.user); each route then says which role it needs
+app.use(authenticate);
+const viewer = requireRole("viewer");
+const analyst = requireRole("analyst");
+const admin = requireRole("admin");
 
-  if (!trimmedSql) {
-    console.log("[DEBUG] SQL validation failed: empty after trim");
-    return false;
+// Sign in: { username, password }. Sets the session cookie and returns the
+// token for API clients (Authorization: Bearer <token>).
+app.post("/api/login", limitLogins, async (req, res) => {
+  const { username, password } = req.body || {};
+  try {
+    const session = await login(username, password);
+    if (!session) {
+      return res.status(401).json({
+        error: "Invalid username or password",
+      });
+    }
+    console.log(`[INFO] ${session.user.username} signed in`);
+    setSessionCookie(req, res, session.token, session.expiresAt);
+    res.json(session);
+  } catch (error) {
+    console.error("[ERROR] Login failed:", error);
+    res.status(500).json({ error: "Login failed", details: error.message });
   }
+});
 
-  // More flexible validation - allow WITH (CTEs) and SELECT
-  const startsCorrectly = /^\s*(WITH|SELECT)\s+/i.test(trimmedSql);
-  console.log("[DEBUG] Starts with WITH/SELECT:", startsCorrectly);
+app.post("/api/logout", (req, res) => {
+  setSessionCookie(req, res, "", null);
+  res.status(204).end();
+});
 
-  if (!startsCorrectly) {
-    console.log(
-      "[DEBUG] SQL validation failed: doesn't start with WITH or SELECT"
-    );
-    return false;
+// The signed-in user: { user_id, username, role, restrictions }
+app.get("/api/me", viewer, (req, res) => {
+  const { user_id, username, role, restrictions } = req.user;
+  res.json({ user_id, username, role, restrictions });
+});
+
+// Main endpoint
+app.post("/api/query", analyst, limitQuestions, async (req, res) => {
+  // `choices` answers a previous clarification: [{ mention, entity, canonical }]
+  // `conversationId` continues an existing thread (omit to start a new one)
+  const { query: userQuery, choices = [], conversationId } = req.body;
+
+  if (!userQuery) {
+    return res.status(400).json({ error: "Query is required." });
   }
 
-  // Basic check for SQL structure
-  const hasBasicStructure =
-    /\bFROM\s+/i.test(trimmedSql) || /\bSELECT\s+/i.test(trimmedSql);
-  console.log("[DEBUG] Has basic SQL structure:", hasBasicStructure);
+  const access = accessFor(req.user);
+  const conversation = conversationId
+    ? getConversation(conversationId, access)
+    : createConversation(access);
+  if (!conversation) {
+    return res.status(404).json({
+      error: "Conversation not found",
+      details: `Conversation ${conversationId} has expired or does not exist`,
+      suggestion: "Start a new conversation",
+    });
+  }
 
-  return hasBasicStructure;
-}
+  console.log(
+    `[INFO] Received query: "${userQuery}" (conversation ${conversation.id}, turn ${conversation.turns.length})`
+  );
 
-// Main endpoint
-app.post("/api/query", async (req, res) => {
-  const { query: userQuery } = req.body;
+  try {
+    res.json(
+      await answerQuestion({
+        userQuery,
+        choices,
+        conversation,
+        access,
+      })
+    );
+  } catch (error) {
+    console.error("[ERROR] Error in /api/query:", error);
+    const { status, body } = describeQueryError(error);
+    res.status(status).json(body);
+  }
+});
+
+// Streaming variant of /api/query over Server-Sent Events. Same request
+// body; emits one event per pipeline stage (see answerQuestion), then
+// "done" with the final result minus the rows, or "error".
+app.post("/api/query/stream", analyst, limitQuestions, async (req, res) => {
+  const { query: userQuery, choices = [], conversationId } = req.body;
 
   if (!userQuery) {
     return res.status(400).json({ error: "Query is required." });
   }
 
-  console.log(`[INFO] Received query: "${userQuery}"`);
+  const access = accessFor(req.user);
+  const conversation = conversationId
+    ? getConversation(conversationId, access)
+    : createConversation(access);
+  if (!conversation) {
+    return res.status(404).json({
+      error: "Conversation not found",
+      details: `Conversation ${conversationId} has expired or does not exist`,
+      suggestion: "Start a new conversation",
+    });
+  }
+
+  console.log(
+    `[INFO] Received streaming query: "${userQuery}" (conversation ${conversation.id})`
+  );
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no", // don't let proxies hold events back
+  });
+  res.flushHeaders();
 
+  let closed = false;
+  res.on("close", () => {
+    closed = true;
+  });
+  const send = (event, payload) => {
+    if (closed) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`);
+  };
+
+  send("conversation", { conversationId: conversation.id });
   try {
-    // Step 1: Generate SQL
-    console.log("[INFO] Generating SQL...");
-    const sqlQuery = await getAiSql(userQuery);
-    console.log(`[INFO] Generated SQL: ${sqlQuery}`);
+    const { data, ...result } = await answerQuestion(
+      { userQuery, choices, conversation, access },
+      send
+    );
+    send("done", result);
+  } catch (error) {
+    console.error("[ERROR] Error in /api/query/stream:", error);
+    const { status, body } = describeQueryError(error);
+    send("error", { status, ...body });
+  }
+  res.end();
+});
 
-    // Step 2: Validate SQL
-    if (!isValidSqlQuery(sqlQuery)) {
-      console.error("[ERROR] SQL validation failed");
-      console.error(`[ERROR] Full SQL: ${sqlQuery}`);
-      return res.status(500).json({
-        error: "Generated SQL query is invalid",
-        details: `SQL: ${sqlQuery}`,
-        suggestion: "Try rephrasing your question",
+// Further pages of an answer or report run, sorted on any result column:
+// ?offset=100&limit=100&sort=avg_rating&dir=desc
+app.get("/api/results/:id", viewer, async (req, res) => {
+  try {
+    const page = await fetchPage(
+      req.params.id,
+      {
+        offset: parseInt(req.query.offset, 10) || 0,
+        limit: parseInt(req.query.limit, 10) || PAGE_SIZE,
+        sort: req.query.sort,
+        dir: req.query.dir,
+      },
+      accessFor(req.user)
+    );
+    if (!page) {
+      return res.status(404).json({
+        error: "Result not found",
+        details: `Result ${req.params.id} has expired or does not exist`,
+        suggestion: "Run the question again",
       });
     }
+    res.json(page);
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error("[ERROR] Failed to fetch result page:", error);
+    res.status(500).json({
+      error: "Failed to fetch result page",
+      details: error.message,
+    });
+  }
+});
 
-    console.log("[INFO] SQL validation passed");
+// Query history (every /api/query call and report run): the caller's own,
+// or everyone's for admins
+app.get("/api/history", analyst, async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+  const offset = parseInt(req.query.offset, 10) || 0;
+  const success =
+    req.query.success === undefined ? undefined : req.query.success === "true";
 
-    // Step 3: Execute SQL
-    console.log("[INFO] Executing SQL on database...");
-    const { rows: data } = await executeQuery(sqlQuery);
-    console.log(
-      `[INFO] Query executed successfully. Fetched ${data.length} rows.`
+  try {
+    res.json(
+      await listHistory({
+        limit,
+        offset,
+        success,
+        search: req.query.search,
+        username: req.user.role === "admin" ? undefined : req.user.username,
+      })
     );
+  } catch (error) {
+    console.error("[ERROR] Failed to fetch history:", error);
+    res.status(500).json({
+      error: "Failed to fetch history",
+      details: error.message,
+    });
+  }
+});
+
+// Saved reports: a named question with its vetted SQL
+app.get("/api/reports", viewer, async (req, res) => {
+  try {
+    res.json(await listReports(req.query.search));
+  } catch (error) {
+    console.error("[ERROR] Failed to fetch reports:", error);
+    res.status(500).json({
+      error: "Failed to fetch reports",
+      details: error.message,
+    });
+  }
+});
+
+app.get("/api/reports/:id", viewer, async (req, res) => {
+  try {
+    const report = await getReport(req.params.id);
+    if (!report) {
+      return res.status(404).json({ error: "Report not found" });
+    }
+    res.json(report);
+  } catch (error) {
+    console.error("[ERROR] Failed to fetch report:", error);
+    res.status(500).json({
+      error: "Failed to fetch report",
+      details: error.message,
+    });
+  }
+});
+
+// Sends report errors: bad template parameters, rejected SQL, duplicate
+// names, anything else
+function sendReportError(res, error, action) {
+  if (error.invalidParams) {
+    return res.status(400).json({
+      error: error.message,
+      details: error.invalidParams
+        .map(({ name, message }) => (name ? `${name}: ${message}` : message))
+        .join("; "),
+      params: error.invalidParams,
+    });
+  }
+  if (error.rejection) {
+    const { status, body } = describeQueryError(error);
+    return res.status(status).json(body);
+  }
+  if (error.message.includes("duplicate key")) {
+    return res.status(409).json({
+      error: "A report with this name already exists",
+      details: error.message,
+    });
+  }
+  console.error(`[ERROR] Failed to ${action} report:`, error);
+  res.status(500).json({
+    error: `Failed to ${action} report`,
+    details: error.message,
+  });
+}
+
+app.post("/api/reports", analyst, async (req, res) => {
+  const { name, question, sql, description, params } = req.body;
+  if (!name || !question || !sql) {
+    return res.status(400).json({
+      error: "name, question and sql are required",
+    });
+  }
 
-    // Step 4: Generate summary
-    console.log("[INFO] Generating summary...");
-    const summary = await getAiSummary(userQuery, sqlQuery, data);
-    console.log(`[INFO] Summary generated: ${summary.substring(0, 100)}...`);
+  try {
+    console.log(`[INFO] Saving report "${name}"`);
+    res
+      .status(201)
+      .json(await createReport({ name, question, sql, description, params }));
+  } catch (error) {
+    sendReportError(res, error, "save");
+  }
+});
+
+app.put("/api/reports/:id", analyst, async (req, res) => {
+  try {
+    const report = await updateReport(req.params.id, req.body);
+    if (!report) {
+      return res.status(404).json({ error: "Report not found" });
+    }
+    res.json(report);
+  } catch (error) {
+    sendReportError(res, error, "update");
+  }
+});
+
+app.delete("/api/reports/:id", analyst, async (req, res) => {
+  try {
+    const deleted = await deleteReport(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ error: "Report not found" });
+    }
+    res.status(204).end();
+  } catch (error) {
+    console.error("[ERROR] Failed to delete report:", error);
+    res.status(500).json({
+      error: "Failed to delete report",
+      details: error.message,
+    });
+  }
+});
 
-    // Step 5: Return response
+// Re-run a saved report's SQL without calling the LLM. Templates take their
+// values as { "params": { "year": 2025, ... } }.
+app.post("/api/reports/:id/run", viewer, async (req, res) => {
+  try {
+    console.log(`[INFO] Running saved report ${req.params.id}`);
+    const result = await runReport(
+      req.params.id,
+      req.body.params,
+      accessFor(req.user)
+    );
+    if (!result) {
+      return res.status(404).json({ error: "Report not found" });
+    }
+    const {
+      report,
+      data,
+      fields,
+      truncated,
+      resultId,
+      total,
+      pageSize,
+      params,
+    } = result;
+    const used = Object.entries(params)
+      .filter(([, value]) => value !== null)
+      .map(([name, value]) => `${name}=${value}`)
+      .join(", ");
     res.json({
       data,
-      summary,
-      sql: sqlQuery,
+      summary: `Saved report "${report.name}"${
+        used ? ` (${used})` : ""
+      } returned ${total} row(s).`,
+      sql: report.sql,
+      truncated,
+      resultId,
+      total,
+      pageSize,
+      params,
+      // Heuristic only: reports run without the LLM
+      chart: suggestChart(data, fields),
+      report,
     });
   } catch (error) {
-    console.error("[ERROR] Error in /api/query:", error);
+    if (error.invalidParams || error.rejection) {
+      return sendReportError(res, error, "run");
+    }
+    console.error("[ERROR] Failed to run report:", error);
+    const { status, body } = describeQueryError(error);
+    res.status(status).json(body);
+  }
+});
 
-    if (
-      error.message.includes("Service unavailable") ||
-      error.message.includes("503")
-    ) {
-      res.status(503).json({
-        error: "AI service temporarily unavailable",
-        details: "GROQ API is down. Try again in a few minutes.",
-        suggestion: "Check https://groqstatus.com/ for status",
-      });
-    } else if (error.message.includes("Database execution error")) {
-      res.status(500).json({
-        error: "Database query failed",
-        details: error.message,
-        suggestion: "The SQL might have syntax errors",
+// Export a result set as CSV, XLSX or NDJSON. Takes either the SQL of an
+// answer ({ sql, question }) or a saved report ({ reportId, params }); the
+// SQL is validated again and re-run with the export row cap. XLSX exports
+// include the chart when `chartImage` (a PNG data URL) is sent. Viewers can
+// only export saved reports.
+app.post("/api/export", viewer, async (req, res) => {
+  const format = String(
+    req.query.format || req.body.format || "csv"
+  ).toLowerCase();
+  if (!FORMATS[format]) {
+    return res.status(400).json({
+      error: `Unknown export format "${format}"`,
+      suggestion: `Use one of: ${Object.keys(FORMATS).join(", ")}`,
+    });
+  }
+
+  const { reportId, params, chartImage } = req.body;
+  let { sql, question } = req.body;
+  let declarations = [];
+  let filename;
+
+  try {
+    if (reportId !== undefined) {
+      const report = await getReport(reportId);
+      if (!report) {
+        return res.status(404).json({ error: "Report not found" });
+      }
+      ({ sql, question } = report);
+      declarations = report.params;
+      filename = report.name.replace(/[^\w-]+/g, "-").toLowerCase();
+    } else if (!sql) {
+      return res.status(400).json({ error: "sql or reportId is required" });
+    } else if (!hasRole(req.user, "analyst")) {
+      return res.status(403).json({
+        error: "Forbidden",
+        details: "Exporting free-form SQL needs the analyst role",
       });
-    } else {
-      res.status(500).json({
-        error: "Internal server error",
+    }
+
+    const query = await prepareQuery(sql, declarations, params);
+    const { rowCount, truncated } = await sendExport(
+      res,
+      format,
+      (onRows) =>
+        streamReadOnlyQuery(
+          query.text,
+          {
+            params: query.params,
+            maxRows: EXPORT_MAX_ROWS,
+            timeoutMs: EXPORT_TIMEOUT_MS,
+            rowFilter: accessFor(req.user).rowFilter,
+          },
+          onRows
+        ),
+      { question, sql, params: query.values, filename, chartImage }
+    );
+    console.log(
+      `[INFO] Exported ${rowCount} row(s) as ${format}${
+        truncated ? " (truncated)" : ""
+      }`
+    );
+  } catch (error) {
+    if (res.headersSent) {
+      // Part of the file is out; cut the download short rather than let it
+      // look complete
+      console.error("[ERROR] Export failed while streaming:", error.message);
+      return res.destroy();
+    }
+    if (error.invalidParams || error.rejection) {
+      return sendReportError(res, error, "export");
+    }
+    console.error("[ERROR] Export failed:", error);
+    const { status, body } = describeQueryError(error);
+    res.status(status).json(body);
+  }
+});
+
+function sendImportError(res, error, action) {
+  if (error.status === 400) {
+    // Loads refused by the quality rules also carry their findings summary
+    return res
+      .status(400)
+      .json({ error: error.message, quality: error.quality });
+  }
+  console.error(`[ERROR] Failed to ${action}:`, error);
+  res.status(500).json({
+    error: `Failed to ${action}`,
+    details: error.message,
+  });
+}
+
+const importNotFound = (res, id) =>
+  res.status(404).json({
+    error: "Import not found",
+    details: `Upload ${id} has expired or does not exist`,
+    suggestion: "Upload the file again",
+  });
+
+// Upload a spreadsheet (raw file body, ?filename=sessions.xlsx); answers
+// with the detected header mapping and a preview of the first sheet
+app.post(
+  "/api/import",
+  admin,
+  express.raw({ type: () => true, limit: IMPORT_MAX_BYTES }),
+  async (req, res) => {
+    const filename = path.basename(String(req.query.filename || ""));
+    if (!filename || !Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res
+        .status(400)
+        .json({ error: "A file and ?filename= are required" });
+    }
+    try {
+      res.json(await createImport(req.body, filename));
+    } catch (error) {
+      sendImportError(res, error, "read upload");
+    }
+  }
+);
+
+// Re-check an upload with another sheet or a corrected mapping:
+// { sheet, mapping: { instructor: "Teacher" } }
+app.post("/api/import/:id/preview", admin, async (req, res) => {
+  try {
+    const preview = await previewImport(req.params.id, req.body || {});
+    if (!preview) return importNotFound(res, req.params.id);
+    res.json(preview);
+  } catch (error) {
+    sendImportError(res, error, "preview import");
+  }
+});
+
+// Load the upload as one ETL batch: { sheet, mapping, dryRun }
+app.post("/api/import/:id/commit", admin, async (req, res) => {
+  try {
+    const result = await commitImport(req.params.id, req.body || {});
+    if (!result) return importNotFound(res, req.params.id);
+    res.json(result);
+  } catch (error) {
+    sendImportError(res, error, "import data");
+  }
+});
+
+// Data quality rules and the findings of past runs (see quality.js)
+function sendQualityError(res, error, action) {
+  console.error(`[ERROR] Failed to ${action}:`, error);
+  res.status(500).json({
+    error: `Failed to ${action}`,
+    details: error.message,
+  });
+}
+
+const runNotFound = (res, id) =>
+  res.status(404).json({
+    error: "Quality run not found",
+    details: `No quality run with id ${id}`,
+  });
+
+app.get("/api/quality/rules", admin, (req, res) => {
+  res.json(
+    RULES.map(({ id, severity, description }) => ({
+      id,
+      severity,
+      description,
+    }))
+  );
+});
+
+// Check now, the whole table or one batch: { batchId }
+app.post("/api/quality/run", admin, async (req, res) => {
+  const { batchId } = req.body || {};
+  if (batchId !== undefined && !/^\d+$/.test(String(batchId))) {
+    return res.status(400).json({ error: "batchId must be a batch number" });
+  }
+  try {
+    const run = await withClient((client) =>
+      runQuality(client, {
+        batchId: batchId === undefined ? null : Number(batchId),
+      })
+    );
+    console.log(
+      `[INFO] Quality run ${run.run_id}: ${run.errors} error(s), ${run.warnings} warning(s), ${run.infos} info`
+    );
+    res.json(run);
+  } catch (error) {
+    sendQualityError(res, error, "run quality checks");
+  }
+});
+
+app.get("/api/quality/runs", admin, async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+  const offset = parseInt(req.query.offset, 10) || 0;
+  try {
+    res.json(await withClient((client) => listRuns(client, { limit, offset })));
+  } catch (error) {
+    sendQualityError(res, error, "fetch quality runs");
+  }
+});
+
+app.get("/api/quality/runs/:id", admin, async (req, res) => {
+  try {
+    const run = await withClient((client) => getRun(client, req.params.id));
+    if (!run) return runNotFound(res, req.params.id);
+    res.json(run);
+  } catch (error) {
+    sendQualityError(res, error, "fetch quality run");
+  }
+});
+
+// The offending rows: ?rule=&limit=&offset=
+app.get("/api/quality/runs/:id/findings", admin, async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+  const offset = parseInt(req.query.offset, 10) || 0;
+  try {
+    res.json(
+      await withClient((client) =>
+        listFindings(client, req.params.id, {
+          rule: req.query.rule,
+          limit,
+          offset,
+        })
+      )
+    );
+  } catch (error) {
+    sendQualityError(res, error, "fetch quality findings");
+  }
+});
+
+// LLM calls, tokens, estimated cost and failure rates:
+// ?from=&to=&interval=hour|day|week|month&username=
+app.get("/api/usage", admin, async (req, res) => {
+  try {
+    res.json(
+      await usageReport({
+        from: req.query.from,
+        to: req.query.to,
+        interval: req.query.interval,
+        username: req.query.username,
+      })
+    );
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({
+        error: "Invalid usage request",
         details: error.message,
-        suggestion: "Please try again",
       });
     }
+    console.error("[ERROR] Failed to fetch LLM usage:", error);
+    res.status(500).json({
+      error: "Failed to fetch LLM usage",
+      details: error.message,
+    });
   }
 });
 
-// Other endpoints remain the same
-app.get("/api/instructors", async (req, res) => {
+// Settings the page needs: the zone dates are reported and shown in
+app.get("/api/config", (req, res) => {
+  res.json({ timezone: REPORTING_TZ });
+});
+
+// The schema description the SQL generator currently sees
+app.get("/api/schema", analyst, async (req, res) => {
   try {
-    console.log("[INFO] Fetching instructors list...");
-    const { rows: data } = await executeQuery(
-      "SELECT instructor_name FROM dim_instructor ORDER BY instructor_name"
-    );
-    res.json(data);
+    const { relations, prompt, builtAt } = await getSchemaDescription();
+    res.json({ relations, prompt, builtAt: new Date(builtAt).toISOString() });
   } catch (error) {
-    console.error("[ERROR] Failed to fetch instructors:", error);
+    console.error("[ERROR] Failed to introspect schema:", error);
     res.status(500).json({
-      error: "Failed to fetch instructors",
+      error: "Failed to introspect schema",
       details: error.message,
     });
   }
 });
 
-app.get("/api/domains", async (req, res) => {
+// Conversation threads
+app.get("/api/conversations/:id", analyst, (req, res) => {
+  const conversation = getConversation(req.params.id, accessFor(req.user));
+  if (!conversation) {
+    return res.status(404).json({ error: "Conversation not found" });
+  }
+  res.json(conversation);
+});
+
+// Fork a thread, keeping turns 0..throughTurn (all turns if omitted)
+app.post("/api/conversations/:id/fork", analyst, (req, res) => {
+  const { throughTurn } = req.body || {};
+  if (
+    throughTurn !== undefined &&
+    !(Number.isInteger(throughTurn) && throughTurn >= 0)
+  ) {
+    return res.status(400).json({
+      error: "Invalid throughTurn",
+      details: "throughTurn must be a non-negative integer",
+    });
+  }
+
+  const fork = forkConversation(
+    req.params.id,
+    throughTurn,
+    accessFor(req.user)
+  );
+  if (!fork) {
+    return res.status(404).json({ error: "Conversation not found" });
+  }
+  console.log(`[INFO] Forked conversation ${req.params.id} -> ${fork.id}`);
+  res.status(201).json(fork);
+});
+
+app.post("/api/conversations/:id/reset", analyst, (req, res) => {
+  const conversation = resetConversation(req.params.id, accessFor(req.user));
+  if (!conversation) {
+    return res.status(404).json({ error: "Conversation not found" });
+  }
+  console.log(`[INFO] Reset conversation ${req.params.id}`);
+  res.json(conversation);
+});
+
+// Alias administration for entity resolution (dim_value_alias)
+app.get("/api/aliases", analyst, async (req, res) => {
+  const { entity } = req.query;
+  if (entity && !ENTITIES.includes(entity)) {
+    return res.status(400).json({
+      error: "Invalid entity",
+      details: `entity must be one of: ${ENTITIES.join(", ")}`,
+    });
+  }
+
   try {
-    console.log("[INFO] Fetching domains list...");
-    const { rows: data } = await executeQuery(
-      "SELECT domain_name FROM dim_domain ORDER BY domain_name"
-    );
-    res.json(data);
+    res.json(await listAliases(entity));
   } catch (error) {
-    console.error("[ERROR] Failed to fetch domains:", error);
+    console.error("[ERROR] Failed to fetch aliases:", error);
     res.status(500).json({
-      error: "Failed to fetch domains",
+      error: "Failed to fetch aliases",
       details: error.message,
     });
   }
 });
 
-app.get("/api/classes", async (req, res) => {
+app.post("/api/aliases", admin, async (req, res) => {
+  const { entity, canonical, alias, weight } = req.body;
+  if (!ENTITIES.includes(entity) || !canonical || !alias) {
+    return res.status(400).json({
+      error: "entity, canonical and alias are required",
+      details: `entity must be one of: ${ENTITIES.join(", ")}`,
+    });
+  }
+  if (weight !== undefined && !(Number(weight) > 0 && Number(weight) <= 1)) {
+    return res.status(400).json({
+      error: "Invalid weight",
+      details: "weight must be a number in (0, 1]",
+    });
+  }
+
   try {
-    console.log("[INFO] Fetching classes list...");
-    const { rows: data } = await executeQuery(
-      "SELECT class_name FROM dim_class ORDER BY class_name"
+    console.log(`[INFO] Adding alias ${entity}: "${alias}" -> "${canonical}"`);
+    const row = await addAlias({
+      entity,
+      canonical,
+      alias,
+      weight: weight === undefined ? 1 : Number(weight),
+    });
+    res.status(201).json(row);
+  } catch (error) {
+    if (error.message.startsWith("Unknown ")) {
+      return res.status(400).json({
+        error: "Unknown canonical value",
+        details: error.message,
+      });
+    }
+    console.error("[ERROR] Failed to add alias:", error);
+    res.status(500).json({
+      error: "Failed to add alias",
+      details: error.message,
+    });
+  }
+});
+
+app.delete("/api/aliases/:entity/:alias", admin, async (req, res) => {
+  const { entity, alias } = req.params;
+  try {
+    console.log(`[INFO] Deleting alias ${entity}: "${alias}"`);
+    const deleted = await deleteAlias(entity, alias);
+    if (!deleted) {
+      return res.status(404).json({ error: "Alias not found" });
+    }
+    res.status(204).end();
+  } catch (error) {
+    console.error("[ERROR] Failed to delete alias:", error);
+    res.status(500).json({
+      error: "Failed to delete alias",
+      details: error.message,
+    });
+  }
+});
+
+// Dimension values for pickers. Users restricted on a dimension only get
+// the values they may see.
+function dimensionEndpoint(entity, table, idColumn, column, label) {
+  return async (req, res) => {
+    const allowed = (req.user.restrictions || {})[entity];
+    try {
+      console.log(`[INFO] Fetching ${label} list...`);
+      const { rows: data } = await executeQuery(
+        `SELECT ${idColumn}, ${column} FROM ${table}
+          ${allowed ? `WHERE ${column} = ANY($1)` : ""}
+          ORDER BY ${column}`,
+        allowed ? [allowed] : []
+      );
+      res.json(data);
+    } catch (error) {
+      console.error(`[ERROR] Failed to fetch ${label}:`, error);
+      res.status(500).json({
+        error: `Failed to fetch ${label}`,
+        details: error.message,
+      });
+    }
+  };
+}
+
+app.get(
+  "/api/instructors",
+  viewer,
+  dimensionEndpoint(
+    "instructor",
+    "dim_instructor",
+    "instructor_id",
+    "instructor_name",
+    "instructors"
+  )
+);
+app.get(
+  "/api/domains",
+  viewer,
+  dimensionEndpoint(
+    "domain",
+    "dim_domain",
+    "domain_id",
+    "domain_name",
+    "domains"
+  )
+);
+app.get(
+  "/api/classes",
+  viewer,
+  dimensionEndpoint("class", "dim_class", "class_id", "class_name", "classes")
+);
+
+// An instructor's figures from fixed SQL (scorecard.js); ?from=&to= limit
+// the session dates
+app.get("/api/instructors/:id/scorecard", viewer, async (req, res) => {
+  try {
+    const scorecard = await instructorScorecard(
+      req.params.id,
+      { from: req.query.from, to: req.query.to },
+      accessFor(req.user)
     );
-    res.json(data);
+    if (!scorecard) {
+      return res.status(404).json({ error: "Instructor not found" });
+    }
+    res.json(scorecard);
   } catch (error) {
-    console.error("[ERROR] Failed to fetch classes:", error);
+    if (error.status === 400) {
+      return res.status(400).json({
+        error: "Invalid scorecard request",
+        details: error.message,
+      });
+    }
+    console.error("[ERROR] Failed to build scorecard:", error);
     res.status(500).json({
-      error: "Failed to fetch classes",
+      error: "Failed to build scorecard",
       details: error.message,
     });
   }
 });
 
+// User accounts (admin): roles and row-level restrictions, see auth.js
+function sendUserError(res, error, action) {
+  if (error.status === 400 || error.status === 409) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error(`[ERROR] Failed to ${action}:`, error);
+  res.status(500).json({
+    error: `Failed to ${action}`,
+    details: error.message,
+  });
+}
+
+app.get("/api/users", admin, async (req, res) => {
+  try {
+    res.json(await listUsers());
+  } catch (error) {
+    sendUserError(res, error, "fetch users");
+  }
+});
+
+// { username, password, role, restrictions: { instructor: ["Jane Doe"] } }
+app.post("/api/users", admin, async (req, res) => {
+  try {
+    const user = await createUser(req.body || {});
+    console.log(`[INFO] Created user ${user.username} (${user.role})`);
+    res.status(201).json(user);
+  } catch (error) {
+    sendUserError(res, error, "create user");
+  }
+});
+
+// Any of { password, role, restrictions, disabled }
+app.put("/api/users/:id", admin, async (req, res) => {
+  try {
+    const user = await updateUser(req.params.id, req.body || {});
+    if (!user) return res.status(404).json({ error: "User not found" });
+    console.log(`[INFO] Updated user ${user.username}`);
+    res.json(user);
+  } catch (error) {
+    sendUserError(res, error, "update user");
+  }
+});
+
+app.delete("/api/users/:id", admin, async (req, res) => {
+  try {
+    const deleted = await deleteUser(req.params.id);
+    if (!deleted) return res.status(404).json({ error: "User not found" });
+    console.log(`[INFO] Deleted user ${req.params.id}`);
+    res.status(204).end();
+  } catch (error) {
+    sendUserError(res, error, "delete user");
+  }
+});
+
 app.listen(PORT, () => {
   console.log(`Server is running on http://localhost:${PORT}`);
 });
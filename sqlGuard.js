@@ -0,0 +1,190 @@
+// sqlGuard.js
+// Parses AI-generated SQL and decides whether it is safe to run.
+// A query passes only if it is a single read-only statement that touches the
+// allowed relations and calls allowlisted functions.
+
+const { parse } = require("pgsql-ast-parser");
+require("dotenv").config();
+
+// Relations the generated SQL may read from: the sessions and the scorecard
+// rollups (schema.sql). CTEs declared in the query itself may be read too,
+// where they are in scope (see findViolation).
+const ALLOWED_TABLES = new Set(
+  (
+    process.env.SQL_ALLOWED_TABLES ||
+    "v_sessions,v_instructor_monthly,v_class_quarterly,v_domain_monthly"
+  )
+    .split(",")
+    .map((name) => name.trim())
+    .filter(Boolean)
+);
+
+const ALLOWED_SCHEMAS = new Set(["public"]);
+
+// Functions the generated SQL may call. Anything not listed here (pg_sleep,
+// dblink, lo_import, set_config, ...) is rejected.
+const ALLOWED_FUNCTIONS = new Set([
+  // aggregates
+  "avg", "sum", "count", "min", "max", "stddev", "stddev_samp",
+  "stddev_pop", "variance", "var_samp", "var_pop", "percentile_cont",
+  "percentile_disc", "mode", "array_agg", "string_agg", "bool_and",
+  "bool_or", "corr", "covar_pop", "covar_samp",
+  // window functions
+  "lag", "lead", "rank", "dense_rank", "row_number", "ntile",
+  "first_value", "last_value", "nth_value", "percent_rank", "cume_dist",
+  // numeric
+  "round", "abs", "ceil", "ceiling", "floor", "trunc", "sqrt", "power",
+  "ln", "log", "exp", "sign", "mod", "greatest", "least",
+  // conditional
+  "coalesce", "nullif",
+  // text
+  "lower", "upper", "initcap", "trim", "btrim", "ltrim", "rtrim",
+  "length", "concat", "concat_ws", "substring", "substr", "replace",
+  "split_part", "left", "right", "position", "strpos",
+  // date/time
+  "to_char", "to_date", "date_trunc", "date_part", "make_date", "age",
+  // rating confidence (schema.sql)
+  "shrunk_rating", "rating_ci_low", "rating_ci_high",
+]);
+
+// Statement types that cannot modify data.
+const READ_ONLY_STATEMENTS = new Set([
+  "select",
+  "union",
+  "union all",
+  "intersect",
+  "intersect all",
+  "except",
+  "except all",
+  "values",
+  "with",
+  "with recursive",
+]);
+
+function reject(code, message) {
+  return { valid: false, reason: { code, message } };
+}
+
+// Walks the AST and returns the first problem found, or null. `ctes` holds
+// the CTE names in scope: a CTE is only visible inside the WITH statement
+// that declares it (to the CTEs after it and its main query, or to itself
+// when recursive), so a name declared in a subquery can't stand in for a
+// real relation elsewhere in the statement.
+function findViolation(node, ctes = new Set()) {
+  if (!node || typeof node !== "object") return null;
+  if (Array.isArray(node)) {
+    for (const child of node) {
+      const violation = findViolation(child, ctes);
+      if (violation) return violation;
+    }
+    return null;
+  }
+
+  if (node.type === "with") {
+    let scope = ctes;
+    for (const b of node.bind) {
+      if (!READ_ONLY_STATEMENTS.has(b.statement.type)) {
+        return reject(
+          "write_in_cte",
+          `CTE "${b.alias.name}" contains a ${b.statement.type.toUpperCase()} statement`
+        );
+      }
+      const violation = findViolation(b.statement, scope);
+      if (violation) return violation;
+      scope = new Set([...scope, b.alias.name]);
+    }
+    return findViolation(node.in, scope);
+  } else if (node.type === "with recursive") {
+    if (!READ_ONLY_STATEMENTS.has(node.bind.type)) {
+      return reject(
+        "write_in_cte",
+        `CTE "${node.alias.name}" contains a ${node.bind.type.toUpperCase()} statement`
+      );
+    }
+    const scope = new Set([...ctes, node.alias.name]);
+    return findViolation(node.bind, scope) || findViolation(node.in, scope);
+  } else if (node.type === "select" && node.for) {
+    return reject(
+      "locking_clause",
+      `SELECT ... FOR ${node.for.type.toUpperCase()} is not allowed`
+    );
+  } else if (node.type === "table" && node.name) {
+    const { schema, name } = node.name;
+    const isCte = !schema && ctes.has(name);
+    if (!isCte) {
+      if (schema && !ALLOWED_SCHEMAS.has(schema)) {
+        return reject(
+          "table_not_allowed",
+          `Relation "${schema}.${name}" is not allowed`
+        );
+      }
+      if (!ALLOWED_TABLES.has(name)) {
+        return reject(
+          "table_not_allowed",
+          `Relation "${name}" is not allowed. Allowed: ${[
+            ...ALLOWED_TABLES,
+          ].join(", ")}`
+        );
+      }
+    }
+  } else if (node.type === "call" && node.function) {
+    const { schema, name } = node.function;
+    if (
+      (schema && schema !== "pg_catalog") ||
+      !ALLOWED_FUNCTIONS.has(name.toLowerCase())
+    ) {
+      return reject(
+        "function_not_allowed",
+        `Function "${schema ? `${schema}.` : ""}${name}" is not allowed`
+      );
+    }
+  }
+
+  for (const child of Object.values(node)) {
+    const violation = findViolation(child, ctes);
+    if (violation) return violation;
+  }
+  return null;
+}
+
+/**
+ * Validates a generated SQL query against the read-only allowlist.
+ * @param {string} sqlQuery The SQL query string to validate.
+ * @returns {{valid: boolean, reason?: {code: string, message: string}}}
+ *   `valid: true` when the query may run, otherwise a structured reason.
+ */
+function validateSql(sqlQuery) {
+  if (!sqlQuery || typeof sqlQuery !== "string" || !sqlQuery.trim()) {
+    return reject("empty", "The generated SQL is empty");
+  }
+
+  let statements;
+  try {
+    statements = parse(sqlQuery);
+  } catch (error) {
+    return reject(
+      "parse_error",
+      `The SQL could not be parsed: ${error.message.split("\n")[0]}`
+    );
+  }
+
+  if (statements.length !== 1) {
+    return reject(
+      "multiple_statements",
+      `Expected exactly one statement, got ${statements.length}`
+    );
+  }
+
+  const [statement] = statements;
+  if (!READ_ONLY_STATEMENTS.has(statement.type)) {
+    return reject(
+      "not_read_only",
+      `Only SELECT queries are allowed, got ${statement.type.toUpperCase()}`
+    );
+  }
+
+  const violation = findViolation(statement);
+  return violation || { valid: true };
+}
+
+module.exports = { validateSql, ALLOWED_TABLES, ALLOWED_FUNCTIONS };
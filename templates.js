@@ -0,0 +1,254 @@
+// templates.js
+// Report templates: saved SQL with named placeholders (":year",
+// ":instructor") and typed parameter declarations. Values are checked
+// against the declarations and bound as $n parameters, never spliced into
+// the SQL text.
+
+const { executeQuery } = require("./db");
+
+const PARAM_TYPES = new Set(["integer", "number", "text", "date", "boolean"]);
+
+// Allowed-value sources for text parameters. The UI fills its pickers from
+// the matching endpoint; the server checks values against the table.
+const VALUE_SOURCES = {
+  instructor: {
+    table: "dim_instructor",
+    column: "instructor_name",
+    endpoint: "/api/instructors",
+  },
+  domain: {
+    table: "dim_domain",
+    column: "domain_name",
+    endpoint: "/api/domains",
+  },
+  class: { table: "dim_class", column: "class_name", endpoint: "/api/classes" },
+};
+
+const NAME_PATTERN = /^[a-z_][a-z0-9_]*$/;
+
+// Builds the error thrown for bad declarations or values; `problems` is a
+// list of { name, message }.
+function paramError(message, problems) {
+  const error = new Error(message);
+  error.invalidParams = problems;
+  return error;
+}
+
+/**
+ * Replaces :name placeholders with $1, $2, ... Casts (::int), string
+ * literals, quoted identifiers and comments are left alone. Repeated
+ * placeholders share one parameter.
+ * @param {string} sql Template SQL.
+ * @returns {Object} { text, names } where names[i] is bound to $(i + 1).
+ */
+function compileTemplate(sql) {
+  const names = [];
+  let text = "";
+  let i = 0;
+  // Index just past the next `token` at or after `from`, or the end of sql
+  const skipPast = (token, from) => {
+    const at = sql.indexOf(token, from);
+    return at === -1 ? sql.length : at + token.length;
+  };
+
+  while (i < sql.length) {
+    const ch = sql[i];
+    const next = sql[i + 1];
+    let end = i + 1;
+
+    if (ch === "'" || ch === '"') {
+      // Doubled quotes are escapes, so scanning to each closing quote in
+      // turn also covers them
+      end = skipPast(ch, i + 1);
+    } else if (ch === "-" && next === "-") {
+      end = skipPast("\n", i);
+    } else if (ch === "/" && next === "*") {
+      end = skipPast("*/", i + 2);
+    } else if (ch === ":" && next === ":") {
+      end = i + 2;
+    } else if (ch === ":" && /[a-z_]/i.test(next || "")) {
+      const name = /^[a-z_][a-z0-9_]*/i.exec(sql.slice(i + 1))[0];
+      const key = name.toLowerCase();
+      if (!names.includes(key)) names.push(key);
+      text += `$${names.indexOf(key) + 1}`;
+      i += name.length + 1;
+      continue;
+    }
+
+    text += sql.slice(i, end);
+    i = end;
+  }
+
+  return { text, names };
+}
+
+/**
+ * Checks a template's parameter declarations against its SQL.
+ * @param {string} sql Template SQL.
+ * @param {Array<Object>} params Declarations: { name, type, label, required,
+ *   default, min, max, values, source }.
+ * @returns {Object} The compiled template, as compileTemplate.
+ * @throws {Error} With `.invalidParams` when a declaration is wrong or a
+ *   placeholder is undeclared.
+ */
+function checkTemplate(sql, params = []) {
+  const problems = [];
+  if (!Array.isArray(params)) {
+    throw paramError("Report params must be an array", [
+      { name: null, message: "Expected an array of declarations" },
+    ]);
+  }
+
+  const declared = new Set();
+  for (const param of params) {
+    const name = param && param.name;
+    if (!name || !NAME_PATTERN.test(name)) {
+      problems.push({
+        name,
+        message: "Names must be lowercase letters, digits and _",
+      });
+      continue;
+    }
+    if (declared.has(name)) {
+      problems.push({ name, message: "Declared more than once" });
+    }
+    declared.add(name);
+    if (!PARAM_TYPES.has(param.type)) {
+      problems.push({
+        name,
+        message: `Unknown type "${param.type}" (use ${[...PARAM_TYPES].join(
+          ", "
+        )})`,
+      });
+    }
+    if (param.source && !VALUE_SOURCES[param.source]) {
+      problems.push({
+        name,
+        message: `Unknown source "${param.source}" (use ${Object.keys(
+          VALUE_SOURCES
+        ).join(", ")})`,
+      });
+    }
+    if (param.values !== undefined && !Array.isArray(param.values)) {
+      problems.push({ name, message: "values must be an array" });
+    }
+  }
+
+  const compiled = compileTemplate(sql);
+  for (const name of compiled.names) {
+    if (!declared.has(name)) {
+      problems.push({ name, message: "Placeholder is not declared" });
+    }
+  }
+
+  if (problems.length > 0) {
+    throw paramError("Invalid report parameters", problems);
+  }
+  return compiled;
+}
+
+// Converts one submitted value to its declared type, or returns an error
+// message.
+function coerce(param, raw) {
+  switch (param.type) {
+    case "integer":
+    case "number": {
+      const n = typeof raw === "number" ? raw : Number(String(raw).trim());
+      if (!Number.isFinite(n)) return { error: "Must be a number" };
+      if (param.type === "integer" && !Number.isInteger(n)) {
+        return { error: "Must be a whole number" };
+      }
+      if (param.min !== undefined && n < param.min) {
+        return { error: `Must be at least ${param.min}` };
+      }
+      if (param.max !== undefined && n > param.max) {
+        return { error: `Must be at most ${param.max}` };
+      }
+      return { value: n };
+    }
+    case "date": {
+      const s = String(raw).trim();
+      if (
+        !/^\d{4}-\d{2}-\d{2}$/.test(s) ||
+        Number.isNaN(Date.parse(`${s}T00:00:00Z`))
+      ) {
+        return { error: "Must be a date (YYYY-MM-DD)" };
+      }
+      return { value: s };
+    }
+    case "boolean":
+      if (raw === true || raw === "true") return { value: true };
+      if (raw === false || raw === "false") return { value: false };
+      return { error: "Must be true or false" };
+    default:
+      return { value: String(raw) };
+  }
+}
+
+/**
+ * Validates submitted values against the declarations and orders them for
+ * binding.
+ * @param {Array<Object>} params The template's declarations.
+ * @param {Array<string>} names Placeholder order from compileTemplate.
+ * @param {Object} values Submitted values keyed by parameter name.
+ * @returns {Promise<Object>} { bound, values } — the $n array and the
+ *   resolved values (defaults applied) keyed by name.
+ * @throws {Error} With `.invalidParams` listing every bad value.
+ */
+async function bindParams(params, names, values = {}) {
+  const problems = [];
+  const resolved = {};
+
+  for (const param of params) {
+    let raw = values[param.name];
+    if (raw === undefined || raw === null || raw === "") raw = param.default;
+    if (raw === undefined || raw === null || raw === "") {
+      if (param.required) {
+        problems.push({ name: param.name, message: "Required" });
+      }
+      resolved[param.name] = null;
+      continue;
+    }
+
+    const { value, error } = coerce(param, raw);
+    if (error) {
+      problems.push({ name: param.name, message: error });
+      continue;
+    }
+    if (Array.isArray(param.values) && !param.values.includes(value)) {
+      problems.push({
+        name: param.name,
+        message: `Must be one of ${param.values.join(", ")}`,
+      });
+      continue;
+    }
+    if (param.source) {
+      const { table, column } = VALUE_SOURCES[param.source];
+      const { rows } = await executeQuery(
+        `SELECT 1 FROM ${table} WHERE ${column} = $1`,
+        [value]
+      );
+      if (rows.length === 0) {
+        problems.push({
+          name: param.name,
+          message: `Unknown ${param.source} "${value}"`,
+        });
+        continue;
+      }
+    }
+    resolved[param.name] = value;
+  }
+
+  if (problems.length > 0) {
+    throw paramError("Invalid report parameters", problems);
+  }
+  return { bound: names.map((name) => resolved[name]), values: resolved };
+}
+
+module.exports = {
+  PARAM_TYPES,
+  VALUE_SOURCES,
+  compileTemplate,
+  checkTemplate,
+  bindParams,
+};
@@ -0,0 +1,82 @@
+// test/entities.test.js
+// Run with `npm test` (node:test). The dictionary is read from a stand-in
+// for db.js, so no database is needed.
+
+const test = require("node:test");
+const assert = require("node:assert");
+
+const DIMENSIONS = {
+  dim_instructor: ["Jane Smith", "Jane Smyth", "Bob Lee"],
+  dim_class: ["Statistics"],
+  dim_domain: ["Data Science"],
+  dim_type: ["Live Class"],
+};
+
+require.cache[require.resolve("../db")] = {
+  id: require.resolve("../db"),
+  filename: require.resolve("../db"),
+  loaded: true,
+  exports: {
+    executeQuery: async (sql) => {
+      if (/dim_value_alias/.test(sql)) return { rows: [] };
+      const [, table] = /FROM (\w+)/.exec(sql);
+      return { rows: (DIMENSIONS[table] || []).map((name) => ({ name })) };
+    },
+  },
+};
+
+const { resolveEntities } = require("../entities");
+
+test("resolves a mention with a clear winner", async () => {
+  // "Jane Smyth" is one letter away, but the exact name wins by the margin
+  const { resolved, ambiguous } = await resolveEntities(
+    "average rating of Jane Smith in 2025"
+  );
+  assert.deepStrictEqual(ambiguous, []);
+  assert.strictEqual(resolved.length, 1);
+  assert.strictEqual(resolved[0].entity, "instructor");
+  assert.strictEqual(resolved[0].canonical, "Jane Smith");
+});
+
+test("asks about a near tie instead of picking one", async () => {
+  const { resolved, ambiguous } = await resolveEntities(
+    "sessions of Bob Lee and Jane"
+  );
+  assert.deepStrictEqual(
+    resolved.map((r) => r.canonical),
+    ["Bob Lee"]
+  );
+  assert.strictEqual(ambiguous.length, 1);
+  assert.strictEqual(ambiguous[0].mention, "Jane");
+  assert.deepStrictEqual(
+    ambiguous[0].candidates.map((c) => c.canonical).sort(),
+    ["Jane Smith", "Jane Smyth"]
+  );
+});
+
+test("a clarification choice settles the near tie", async () => {
+  const { resolved, ambiguous } = await resolveEntities("ratings for Jane", [
+    { mention: "Jane", entity: "instructor", canonical: "Jane Smyth" },
+  ]);
+  assert.deepStrictEqual(ambiguous, []);
+  assert.strictEqual(resolved[0].canonical, "Jane Smyth");
+  assert.strictEqual(resolved[0].source, "user");
+});
+
+test("rejects a choice that isn't one of the mention's candidates", async () => {
+  const forged = [
+    [{ mention: "Jane", entity: "instructor", canonical: "x'); DROP" }],
+    [{ mention: "Jane", entity: "instructor", canonical: "Bob Lee" }],
+    [{ mention: "Jane", entity: "class", canonical: "Jane Smith" }],
+  ];
+  for (const choices of forged) {
+    await assert.rejects(resolveEntities("ratings for Jane", choices), (e) => {
+      assert.strictEqual(e.status, 400);
+      assert.strictEqual(e.invalidChoice, true);
+      return true;
+    });
+  }
+  await assert.rejects(resolveEntities("ratings for Jane", "Jane Smith"), {
+    invalidChoice: true,
+  });
+});
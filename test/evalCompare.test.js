@@ -0,0 +1,127 @@
+// test/evalCompare.test.js
+// Run with `npm test` (node:test, no database needed). eval/run.js insists
+// on an evaluation database when loaded; the comparison never connects to
+// it, so a placeholder does.
+
+const test = require("node:test");
+const assert = require("node:assert");
+
+process.env.EVAL_DATABASE_URL =
+  process.env.EVAL_DATABASE_URL || "postgres://localhost/analyst_eval";
+const { normalizeValue, compareResults } = require("../eval/run");
+
+const result = (columns, rows) => ({ columns, rows });
+
+test("numbers and numeric strings compare alike", () => {
+  assert.strictEqual(normalizeValue(4.5), "4.5");
+  assert.strictEqual(normalizeValue("4.50"), "4.5");
+  assert.strictEqual(normalizeValue(" 4.499 "), "4.5");
+  assert.strictEqual(normalizeValue("12"), normalizeValue(12));
+  assert.strictEqual(normalizeValue("-0.001"), "0");
+  assert.strictEqual(normalizeValue("1e3"), "1000");
+  assert.strictEqual(normalizeValue(" Jane Smith "), "Jane Smith");
+  assert.strictEqual(normalizeValue(undefined), null);
+  assert.strictEqual(
+    normalizeValue(new Date("2025-03-01T08:00:00Z")),
+    "2025-03-01T08:00:00.000Z"
+  );
+
+  const match = compareResults(
+    result(["instructor", "avg"], [["Jane Smith", "4.50"]]),
+    result(["instructor", "avg"], [["Jane Smith", 4.5]])
+  );
+  assert.strictEqual(match.match, true);
+});
+
+test("columns match by their values, not their names or order", () => {
+  const expected = result(
+    ["instructor", "sessions"],
+    [
+      ["Jane Smith", 3],
+      ["Bob Lee", 5],
+    ]
+  );
+  const actual = result(
+    ["total", "name", "domain"],
+    [
+      ["3", "Jane Smith", "Data Science"],
+      ["5", "Bob Lee", "Statistics"],
+    ]
+  );
+  const match = compareResults(expected, actual);
+  assert.strictEqual(match.match, true);
+  assert.deepStrictEqual(match.mapping, ["name", "total"]);
+});
+
+test("a missing column or row count is a mismatch", () => {
+  const expected = result(["instructor", "sessions"], [["Jane Smith", 3]]);
+  const noColumn = compareResults(
+    expected,
+    result(["instructor"], [["Jane Smith"]])
+  );
+  assert.strictEqual(noColumn.match, false);
+  assert.match(noColumn.reason, /"sessions"/);
+
+  const extraRow = compareResults(
+    expected,
+    result(
+      ["instructor", "sessions"],
+      [
+        ["Jane Smith", 3],
+        ["Bob Lee", 5],
+      ]
+    )
+  );
+  assert.strictEqual(extraRow.match, false);
+  assert.match(extraRow.reason, /expected 1 row\(s\), got 2/);
+});
+
+test("matching columns must also pair up row by row", () => {
+  // Each answer column has the values of either expected column; only the
+  // rows tell a right answer from a wrong one
+  const expected = result(
+    ["a", "b"],
+    [
+      [1, 2],
+      [2, 1],
+    ]
+  );
+  const swapped = result(
+    ["x", "y"],
+    [
+      [2, 1],
+      [1, 2],
+    ]
+  );
+  assert.strictEqual(compareResults(expected, swapped).match, true);
+  const wrong = result(
+    ["x", "y"],
+    [
+      [1, 1],
+      [2, 2],
+    ]
+  );
+  assert.strictEqual(compareResults(expected, wrong).match, false);
+});
+
+test("row order only counts for ordered questions", () => {
+  const expected = result(
+    ["instructor", "rating"],
+    [
+      ["Jane Smith", "4.8"],
+      ["Bob Lee", "4.2"],
+    ]
+  );
+  const reversed = result(
+    ["instructor", "rating"],
+    [
+      ["Bob Lee", 4.2],
+      ["Jane Smith", 4.8],
+    ]
+  );
+  assert.strictEqual(compareResults(expected, reversed).match, true);
+  const ordered = compareResults(expected, reversed, true);
+  assert.strictEqual(ordered.match, false);
+  assert.match(ordered.reason, /out of order/);
+  assert.strictEqual(compareResults(expected, expected, true).match, true);
+});
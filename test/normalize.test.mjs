@@ -0,0 +1,44 @@
+// test/normalize.test.mjs
+// Session date and time parsing of the ETL (etl/normalize.mjs), in the
+// default reporting timezone (America/Los_Angeles).
+
+import test from "node:test";
+import assert from "node:assert";
+
+process.env.REPORTING_TZ = "America/Los_Angeles";
+const { parseSession, parseTime } = await import("../etl/normalize.mjs");
+
+test("month-name datetimes keep their time of day", () => {
+  assert.deepStrictEqual(parseSession("January 4, 2025 7:30 PM"), {
+    date: "2025-01-04",
+    ts: "2025-01-05T03:30:00.000Z",
+  });
+  assert.deepStrictEqual(parseSession("Jan 4, 2025 7:30 pm"), {
+    date: "2025-01-04",
+    ts: "2025-01-05T03:30:00.000Z",
+  });
+  assert.deepStrictEqual(parseSession("July 4, 2025 18:15"), {
+    date: "2025-07-04",
+    ts: "2025-07-05T01:15:00.000Z",
+  });
+});
+
+test("dates without a time start at 09:00", () => {
+  assert.deepStrictEqual(parseSession("January 4, 2025"), {
+    date: "2025-01-04",
+    ts: "2025-01-04T17:00:00.000Z",
+  });
+  assert.deepStrictEqual(parseSession("2025-01-04 7:30am"), {
+    date: "2025-01-04",
+    ts: "2025-01-04T15:30:00.000Z",
+  });
+});
+
+test("a time column fills in dates without their own", () => {
+  const time = parseTime("7:30 pm");
+  assert.deepStrictEqual(time, { h: 19, mi: 30, sec: 0 });
+  assert.deepStrictEqual(parseSession("Jan 4, 2025", time), {
+    date: "2025-01-04",
+    ts: "2025-01-05T03:30:00.000Z",
+  });
+});
@@ -0,0 +1,93 @@
+// test/sqlGuard.test.js
+// Run with `npm test` (node:test, no database needed).
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { validateSql } = require("../sqlGuard");
+
+const allowed = (sql) =>
+  assert.deepStrictEqual(validateSql(sql), { valid: true });
+const rejected = (sql, code) => {
+  const result = validateSql(sql);
+  assert.strictEqual(result.valid, false, `expected a rejection: ${sql}`);
+  assert.strictEqual(result.reason.code, code);
+};
+
+test("reads from the allowed views", () => {
+  allowed(
+    "SELECT instructor, AVG(average) FROM v_sessions GROUP BY instructor"
+  );
+  allowed("SELECT * FROM v_instructor_monthly WHERE pst_year = 2025");
+});
+
+test("rejects other relations", () => {
+  rejected("SELECT * FROM app_user", "table_not_allowed");
+  rejected("SELECT * FROM fact_session", "table_not_allowed");
+  rejected("SELECT * FROM mv_instructor_month", "table_not_allowed");
+  rejected("SELECT * FROM pg_catalog.pg_shadow", "table_not_allowed");
+});
+
+test("CTEs are readable from the WITH that declares them", () => {
+  allowed(
+    "WITH a AS (SELECT * FROM v_sessions), b AS (SELECT * FROM a) SELECT * FROM b"
+  );
+  allowed(
+    "WITH a AS (SELECT * FROM v_sessions) SELECT * FROM (SELECT * FROM a) s"
+  );
+  allowed(
+    "SELECT * FROM (WITH a AS (SELECT * FROM v_sessions) SELECT * FROM a) s"
+  );
+  allowed(
+    "WITH RECURSIVE r(n) AS (SELECT 1 UNION ALL SELECT n + 1 FROM r WHERE n < 3) SELECT * FROM r"
+  );
+});
+
+test("a CTE in a subquery doesn't whitelist its name elsewhere", () => {
+  for (const name of [
+    "app_user",
+    "pg_shadow",
+    "fact_session",
+    "mv_class_quarter",
+  ]) {
+    rejected(
+      `SELECT * FROM (WITH ${name} AS (SELECT 1) SELECT 1) a, ${name}`,
+      "table_not_allowed"
+    );
+    rejected(
+      `SELECT * FROM v_sessions WHERE 1 IN (WITH ${name} AS (SELECT 1) SELECT 1) AND instructor IN (SELECT username FROM ${name})`,
+      "table_not_allowed"
+    );
+  }
+});
+
+test("a CTE shadowing a relation doesn't expose it", () => {
+  // The body of a non-recursive CTE sees the real relation, not itself
+  rejected(
+    "WITH app_user AS (SELECT * FROM app_user) SELECT * FROM app_user",
+    "table_not_allowed"
+  );
+  // Only earlier CTEs of the same WITH are in scope
+  rejected(
+    "WITH a AS (SELECT * FROM fact_session), fact_session AS (SELECT 1) SELECT * FROM a",
+    "table_not_allowed"
+  );
+  // Schema-qualified names are never CTEs
+  rejected(
+    "WITH app_user AS (SELECT 1) SELECT * FROM public.app_user",
+    "table_not_allowed"
+  );
+  allowed(
+    "WITH app_user AS (SELECT instructor FROM v_sessions) SELECT * FROM app_user"
+  );
+});
+
+test("rejects writes, locks and unknown functions", () => {
+  rejected("DELETE FROM v_sessions", "not_read_only");
+  rejected(
+    "WITH d AS (DELETE FROM v_sessions RETURNING *) SELECT * FROM d",
+    "write_in_cte"
+  );
+  rejected("SELECT * FROM v_sessions FOR UPDATE", "locking_clause");
+  rejected("SELECT pg_sleep(10)", "function_not_allowed");
+  rejected("SELECT 1; SELECT 2", "multiple_statements");
+});
@@ -0,0 +1,104 @@
+// test/templates.test.js
+// Run with `npm test` (node:test). db.js is replaced by a stand-in, so no
+// database is needed.
+
+const test = require("node:test");
+const assert = require("node:assert");
+
+require.cache[require.resolve("../db")] = {
+  id: require.resolve("../db"),
+  filename: require.resolve("../db"),
+  loaded: true,
+  exports: {
+    executeQuery: async (sql, [value]) => ({
+      rows: value === "Jane Smith" ? [{ "?column?": 1 }] : [],
+    }),
+  },
+};
+
+const { compileTemplate, bindParams } = require("../templates");
+
+test("a repeated placeholder shares one parameter", () => {
+  const { text, names } = compileTemplate(
+    "SELECT * FROM v_sessions WHERE pst_year = :year OR pst_year = :Year - 1"
+  );
+  assert.strictEqual(
+    text,
+    "SELECT * FROM v_sessions WHERE pst_year = $1 OR pst_year = $1 - 1"
+  );
+  assert.deepStrictEqual(names, ["year"]);
+});
+
+test("casts are not placeholders", () => {
+  const { text, names } = compileTemplate(
+    "SELECT session_date::date, :from::date AS since FROM v_sessions"
+  );
+  assert.strictEqual(
+    text,
+    "SELECT session_date::date, $1::date AS since FROM v_sessions"
+  );
+  assert.deepStrictEqual(names, ["from"]);
+});
+
+test("leaves quoted strings, identifiers and comments alone", () => {
+  const sql = [
+    "SELECT ':nope', 'it''s :nope', \"odd:nope\" -- :nope",
+    "FROM v_sessions /* :nope */ WHERE instructor = :instructor",
+  ].join("\n");
+  const { text, names } = compileTemplate(sql);
+  assert.strictEqual(text, sql.replace(":instructor", "$1"));
+  assert.deepStrictEqual(names, ["instructor"]);
+});
+
+test("reports every missing required value", async () => {
+  const params = [
+    { name: "year", type: "integer", required: true },
+    { name: "instructor", type: "text", required: true },
+    { name: "quarter", type: "integer", default: 1 },
+  ];
+  await assert.rejects(
+    bindParams(params, ["year", "instructor", "quarter"], { instructor: "" }),
+    (error) => {
+      assert.deepStrictEqual(error.invalidParams, [
+        { name: "year", message: "Required" },
+        { name: "instructor", message: "Required" },
+      ]);
+      return true;
+    }
+  );
+});
+
+test("an optional value without a default binds as null", async () => {
+  const params = [
+    { name: "year", type: "integer", required: true },
+    { name: "instructor", type: "text", source: "instructor" },
+  ];
+  const { bound, values } = await bindParams(params, ["instructor", "year"], {
+    year: "2025",
+  });
+  assert.deepStrictEqual(bound, [null, 2025]);
+  assert.deepStrictEqual(values, { year: 2025, instructor: null });
+});
+
+test("checks values against their type and source", async () => {
+  const params = [
+    { name: "year", type: "integer", min: 2020 },
+    { name: "instructor", type: "text", source: "instructor" },
+  ];
+  const names = ["year", "instructor"];
+  assert.deepStrictEqual(
+    (await bindParams(params, names, { year: 2024, instructor: "Jane Smith" }))
+      .bound,
+    [2024, "Jane Smith"]
+  );
+  await assert.rejects(
+    bindParams(params, names, { year: "2019.5", instructor: "Nobody" }),
+    (error) => {
+      assert.deepStrictEqual(error.invalidParams, [
+        { name: "year", message: "Must be a whole number" },
+        { name: "instructor", message: 'Unknown instructor "Nobody"' },
+      ]);
+      return true;
+    }
+  );
+});
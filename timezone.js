@@ -0,0 +1,16 @@
+// timezone.js
+// The reporting timezone: the calendar the pst_* columns are derived in and
+// the zone the UI shows times in. The columns keep their historical names so
+// saved reports and prompts keep working when the zone changes.
+
+require("dotenv").config();
+
+const REPORTING_TZ = process.env.REPORTING_TZ || "America/Los_Angeles";
+
+try {
+  new Intl.DateTimeFormat("en-US", { timeZone: REPORTING_TZ });
+} catch (error) {
+  throw new Error(`REPORTING_TZ "${REPORTING_TZ}" is not a valid IANA zone`);
+}
+
+module.exports = { REPORTING_TZ };
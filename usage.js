@@ -0,0 +1,228 @@
+// usage.js
+// LLM token and cost accounting. Every completion (see providers/index.js)
+// is written to llm_usage with the question it belonged to and who asked
+// it; the admin usage endpoint and the daily token budget (limits.js) read
+// from there.
+
+const { AsyncLocalStorage } = require("async_hooks");
+const { executeQuery } = require("./db");
+const { onCompletion } = require("./providers");
+const { REPORTING_TZ } = require("./timezone");
+require("dotenv").config();
+
+// Estimated USD per million tokens, by model. LLM_PRICES (JSON, same shape)
+// adds or overrides models; unknown models cost 0.
+const DEFAULT_PRICES = {
+  "llama3-70b-8192": { input: 0.59, output: 0.79 },
+  "llama3-8b-8192": { input: 0.05, output: 0.08 },
+};
+
+const PRICES = (() => {
+  try {
+    return { ...DEFAULT_PRICES, ...JSON.parse(process.env.LLM_PRICES || "{}") };
+  } catch (error) {
+    console.error(`[ERROR] LLM_PRICES is not valid JSON: ${error.message}`);
+    return DEFAULT_PRICES;
+  }
+})();
+
+const INTERVALS = ["hour", "day", "week", "month"];
+
+// The request the current completion belongs to: { requestId, username }
+const requests = new AsyncLocalStorage();
+
+/**
+ * Runs `fn` with its LLM calls attributed to a request.
+ * @param {Object} request { requestId, username }
+ * @param {Function} fn Async function; its completions are recorded under
+ *   the request.
+ * @returns {Promise<*>} Whatever `fn` resolves to.
+ */
+function trackUsage(request, fn) {
+  return requests.run(request, fn);
+}
+
+function estimateCost(model, usage) {
+  const price = PRICES[model];
+  if (!price || !usage) return 0;
+  return (
+    ((usage.prompt_tokens || 0) * price.input +
+      (usage.completion_tokens || 0) * price.output) /
+    1e6
+  );
+}
+
+async function recordCompletion({
+  role,
+  provider,
+  model,
+  usage,
+  latencyMs,
+  error,
+}) {
+  const { requestId = null, username = null } = requests.getStore() || {};
+  const tokens = usage || {};
+  try {
+    await executeQuery(
+      `INSERT INTO llm_usage
+         (request_id, username, role, provider, model, prompt_tokens,
+          completion_tokens, total_tokens, cost_usd, latency_ms, success,
+          error)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)`,
+      [
+        requestId,
+        username,
+        role,
+        provider,
+        model,
+        tokens.prompt_tokens || 0,
+        tokens.completion_tokens || 0,
+        tokens.total_tokens ||
+          (tokens.prompt_tokens || 0) + (tokens.completion_tokens || 0),
+        estimateCost(model, usage),
+        Math.round(latencyMs),
+        !error,
+        error ? error.message.substring(0, 1000) : null,
+      ]
+    );
+  } catch (dbError) {
+    console.error("[ERROR] Failed to record LLM usage:", dbError.message);
+  }
+}
+
+onCompletion(recordCompletion);
+
+/**
+ * Tokens a user has used today (in the reporting timezone).
+ * @returns {Promise<Object>} { tokens, resetsAt } where resetsAt is the
+ *   next midnight.
+ */
+async function tokensUsedToday(username) {
+  const { rows } = await executeQuery(
+    `WITH today AS (
+       SELECT date_trunc('day', now() AT TIME ZONE $2) AS start
+     )
+     SELECT COALESCE(sum(u.total_tokens), 0)::bigint AS tokens,
+            (today.start + interval '1 day') AT TIME ZONE $2 AS resets_at
+       FROM today
+       LEFT JOIN llm_usage u
+         ON u.username = $1 AND u.created_at >= today.start AT TIME ZONE $2
+      GROUP BY today.start`,
+    [username, REPORTING_TZ]
+  );
+  return { tokens: Number(rows[0].tokens), resetsAt: rows[0].resets_at };
+}
+
+// Errors the caller can fix carry a 400
+function badRequest(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+function parseTime(value, name, fallback) {
+  if (value === undefined || value === "") return fallback;
+  const time = new Date(value);
+  if (Number.isNaN(time.getTime())) {
+    throw badRequest(`${name} must be a date or timestamp`);
+  }
+  return time;
+}
+
+// Aggregates shared by every breakdown of the report
+const TOTALS = `count(*)::int AS calls,
+  count(*) FILTER (WHERE NOT u.success)::int AS failures,
+  COALESCE(round(count(*) FILTER (WHERE NOT u.success)::numeric
+                 / NULLIF(count(*), 0), 4), 0)::float8 AS failure_rate,
+  count(DISTINCT u.request_id)::int AS requests,
+  COALESCE(sum(u.prompt_tokens), 0)::bigint AS prompt_tokens,
+  COALESCE(sum(u.completion_tokens), 0)::bigint AS completion_tokens,
+  COALESCE(sum(u.total_tokens), 0)::bigint AS total_tokens,
+  COALESCE(round(sum(u.cost_usd), 4), 0)::float8 AS cost_usd,
+  round(avg(u.latency_ms))::int AS avg_latency_ms`;
+
+// pg returns bigint as a string
+const withNumbers = (rows) =>
+  rows.map((row) => ({
+    ...row,
+    prompt_tokens: Number(row.prompt_tokens),
+    completion_tokens: Number(row.completion_tokens),
+    total_tokens: Number(row.total_tokens),
+  }));
+
+/**
+ * LLM usage over a period.
+ * @param {Object} options { from, to, interval, username } where from and
+ *   to are dates or timestamps (default: the last 30 days), interval is
+ *   "hour", "day" (default), "week" or "month" and username limits the
+ *   report to one user.
+ * @returns {Promise<Object>} { from, to, interval, timezone, totals, series,
+ *   byModel, byUser }. Each entry has calls, failures, failure_rate,
+ *   requests, prompt_tokens, completion_tokens, total_tokens, cost_usd and
+ *   avg_latency_ms; series entries are keyed by `period` (the start of the
+ *   hour, day, ... in the reporting timezone).
+ */
+async function usageReport({ from, to, interval = "day", username } = {}) {
+  const end = parseTime(to, "to", new Date());
+  const start = parseTime(
+    from,
+    "from",
+    new Date(end.getTime() - 30 * 24 * 60 * 60 * 1000)
+  );
+  if (!INTERVALS.includes(interval)) {
+    throw badRequest(`interval must be one of: ${INTERVALS.join(", ")}`);
+  }
+
+  const params = [start, end, username || null];
+  const where = `u.created_at >= $1 AND u.created_at < $2
+    AND ($3::text IS NULL OR u.username = $3)`;
+  const query = async (sql, extra = []) =>
+    withNumbers((await executeQuery(sql, [...params, ...extra])).rows);
+
+  const [totals, series, byModel, byUser] = await Promise.all([
+    query(`SELECT ${TOTALS} FROM llm_usage u WHERE ${where}`),
+    query(
+      `SELECT to_char(date_trunc($4, u.created_at AT TIME ZONE $5),
+                      'YYYY-MM-DD"T"HH24:MI') AS period,
+              ${TOTALS}
+         FROM llm_usage u
+        WHERE ${where}
+        GROUP BY 1
+        ORDER BY 1`,
+      [interval, REPORTING_TZ]
+    ),
+    query(
+      `SELECT u.provider, u.model, u.role, ${TOTALS}
+         FROM llm_usage u
+        WHERE ${where}
+        GROUP BY u.provider, u.model, u.role
+        ORDER BY total_tokens DESC`
+    ),
+    query(
+      `SELECT u.username, ${TOTALS}
+         FROM llm_usage u
+        WHERE ${where}
+        GROUP BY u.username
+        ORDER BY total_tokens DESC`
+    ),
+  ]);
+
+  return {
+    from: start,
+    to: end,
+    interval,
+    timezone: REPORTING_TZ,
+    totals: totals[0],
+    series,
+    byModel,
+    byUser,
+  };
+}
+
+module.exports = {
+  PRICES,
+  trackUsage,
+  estimateCost,
+  tokensUsedToday,
+  usageReport,
+};